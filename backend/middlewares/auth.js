@@ -0,0 +1,67 @@
+import jwt from "jsonwebtoken";
+
+/**
+ * Signs an access token for a user
+ * @param {object} user - Public user object
+ * @param {object} options - { secret, expiresIn }
+ * @returns {string} - Signed JWT
+ */
+export const signToken = (user, { secret, expiresIn }) =>
+  jwt.sign({ sub: user.id, username: user.username, role: user.role }, secret, {
+    expiresIn,
+  });
+
+const unauthorized = (res, error) =>
+  res.status(401).json({
+    success: false,
+    error,
+  });
+
+/**
+ * Requires a valid "Authorization: Bearer <token>" header and sets req.user.
+ * Tokens of accounts that no longer exist are rejected.
+ * @param {object} options
+ * @param {string} options.secret - Secret the tokens were signed with
+ * @param {object} options.users - User store (see utils/userStore.js)
+ */
+export const authenticate = ({ secret, users }) => {
+  return (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return unauthorized(res, "Authentication required");
+    }
+
+    try {
+      const payload = jwt.verify(token, secret);
+      const user = users.findById(payload.sub);
+      if (!user) return unauthorized(res, "Account no longer exists");
+
+      req.user = user;
+      next();
+    } catch (error) {
+      return unauthorized(
+        res,
+        error.name === "TokenExpiredError" ? "Session expired" : "Invalid token"
+      );
+    }
+  };
+};
+
+/**
+ * Allows the request only for the given roles (use after authenticate)
+ * @param {...string} roles - Accepted roles
+ */
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: "Insufficient permissions",
+      });
+    }
+    next();
+  };
+};
+
+export default { signToken, authenticate, requireRole };
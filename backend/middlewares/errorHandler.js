@@ -13,7 +13,7 @@ export const errorHandler = (err, req, res, next) => {
   if (err.name === "ValidationError") {
     return res.status(400).json({
       success: false,
-      error: "Validation Error",
+      error: "Validation error",
       details: Object.values(err.errors).map((e) => e.message),
     });
   }
@@ -28,7 +28,7 @@ export const errorHandler = (err, req, res, next) => {
   if (err.code === 11000) {
     return res.status(409).json({
       success: false,
-      error: "Duplicate key error",
+      error: "Duplicate entry",
       field: Object.keys(err.keyPattern)[0],
     });
   }
@@ -0,0 +1,26 @@
+import { validateRecord } from "../utils/recordValidator.js";
+
+/**
+ * Validates req.body against an entity's backend.schema before it reaches
+ * the storage layer, and replaces it with the cast values on success.
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} options - Passed through to validateRecord (e.g. { partial: true })
+ */
+export const validateBody = (schemaDefinition, options = {}) => {
+  return (req, res, next) => {
+    const result = validateRecord(schemaDefinition, req.body, options);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation error",
+        details: result.errors,
+      });
+    }
+
+    req.body = result.data;
+    next();
+  };
+};
+
+export default { validateBody };
@@ -1,25 +1,28 @@
 import mongoose from "mongoose";
+import { TEXT_INDEX_NAME, searchableFields } from "../utils/search.js";
+
+// Item types of Array fields with `of` (see utils/fieldFormats.js)
+const ARRAY_ITEM_TYPES = {
+  String: String,
+  Number: Number,
+  Boolean: Boolean,
+  Date: Date,
+};
+
+const toModelName = (entityName) =>
+  entityName.charAt(0).toUpperCase() + entityName.slice(1);
 
 /**
- * Creates a dynamic Mongoose model based on schema definition
- * @param {string} entityName - Name of the entity
- * @param {object} schemaDefinition - Backend schema definition
- * @returns {mongoose.Model} - Mongoose model
+ * Maps backend.schema fields to Mongoose schema paths. Object and Array
+ * fields with a nested `schema` become subdocuments.
+ * @param {object} fields - backend.schema (or a nested schema)
+ * @param {boolean} strict - Whether unknown keys are dropped
+ * @returns {object} - Mongoose schema definition
  */
-export const createDynamicModel = (entityName, schemaDefinition) => {
-  const modelName = entityName.charAt(0).toUpperCase() + entityName.slice(1);
-
-  // Remove existing model if it exists (for hot reloading)
-  if (mongoose.models[modelName]) {
-    delete mongoose.models[modelName];
-  }
-
-  // Create Mongoose Schema fields
+const toSchemaFields = (fields, strict) => {
   const mongooseSchema = {};
 
-  for (const [fieldName, fieldConfig] of Object.entries(
-    schemaDefinition.schema
-  )) {
+  for (const [fieldName, fieldConfig] of Object.entries(fields)) {
     const fieldDef = {};
 
     // Type mapping from string to Mongoose types
@@ -37,17 +40,35 @@ export const createDynamicModel = (entityName, schemaDefinition) => {
         fieldDef.type = Date;
         break;
       case "Array":
-        fieldDef.type = Array;
+        fieldDef.type = fieldConfig.schema
+          ? [toSubdocumentSchema(fieldConfig.schema, strict)]
+          : fieldConfig.of
+          ? [ARRAY_ITEM_TYPES[fieldConfig.of]]
+          : Array;
         break;
       case "Object":
-        fieldDef.type = Object;
+        fieldDef.type = fieldConfig.schema
+          ? toSubdocumentSchema(fieldConfig.schema, strict)
+          : Object;
         break;
       case "Mixed":
         fieldDef.type = mongoose.Schema.Types.Mixed;
         break;
+      // File metadata ({ id, name, type, size }), see utils/files.js
+      case "File":
+        fieldDef.type = fieldConfig.many
+          ? [mongoose.Schema.Types.Mixed]
+          : mongoose.Schema.Types.Mixed;
+        break;
       case "ObjectId":
         fieldDef.type = mongoose.Schema.Types.ObjectId;
         break;
+      case "Ref":
+        fieldDef.type = fieldConfig.many
+          ? [mongoose.Schema.Types.ObjectId]
+          : mongoose.Schema.Types.ObjectId;
+        fieldDef.ref = toModelName(fieldConfig.ref);
+        break;
       default:
         fieldDef.type = String;
     }
@@ -65,6 +86,12 @@ export const createDynamicModel = (entityName, schemaDefinition) => {
       fieldDef.uppercase = fieldConfig.uppercase;
     if (fieldConfig.min !== undefined) fieldDef.min = fieldConfig.min;
     if (fieldConfig.max !== undefined) fieldDef.max = fieldConfig.max;
+    if (fieldConfig.minLength !== undefined)
+      fieldDef.minLength = fieldConfig.minLength;
+    if (fieldConfig.maxLength !== undefined)
+      fieldDef.maxLength = fieldConfig.maxLength;
+    if (fieldConfig.match !== undefined)
+      fieldDef.match = new RegExp(fieldConfig.match);
     if (fieldConfig.enum !== undefined) fieldDef.enum = fieldConfig.enum;
     if (fieldConfig.default !== undefined)
       fieldDef.default = fieldConfig.default;
@@ -79,19 +106,56 @@ export const createDynamicModel = (entityName, schemaDefinition) => {
     mongooseSchema[fieldName] = fieldDef;
   }
 
-  // Create schema with options
+  return mongooseSchema;
+};
+
+// Nested schemas are stored inline, without an _id of their own
+const toSubdocumentSchema = (fields, strict) =>
+  new mongoose.Schema(toSchemaFields(fields, strict), { _id: false, strict });
+
+/**
+ * Creates a dynamic Mongoose model based on schema definition
+ * @param {string} entityName - Name of the entity
+ * @param {object} schemaDefinition - Backend schema definition
+ * @returns {mongoose.Model} - Mongoose model
+ */
+export const createDynamicModel = (entityName, schemaDefinition) => {
+  const modelName = toModelName(entityName);
+
+  // Remove existing model if it exists (for hot reloading)
+  if (mongoose.models[modelName]) {
+    delete mongoose.models[modelName];
+  }
+
+  // Create schema with options. The collection name is left to Mongoose's
+  // pluralisation so existing collections keep being used.
   const schemaOptions = schemaDefinition.options || {};
-  const schema = new mongoose.Schema(mongooseSchema, {
-    timestamps:
-      schemaOptions.timestamps !== undefined ? schemaOptions.timestamps : true,
-    strict: schemaOptions.strict !== undefined ? schemaOptions.strict : false,
-    collection: modelName.toLowerCase() + "s",
-  });
+  const strict =
+    schemaOptions.strict !== undefined ? schemaOptions.strict : false;
+  const schema = new mongoose.Schema(
+    toSchemaFields(schemaDefinition.schema, strict),
+    {
+      timestamps:
+        schemaOptions.timestamps !== undefined
+          ? schemaOptions.timestamps
+          : true,
+      strict,
+    }
+  );
 
   // Add indexes
   schema.index({ createdAt: -1 });
   schema.index({ updatedAt: -1 });
 
+  // Full-text index over the fields marked searchable
+  const weights = searchableFields(schemaDefinition.schema);
+  if (Object.keys(weights).length > 0) {
+    schema.index(
+      Object.fromEntries(Object.keys(weights).map((field) => [field, "text"])),
+      { name: TEXT_INDEX_NAME, weights }
+    );
+  }
+
   // Add virtual id field
   schema.virtual("id").get(function () {
     return this._id ? this._id.toString() : null;
@@ -126,4 +190,33 @@ export const createDynamicModel = (entityName, schemaDefinition) => {
   return model;
 };
 
-export default { createDynamicModel };
+const sameWeights = (a = {}, b = {}) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([field, weight]) => b[field] === weight);
+
+/**
+ * Replaces a text index left over from an earlier schema. MongoDB allows one
+ * text index per collection, so a changed set of searchable fields cannot be
+ * built while the old index exists.
+ * @param {mongoose.Model} model - Model created by createDynamicModel
+ * @param {object} schemaDefinition - Backend schema definition
+ * @returns {Promise<void>}
+ */
+export const syncTextIndex = async (model, schemaDefinition) => {
+  let indexes;
+  try {
+    indexes = await model.collection.indexes();
+  } catch {
+    return; // The collection does not exist yet
+  }
+
+  const weights = searchableFields(schemaDefinition.schema);
+  const current = indexes.find((index) => index.name === TEXT_INDEX_NAME);
+  if (!current || sameWeights(current.weights, weights)) return;
+
+  await model.collection.dropIndex(TEXT_INDEX_NAME);
+  if (Object.keys(weights).length > 0) await model.createIndexes();
+  console.log(`🔎 Search index rebuilt: ${model.modelName}`);
+};
+
+export default { createDynamicModel, syncTextIndex };
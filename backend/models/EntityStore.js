@@ -0,0 +1,383 @@
+import mongoose from "mongoose";
+import { createDynamicModel, syncTextIndex } from "./DynamicModel.js";
+import { migrateRecord } from "../utils/migrations.js";
+import { getTenancy } from "../utils/tenancy.js";
+import { toMongoQuery, matchesFilter } from "../utils/filters.js";
+import {
+  DEFAULT_SORT,
+  reverseSort,
+  toMongoSort,
+  compareRecords,
+} from "../utils/sorting.js";
+import { toMongoKeyset, isBeyondCursor } from "../utils/cursor.js";
+import { toMongoProjection, pickFields } from "../utils/projection.js";
+import {
+  defaultSearchFields,
+  textSearchWeights,
+  parseSearch,
+  scoreRecord,
+  toMongoSubstringSearch,
+} from "../utils/search.js";
+
+/**
+ * Storage adapters behind the generated entity routes.
+ * The MongoDB and in-memory adapters expose the same async interface, so
+ * routes never need to know which backend is serving the request.
+ */
+
+// Unique ids for in-memory records, shaped like MongoDB ObjectIds
+export const generateId = () => new mongoose.Types.ObjectId().toString();
+
+const toCustomId = (id) => (!isNaN(id) ? parseInt(id) : id);
+
+// Fields managed by the store itself; clients echo them back on updates
+const withoutSystemFields = ({ _id, __v, createdAt, updatedAt, ...data }) =>
+  data;
+
+const MIGRATION_BATCH_SIZE = 500;
+
+const newTally = (operations) =>
+  operations.map(() => ({ affected: 0, failed: 0 }));
+
+// Reading backwards from a "prev" cursor walks the sort order in reverse;
+// the page is flipped back into sort order afterwards
+const readingOrder = (sort, cursor) =>
+  cursor?.direction === "prev" ? reverseSort(sort) : sort;
+
+// `scope` (e.g. { ownerId: "..." }) restricts every query to one tenant;
+// see utils/tenancy.js
+const inScope = (record, scope) =>
+  !scope ||
+  Object.entries(scope).every(([field, value]) => record[field] === value);
+
+/**
+ * MongoDB adapter
+ * @param {mongoose.Model} Model - Model created from the entity's backend config
+ * @param {object} config - Entity configuration
+ */
+export const createMongoStore = (Model, config) => {
+  // Try MongoDB _id first, then the custom `id` field
+  const byId = (id) =>
+    mongoose.Types.ObjectId.isValid(id)
+      ? { $or: [{ _id: id }, { id: toCustomId(id) }] }
+      : { id: toCustomId(id) };
+
+  const scoped = (query, scope) => (scope ? { ...query, ...scope } : query);
+
+  return {
+    mode: "mongodb",
+
+    async list({
+      search = "",
+      searchFields = defaultSearchFields(config.backend.schema),
+      rank = false,
+      skip = 0,
+      limit = 10,
+      scope = null,
+      filter = [],
+      sort = DEFAULT_SORT,
+      cursor = null,
+      withTotal = true,
+      fields = null,
+    } = {}) {
+      const query = { ...scoped({}, scope), ...toMongoQuery(filter) };
+      const term = search.trim();
+      let ranked = false;
+
+      if (term && searchFields.length > 0) {
+        if (textSearchWeights(config.backend.schema, searchFields)) {
+          query.$text = { $search: term };
+          ranked = rank && !cursor;
+        } else {
+          Object.assign(query, toMongoSubstringSearch(searchFields, term));
+        }
+      }
+
+      const order = readingOrder(sort, cursor);
+      const pageQuery = cursor
+        ? { $and: [query, toMongoKeyset(order, cursor.values)] }
+        : query;
+
+      const records = await Model.find(
+        pageQuery,
+        fields ? toMongoProjection(fields) : null
+      )
+        .limit(limit)
+        .skip(skip)
+        .sort(
+          ranked
+            ? { score: { $meta: "textScore" }, ...toMongoSort(order) }
+            : toMongoSort(order)
+        )
+        .lean();
+      if (order !== sort) records.reverse();
+
+      // Cursor pages skip the count, which gets slow on large collections
+      const total = withTotal ? await Model.countDocuments(query) : undefined;
+
+      return { records, total };
+    },
+
+    async findById(id, scope = null) {
+      return Model.findOne(scoped(byId(id), scope)).lean();
+    },
+
+    async create(data) {
+      const saved = await new Model(withoutSystemFields(data)).save();
+      return saved.toObject({
+        transform: false,
+        virtuals: false,
+        versionKey: false,
+      });
+    },
+
+    async update(id, data, scope = null) {
+      return Model.findOneAndUpdate(
+        scoped(byId(id), scope),
+        { $set: withoutSystemFields(data) },
+        { new: true, runValidators: true, lean: true }
+      );
+    },
+
+    async remove(id, scope = null) {
+      return Model.findOneAndDelete(scoped(byId(id), scope)).lean();
+    },
+
+    // Works on the raw collection so documents in the old shape are
+    // read and written without the new schema getting in the way
+    async migrate(operations, { dryRun = false } = {}) {
+      const tally = newTally(operations);
+      let batch = [];
+
+      for await (const doc of Model.collection.find({})) {
+        const { record, changed } = migrateRecord(doc, operations, tally, {
+          toDate: (iso) => new Date(iso),
+        });
+        if (!changed || dryRun) continue;
+
+        batch.push({
+          replaceOne: { filter: { _id: doc._id }, replacement: record },
+        });
+        if (batch.length >= MIGRATION_BATCH_SIZE) {
+          await Model.collection.bulkWrite(batch);
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) await Model.collection.bulkWrite(batch);
+      return tally;
+    },
+  };
+};
+
+/**
+ * In-memory adapter, used while MongoDB is unavailable
+ * @param {object} memory - Shared { [entityName]: records[] } object
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Entity configuration
+ */
+export const createMemoryStore = (memory, entityName, config) => {
+  const records = () => memory[entityName] || (memory[entityName] = []);
+
+  const matchesId = (record, id, scope) =>
+    inScope(record, scope) &&
+    (record._id === id ||
+      (record.id !== undefined && String(record.id) === String(id)));
+
+  // Mirror MongoDB's duplicate key error so errorHandler answers with 409
+  const assertUnique = (data, ignoreId) => {
+    for (const [field, fieldConfig] of Object.entries(config.backend.schema)) {
+      if (!fieldConfig.unique || data[field] === undefined) continue;
+
+      const duplicate = records().some(
+        (record) => record._id !== ignoreId && record[field] === data[field]
+      );
+      if (duplicate) {
+        const error = new Error(`Duplicate value for "${field}"`);
+        error.code = 11000;
+        error.keyPattern = { [field]: 1 };
+        throw error;
+      }
+    }
+  };
+
+  return {
+    mode: "memory",
+
+    async list({
+      search = "",
+      searchFields = defaultSearchFields(config.backend.schema),
+      rank = false,
+      skip = 0,
+      limit = 10,
+      scope = null,
+      filter = [],
+      sort = DEFAULT_SORT,
+      cursor = null,
+      withTotal = true,
+      fields = null,
+    } = {}) {
+      const term = search.trim();
+      const scores = new Map();
+
+      let items = records()
+        .filter((record) => inScope(record, scope))
+        .filter((record) => matchesFilter(record, filter));
+
+      if (term && searchFields.length > 0) {
+        const weights = textSearchWeights(config.backend.schema, searchFields);
+        const parsed = weights && parseSearch(term);
+        const searchLower = term.toLowerCase();
+
+        items = items.filter((item) => {
+          if (!weights) {
+            return searchFields.some((field) =>
+              String(item[field] ?? "")
+                .toLowerCase()
+                .includes(searchLower)
+            );
+          }
+          const score = scoreRecord(item, weights, parsed);
+          scores.set(item, score);
+          return score > 0;
+        });
+      }
+
+      const total = items.length;
+      const order = readingOrder(sort, cursor);
+      if (cursor) {
+        items = items.filter((item) =>
+          isBeyondCursor(item, order, cursor.values)
+        );
+      }
+
+      const byOrder = compareRecords(order);
+      const ranked = rank && !cursor && scores.size > 0;
+      const page = items
+        .sort((a, b) =>
+          ranked
+            ? scores.get(b) - scores.get(a) || byOrder(a, b)
+            : byOrder(a, b)
+        )
+        .slice(skip, skip + limit);
+      if (order !== sort) page.reverse();
+
+      return {
+        records: page.map((record) => pickFields(record, fields)),
+        total: withTotal ? total : undefined,
+      };
+    },
+
+    async findById(id, scope = null) {
+      return records().find((record) => matchesId(record, id, scope)) || null;
+    },
+
+    async create(data) {
+      assertUnique(data);
+      const now = new Date().toISOString();
+      const record = {
+        ...withoutSystemFields(data),
+        _id: generateId(),
+        createdAt: now,
+        updatedAt: now,
+      };
+      records().push(record);
+      return record;
+    },
+
+    async update(id, data, scope = null) {
+      const items = records();
+      const index = items.findIndex((record) => matchesId(record, id, scope));
+      if (index === -1) return null;
+
+      assertUnique(data, items[index]._id);
+      items[index] = {
+        ...items[index],
+        ...withoutSystemFields(data),
+        updatedAt: new Date().toISOString(),
+      };
+      return items[index];
+    },
+
+    async remove(id, scope = null) {
+      const items = records();
+      const index = items.findIndex((record) => matchesId(record, id, scope));
+      if (index === -1) return null;
+      return items.splice(index, 1)[0];
+    },
+
+    async migrate(operations, { dryRun = false } = {}) {
+      const tally = newTally(operations);
+      const migrated = records().map(
+        (record) => migrateRecord(record, operations, tally).record
+      );
+
+      if (!dryRun) memory[entityName] = migrated;
+      return tally;
+    },
+  };
+};
+
+// The tenancy field is managed by the server, so it is not part of
+// backend.schema, but Mongoose must still persist and index it
+const modelDefinition = (config) => {
+  const tenancy = getTenancy(config);
+  if (!tenancy) return config.backend;
+
+  return {
+    ...config.backend,
+    schema: {
+      ...config.backend.schema,
+      [tenancy.field]: { type: "String", required: true, index: true },
+    },
+  };
+};
+
+/**
+ * Storage-agnostic store for one entity. Every call is routed to MongoDB
+ * when it is connected and to the in-memory store otherwise, so a database
+ * that connects after startup is picked up without re-registering routes.
+ * @param {string} entityName - Name of the entity
+ * @param {object} config - Entity configuration
+ * @param {object} options
+ * @param {() => boolean} options.isConnected - Current MongoDB connection state
+ * @param {object} options.memory - Shared in-memory records object
+ */
+export const createEntityStore = (
+  entityName,
+  config,
+  { isConnected, memory }
+) => {
+  const memoryStore = createMemoryStore(memory, entityName, config);
+  let mongoStore = null;
+
+  const current = () => {
+    if (!isConnected()) return memoryStore;
+    if (!mongoStore) {
+      const definition = modelDefinition(config);
+      const Model = createDynamicModel(entityName, definition);
+      syncTextIndex(Model, definition).catch((error) =>
+        console.warn(
+          `⚠️ Could not update the search index of ${entityName}:`,
+          error.message
+        )
+      );
+      mongoStore = createMongoStore(Model, config);
+    }
+    return mongoStore;
+  };
+
+  return {
+    get mode() {
+      return isConnected() ? "mongodb" : "memory";
+    },
+    list: (options) => current().list(options),
+    findById: (id, scope) => current().findById(id, scope),
+    create: (data) => current().create(data),
+    update: (id, data, scope) => current().update(id, data, scope),
+    remove: (id, scope) => current().remove(id, scope),
+    migrate: (operations, options) => current().migrate(operations, options),
+  };
+};
+
+export default { createEntityStore, createMongoStore, createMemoryStore };
@@ -0,0 +1,134 @@
+import express from "express";
+import rateLimit from "express-rate-limit";
+import { signToken, authenticate, requireRole } from "../middlewares/auth.js";
+
+/**
+ * Generates the /api/auth routes
+ * @param {object} options
+ * @param {object} options.users - User store (see utils/userStore.js)
+ * @param {string} options.secret - Token signing secret
+ * @param {string} options.expiresIn - Token lifetime (e.g. "12h")
+ * @returns {express.Router} - Express router
+ */
+export const generateAuthRoutes = ({ users, secret, expiresIn }) => {
+  const router = express.Router();
+  const requireAuth = authenticate({ secret, users });
+  const requireAdmin = requireRole("admin");
+
+  // Slows down password guessing; successful logins are not counted
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    skipSuccessfulRequests: true,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: { success: false, error: "Too many login attempts, try later" },
+  });
+
+  // ============================================
+  // POST - Exchange username/password for a token
+  // ============================================
+  router.post("/login", loginLimiter, async (req, res, next) => {
+    try {
+      const { username, password } = req.body || {};
+
+      if (!username || !password) {
+        return res.status(400).json({
+          success: false,
+          error: "username and password are required",
+        });
+      }
+
+      const user = await users.verify(username, password);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: "Invalid username or password",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { token: signToken(user, { secret, expiresIn }), user },
+      });
+    } catch (error) {
+      console.error("Error logging in:", error);
+      next(error);
+    }
+  });
+
+  // ============================================
+  // POST - Create an account
+  // The very first account is open and becomes the admin; after that only
+  // admins can create accounts. The user store counts an account from the
+  // moment create() is called, so only one request can claim the first slot.
+  // ============================================
+  const firstUserOrAdmin = (req, res, next) => {
+    if (users.count() === 0) return next();
+    requireAuth(req, res, () => requireAdmin(req, res, next));
+  };
+
+  router.post("/register", firstUserOrAdmin, async (req, res, next) => {
+    try {
+      const { username, password, role, tenantId } = req.body || {};
+      const isFirstUser = users.count() === 0;
+
+      // Another request claimed the first account since firstUserOrAdmin
+      // let this one through unauthenticated
+      if (!isFirstUser && req.user?.role !== "admin") {
+        return res.status(401).json({
+          success: false,
+          error: "Authentication required",
+        });
+      }
+
+      const user = await users.create({
+        username,
+        password,
+        role: isFirstUser ? "admin" : role,
+        tenantId,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: isFirstUser
+          ? { token: signToken(user, { secret, expiresIn }), user }
+          : { user },
+        message: `User ${user.username} created successfully`,
+      });
+    } catch (error) {
+      if (error.details) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details,
+        });
+      }
+      console.error("Error registering user:", error);
+      next(error);
+    }
+  });
+
+  // ============================================
+  // GET - Current user / setup state
+  // `needsSetup` tells the login screen to offer creating the first account.
+  // ============================================
+  router.get("/status", (req, res) => {
+    res.json({ success: true, data: { needsSetup: users.count() === 0 } });
+  });
+
+  router.get("/me", requireAuth, (req, res) => {
+    res.json({ success: true, data: req.user });
+  });
+
+  // ============================================
+  // GET - All accounts (admin only)
+  // ============================================
+  router.get("/users", requireAuth, requireAdmin, (req, res) => {
+    res.json({ success: true, data: users.list() });
+  });
+
+  return router;
+};
+
+export default { generateAuthRoutes };
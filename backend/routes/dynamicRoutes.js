@@ -1,304 +1,1005 @@
 import express from "express";
-import mongoose from "mongoose";
+import multer from "multer";
+import { validateBody } from "../middlewares/validateRequest.js";
+import { validateRecord } from "../utils/recordValidator.js";
+import {
+  canAccess,
+  canAccessField,
+  filterReadable,
+  unwritableFields,
+} from "../utils/permissions.js";
+import { tenantScope, withoutTenancyField } from "../utils/tenancy.js";
+import { parseFilterQuery, compileFilter } from "../utils/filters.js";
+import { parseSort } from "../utils/sorting.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { defaultSearchFields } from "../utils/search.js";
+import { parseFields, pickFields } from "../utils/projection.js";
+import {
+  checkReferences,
+  parseExpand,
+  expandRecords,
+  planDelete,
+  applyDeletePlan,
+} from "../utils/relations.js";
+import { conditionErrors, hiddenFields } from "../utils/conditions.js";
+import { sourcedFields, optionErrors } from "../utils/optionSources.js";
+import { computedFields, computeValues } from "../utils/expressions.js";
+import {
+  fileFields,
+  matchesAccept,
+  resolveFiles,
+  fileIds,
+  replacedFileIds,
+  discardFiles,
+} from "../utils/files.js";
+import { fileIdPrefix } from "../utils/fileStorage.js";
+
+const BULK_OPERATIONS = ["insertMany", "updateMany", "deleteMany"];
+
+// Entity permission each bulk operation requires
+const BULK_ACTIONS = {
+  insertMany: "create",
+  updateMany: "update",
+  deleteMany: "delete",
+};
+const MAX_BULK_ITEMS = 1000;
 
 /**
  * Generates REST API routes for an entity
  * @param {string} entityName - Name of the entity
  * @param {object} config - Entity configuration
- * @param {mongoose.Model} Model - Mongoose model
+ * @param {object} store - Entity store (see models/EntityStore.js)
+ * @param {object} options
+ * @param {(entityName: string) => object|null} options.resolve - { config, store } of another entity, for Ref fields
+ * @param {() => object} options.getEntities - Current schema.record, for onDelete rules
+ * @param {object} options.files - File storage (see utils/fileStorage.js), for File fields
  * @returns {express.Router} - Express router
  */
-export const generateRoutes = (entityName, config, Model) => {
+export const generateRoutes = (
+  entityName,
+  config,
+  store,
+  { resolve = () => null, getEntities = () => ({}), files = null } = {}
+) => {
   const router = express.Router();
+  const validateCreate = validateBody(config.backend.schema);
+  const validateUpdate = validateBody(config.backend.schema, { partial: true });
 
-  // Helper function to find record by ID (supports both custom id and _id)
-  const findRecordById = async (id) => {
-    // Try MongoDB _id first
-    if (mongoose.Types.ObjectId.isValid(id)) {
-      const record = await Model.findById(id).lean();
-      if (record) return record;
-    }
+  const notFound = (res) =>
+    res.status(404).json({
+      success: false,
+      error: `${entityName} not found`,
+    });
 
-    // Try custom id field
-    const numericId = !isNaN(id) ? parseInt(id) : id;
-    return await Model.findOne({ id: numericId }).lean();
+  // ============================================
+  // Permissions (see utils/permissions.js)
+  // ============================================
+  const forbidden = (res, details) =>
+    res.status(403).json({
+      success: false,
+      error: "Insufficient permissions",
+      ...(details && { details }),
+    });
+
+  const authorize = (action) => (req, res, next) =>
+    canAccess(config, action, req.user?.role) ? next() : forbidden(res);
+
+  const fieldErrors = (data, role) =>
+    unwritableFields(config, data, role).map(
+      (field) => `Not allowed to write field: ${field}`
+    );
+
+  const authorizeFields = (req, res, next) => {
+    const errors = fieldErrors(req.body, req.user?.role);
+    return errors.length > 0 ? forbidden(res, errors) : next();
   };
 
+  const visible = (req, record) =>
+    filterReadable(config, record, req.user?.role);
+
   // ============================================
-  // GET - Fetch all records (with pagination & search)
+  // Tenancy (see utils/tenancy.js)
+  // Every store call is limited to the caller's records; null when the
+  // entity is not isolated.
   // ============================================
-  router.get("/", async (req, res) => {
-    try {
-      const { page = 1, limit = 100, search = "" } = req.query;
+  const scopeOf = (req) => tenantScope(config, req.user);
 
-      let query = {};
-
-      // Search functionality
-      if (search && search.trim()) {
-        const stringFields = Object.entries(config.backend.schema)
-          .filter(([_, v]) => v.type === "String")
-          .map(([k, _]) => k);
+  const stripTenancy = (req, res, next) => {
+    req.body = withoutTenancyField(config, req.body);
+    next();
+  };
 
-        if (stringFields.length > 0) {
-          const searchQueries = stringFields.map((field) => ({
-            [field]: { $regex: search.trim(), $options: "i" },
-          }));
+  // ============================================
+  // References (see utils/relations.js)
+  // ============================================
+  const referenceErrors = (data, user) =>
+    checkReferences(config.backend.schema, data, { resolve, user });
 
-          query.$or = searchQueries;
-        }
+  const checkRefs = async (req, res, next) => {
+    try {
+      const errors = await referenceErrors(req.body, req.user);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation error",
+          details: errors,
+        });
       }
-
-      // Execute query with pagination
-      const records = await Model.find(query)
-        .limit(parseInt(limit))
-        .skip((parseInt(page) - 1) * parseInt(limit))
-        .sort({ createdAt: -1 })
-        .lean();
-
-      const total = await Model.countDocuments(query);
-
-      res.json({
-        success: true,
-        data: records,
-        pagination: {
-          total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(total / parseInt(limit)),
-        },
-      });
+      next();
     } catch (error) {
-      console.error(`Error fetching ${entityName}:`, error);
-      res.status(500).json({
-        success: false,
-        error: error.message,
-      });
+      next(error);
     }
-  });
+  };
 
   // ============================================
-  // GET - Fetch single record by ID
+  // Option sources (see utils/optionSources.js)
+  // Values of fields whose options come from another entity or a URL
+  // must be among those options.
   // ============================================
-  router.get("/:id", async (req, res) => {
-    try {
-      const { id } = req.params;
-      const record = await findRecordById(id);
+  const hasSources = sourcedFields(config.frontend?.fields).length > 0;
 
-      if (!record) {
-        return res.status(404).json({
+  const sourceErrors = (data, user) =>
+    hasSources
+      ? optionErrors(config.frontend.fields, data, { resolve, user })
+      : [];
+
+  const checkOptions = async (req, res, next) => {
+    if (!hasSources) return next();
+    try {
+      const errors = await sourceErrors(req.body, req.user);
+      if (errors.length > 0) {
+        return res.status(400).json({
           success: false,
-          error: `${entityName} not found`,
+          error: "Validation error",
+          details: errors,
         });
       }
-
-      res.json({
-        success: true,
-        data: record,
-      });
+      next();
     } catch (error) {
-      console.error(`Error fetching ${entityName} by ID:`, error);
-      res.status(500).json({
-        success: false,
-        error: error.message,
-      });
+      next(error);
     }
-  });
+  };
+
+  // Stored record an update applies to, loaded once per request
+  const existingOf = async (req) => {
+    if (!req.params.id) return null;
+    if (req.existing === undefined) {
+      req.existing = await store.findById(req.params.id, scopeOf(req));
+    }
+    return req.existing;
+  };
 
   // ============================================
-  // POST - Create new record
+  // Computed fields (see utils/expressions.js)
+  // Values sent by the client are dropped; they are calculated from the
+  // record as it will be stored once the input is valid.
   // ============================================
-  router.post("/", async (req, res) => {
-    try {
-      const newRecord = new Model(req.body);
-      const saved = await newRecord.save();
+  const computed = computedFields(config.backend.schema).fields;
+
+  const withoutComputed = (data) =>
+    computed.length === 0 || !data || typeof data !== "object"
+      ? data
+      : Object.fromEntries(
+          Object.entries(data).filter(
+            ([field]) => !computed.some((c) => c.field === field)
+          )
+        );
 
-      res.status(201).json({
-        success: true,
-        data: saved,
-        message: `${entityName} created successfully`,
-      });
+  const withComputed = (data, existing) =>
+    computed.length === 0
+      ? data
+      : {
+          ...data,
+          ...computeValues(config.backend.schema, computed, {
+            ...existing,
+            ...data,
+          }),
+        };
+
+  const stripComputed = (req, res, next) => {
+    req.body = withoutComputed(req.body);
+    next();
+  };
+
+  const compute = async (req, res, next) => {
+    if (computed.length === 0) return next();
+    try {
+      req.body = withComputed(req.body, await existingOf(req));
+      next();
     } catch (error) {
-      console.error(`Error creating ${entityName}:`, error);
+      next(error);
+    }
+  };
 
-      // Handle validation errors
-      if (error.name === "ValidationError") {
+  // ============================================
+  // Files (see utils/files.js)
+  // Records refer to uploaded files by id; the stored metadata is filled
+  // in on write, and files a record no longer refers to are removed.
+  // ============================================
+  const uploads = fileFields(config.backend.schema);
+
+  const withFiles = async (data) =>
+    resolveFiles(config.backend.schema, data, { storage: files, entityName });
+
+  const attachFiles = async (req, res, next) => {
+    if (uploads.length === 0) return next();
+    try {
+      const { data, errors } = await withFiles(req.body);
+      if (errors.length > 0) {
         return res.status(400).json({
           success: false,
           error: "Validation error",
-          details: Object.values(error.errors).map((e) => e.message),
+          details: errors,
         });
       }
+      req.body = data;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 
-      // Handle duplicate key errors
-      if (error.code === 11000) {
-        return res.status(409).json({
+  // Files of the deleted records, including those removed by cascades,
+  // unless another record of their entity still refers to them
+  const discardRecordFiles = async (removed) => {
+    for (const { entityName: name, record } of removed) {
+      const schema = getEntities()[name]?.backend?.schema;
+      const owner = name === entityName ? { store, schema } : resolve(name);
+      await discardFiles(
+        files,
+        fileIds(schema, record),
+        owner && { store: owner.store, schema }
+      );
+    }
+  };
+
+  const discardReplacedFiles = (before, changes) =>
+    discardFiles(
+      files,
+      replacedFileIds(config.backend.schema, before, changes),
+      { store, schema: config.backend.schema }
+    );
+
+  // ============================================
+  // Conditional fields (see utils/conditions.js)
+  // Rules are checked against the record as it will be stored, so updates
+  // are merged into the current record first. Values of fields a showIf
+  // rule hides are dropped, as the form leaves them out; computed values
+  // are kept.
+  // ============================================
+  const hasRules = (config.frontend?.fields || []).some(
+    (field) => field?.requiredIf !== undefined || field?.showIf !== undefined
+  );
+
+  const applyConditions = (data, existing) => {
+    const hidden = hiddenFields(config.frontend?.fields, {
+      ...existing,
+      ...data,
+    });
+    const kept = Object.fromEntries(
+      Object.entries(data).filter(
+        ([field]) =>
+          !hidden.includes(field) || computed.some((c) => c.field === field)
+      )
+    );
+    return {
+      data: kept,
+      errors: conditionErrors(config.frontend?.fields, {
+        ...existing,
+        ...kept,
+      }),
+    };
+  };
+
+  const checkConditions = async (req, res, next) => {
+    if (!hasRules) return next();
+    try {
+      const { data, errors } = applyConditions(req.body, await existingOf(req));
+      if (errors.length > 0) {
+        return res.status(400).json({
           success: false,
-          error: "Duplicate entry",
-          field: Object.keys(error.keyPattern)[0],
+          error: "Validation error",
+          details: errors,
         });
       }
+      req.body = data;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Deletes a record, then applies the onDelete rules of the records
+  // referencing it. Returns { blocking } instead when a restrict rule
+  // applies, or null when the record does not exist.
+  const removeRecord = async (id, user, scope) => {
+    const record = await store.findById(id, scope);
+    if (!record) return null;
+
+    const plan = await planDelete(entityName, [String(record._id)], {
+      entities: getEntities(),
+      resolve,
+      user,
+    });
+    if (plan.blocking.length > 0) return { blocking: plan.blocking };
+
+    // The record goes first: if a later step fails, nothing is left
+    // pointing at a record that was kept
+    const deleted = await store.remove(String(record._id), scope);
+    if (!deleted) return null;
+
+    const { removed, failed } = await applyDeletePlan(plan, resolve);
+    for (const { entityName: name, id: failedId, error } of failed) {
+      console.warn(
+        `⚠️ Could not apply onDelete of ${entityName}/${deleted._id} to ${name}/${failedId}:`,
+        error
+      );
+    }
+    await discardRecordFiles([{ entityName, record: deleted }, ...removed]);
+    return { deleted };
+  };
 
-      res.status(400).json({
+  const blockingDetails = (blocking) =>
+    blocking.map(({ entity, field, onDelete, count }) =>
+      onDelete === "cascade"
+        ? `Would also delete ${count} ${entity} record(s) through "${field}", which you may not delete`
+        : `Referenced by ${count} ${entity} record(s) through "${field}"`
+    );
+
+  const parseExpandFor = (req, expand) =>
+    parseExpand(config.backend.schema, expand, {
+      canExpand: (field) =>
+        canAccessField(config, field, "read", req.user?.role),
+    });
+
+  const expand = (req, records, fields) =>
+    expandRecords(records, fields, {
+      schemaDefinition: config.backend.schema,
+      resolve,
+      user: req.user,
+    });
+
+  // Hidden fields must not be searchable either, or they could be guessed
+  const searchFields = (role) =>
+    defaultSearchFields(config.backend.schema).filter((field) =>
+      canAccessField(config, field, "read", role)
+    );
+
+  // Shared by GET / (query string) and POST /query (JSON body)
+  const listRecords = async (
+    req,
+    res,
+    {
+      page = 1,
+      limit = 100,
+      search = "",
+      filter,
+      filterErrors = [],
+      sort,
+      paginate,
+      cursor,
+      fields,
+      expand: expandFields,
+    }
+  ) => {
+    const role = req.user?.role;
+    const readable = (field) => canAccessField(config, field, "read", role);
+    const { conditions, errors } = compileFilter(
+      config.backend.schema,
+      filter,
+      { canFilter: readable }
+    );
+
+    if (filterErrors.length > 0 || errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: error.message,
+        error: "Invalid filter",
+        details: [...filterErrors, ...errors],
       });
     }
+
+    const sorting = parseSort(config.backend.schema, sort, {
+      canSort: readable,
+    });
+    if (sorting.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid sort",
+        details: sorting.errors,
+      });
+    }
+
+    const projection = parseFields(config.backend.schema, fields, {
+      canRead: readable,
+    });
+    if (projection.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid fields",
+        details: projection.errors,
+      });
+    }
+
+    const expansion = parseExpandFor(req, expandFields);
+    if (expansion.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid expand",
+        details: expansion.errors,
+      });
+    }
+
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
+    const paginationErrors = [
+      ["page", pageNum],
+      ["limit", limitNum],
+    ]
+      .filter(([, value]) => !Number.isInteger(value) || value < 1)
+      .map(([name]) => `${name} must be a whole number of at least 1`);
+    if (paginationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pagination",
+        details: paginationErrors,
+      });
+    }
+
+    const listOptions = {
+      search: String(search),
+      searchFields: searchFields(role),
+      filter: conditions,
+      sort: sorting.sort,
+      scope: scopeOf(req),
+      // Sort fields are always read so cursors can be built from the page
+      fields: projection.fields && [
+        ...new Set([
+          ...projection.fields,
+          ...sorting.sort.map(({ field }) => field),
+        ]),
+      ],
+    };
+    const present = (records) =>
+      expand(
+        req,
+        records.map((record) =>
+          visible(req, pickFields(record, projection.fields))
+        ),
+        expansion.fields
+      );
+
+    if (paginate === "cursor" || cursor !== undefined) {
+      return listByCursor(res, listOptions, present, cursor, limitNum);
+    }
+
+    const { records, total } = await store.list({
+      ...listOptions,
+      // Search results are ranked by relevance unless a sort is requested
+      rank: sort === undefined || sort === "",
+      skip: (pageNum - 1) * limitNum,
+      limit: limitNum,
+    });
+
+    res.json({
+      success: true,
+      data: await present(records),
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        totalPages: Math.ceil(total / limitNum),
+      },
+    });
+  };
+
+  // Keyset pages: one extra record is read to tell whether more follow
+  const listByCursor = async (res, listOptions, present, token, limit) => {
+    let position = null;
+    if (token) {
+      const decoded = decodeCursor(token, listOptions.sort);
+      if (decoded.error) {
+        return res.status(400).json({ success: false, error: decoded.error });
+      }
+      position = decoded.cursor;
+    }
+
+    const backwards = position?.direction === "prev";
+    const { records } = await store.list({
+      ...listOptions,
+      cursor: position,
+      skip: 0,
+      limit: limit + 1,
+      withTotal: false,
+    });
+
+    const hasMore = records.length > limit;
+    if (hasMore) {
+      if (backwards) records.shift();
+      else records.pop();
+    }
+
+    const first = records[0];
+    const last = records[records.length - 1];
+    const hasNext = backwards || hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(position);
+
+    res.json({
+      success: true,
+      data: await present(records),
+      pagination: {
+        mode: "cursor",
+        limit,
+        nextCursor:
+          hasNext && last ? encodeCursor(last, listOptions.sort, "next") : null,
+        prevCursor:
+          hasPrev && first
+            ? encodeCursor(first, listOptions.sort, "prev")
+            : null,
+      },
+    });
+  };
+
+  // ============================================
+  // GET - Fetch all records (with pagination, search, filters & sort)
+  //   ?filter[field][op]=value, ?filter[field]=value or ?filter={json}
+  //   (see utils/filters.js)
+  //   ?sort=-field,field (see utils/sorting.js)
+  //   ?search=words "exact phrase" -excluded (see utils/search.js)
+  //   ?fields=field,field to return only some fields (see utils/projection.js)
+  //   ?expand=refField,refField to embed referenced records
+  //   ?paginate=cursor&cursor=<nextCursor|prevCursor> for keyset pages
+  //   (see utils/cursor.js)
+  // ============================================
+  router.get("/", authorize("read"), async (req, res, next) => {
+    try {
+      const { filter, errors } = parseFilterQuery(req.query);
+      await listRecords(req, res, {
+        ...req.query,
+        filter,
+        filterErrors: errors,
+      });
+    } catch (error) {
+      console.error(`Error fetching ${entityName}:`, error);
+      next(error);
+    }
   });
 
   // ============================================
-  // PUT - Update record by ID
+  // POST - Query records with a JSON body
+  //   { filter: { field: { op: value } }, sort, page, limit, search, fields,
+  //     expand }
+  //   or { ..., paginate: "cursor", cursor } for keyset pages
   // ============================================
-  router.put("/:id", async (req, res) => {
+  router.post("/query", authorize("read"), async (req, res, next) => {
     try {
-      const { id } = req.params;
-      let updated;
-
-      // Try MongoDB _id first
-      if (mongoose.Types.ObjectId.isValid(id)) {
-        updated = await Model.findByIdAndUpdate(id, req.body, {
-          new: true,
-          runValidators: true,
-          lean: true,
+      await listRecords(req, res, req.body || {});
+    } catch (error) {
+      console.error(`Error querying ${entityName}:`, error);
+      next(error);
+    }
+  });
+
+  // ============================================
+  // POST - Bulk operations
+  //   insertMany: data = [record, ...]
+  //   updateMany: data = [{ id, data: changes }, ...]
+  //   deleteMany: data = [id, ...] (or { ids: [...] })
+  // Every item is processed independently and reported in `results`.
+  // ============================================
+  router.post("/bulk", async (req, res) => {
+    const { operation } = req.body || {};
+    let items = req.body?.data;
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported bulk operation: ${operation}`,
+        supportedOperations: BULK_OPERATIONS,
+      });
+    }
+
+    if (!canAccess(config, BULK_ACTIONS[operation], req.user?.role)) {
+      return forbidden(res);
+    }
+
+    if (operation === "deleteMany" && items && Array.isArray(items.ids)) {
+      items = items.ids;
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '"data" must be a non-empty array',
+      });
+    }
+
+    if (items.length > MAX_BULK_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `Bulk operations are limited to ${MAX_BULK_ITEMS} items`,
+      });
+    }
+
+    const scope = scopeOf(req);
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      try {
+        let result;
+
+        if (operation === "insertMany") {
+          result = await bulkInsert(item, req.user, scope);
+        } else if (operation === "updateMany") {
+          result = await bulkUpdate(item, req.user, scope);
+        } else {
+          result = await bulkDelete(item, req.user, scope);
+        }
+
+        if (result.data) {
+          result.data = filterReadable(config, result.data, req.user?.role);
+        }
+        results.push({ index, success: true, ...result });
+      } catch (error) {
+        results.push({
+          index,
+          success: false,
+          id: operation === "insertMany" ? undefined : bulkItemId(item),
+          error: error.message,
+          details:
+            error.details ||
+            (error.name === "ValidationError"
+              ? Object.values(error.errors).map((e) => e.message)
+              : undefined),
+          blocking: error.blocking,
         });
       }
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+    const failed = results.length - succeeded;
+
+    // 207 when only part of the batch went through
+    const status = failed === 0 ? 200 : succeeded === 0 ? 400 : 207;
+
+    res.status(status).json({
+      success: failed === 0,
+      operation,
+      summary: { total: results.length, succeeded, failed },
+      results,
+    });
+  });
+
+  const validateItem = async (item, user, options, existing) => {
+    const data = withoutComputed(withoutTenancyField(config, item));
+    const denied = fieldErrors(data, user?.role);
+    if (denied.length > 0) {
+      const error = new Error("Insufficient permissions");
+      error.details = denied;
+      throw error;
+    }
+
+    const result = validateRecord(config.backend.schema, data, options);
+    const attached = result.valid
+      ? await withFiles(result.data)
+      : { data: result.data, errors: result.errors };
+    const checked =
+      attached.errors.length === 0
+        ? applyConditions(withComputed(attached.data, existing), existing)
+        : { data: attached.data, errors: [] };
+    const record = checked.data;
+    const errors =
+      attached.errors.length === 0
+        ? [
+            ...checked.errors,
+            ...(await referenceErrors(record, user)),
+            ...(await sourceErrors(record, user)),
+          ]
+        : attached.errors;
+    if (errors.length > 0) {
+      const error = new Error("Validation error");
+      error.details = errors;
+      throw error;
+    }
+    return record;
+  };
+
+  const bulkItemId = (item) =>
+    typeof item === "object" && item !== null ? item.id ?? item._id : item;
+
+  const bulkInsert = async (item, user, scope) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error("Item must be an object");
+    }
+    const saved = await store.create({
+      ...(await validateItem(item, user)),
+      ...scope,
+    });
+    return { id: String(saved._id), data: saved };
+  };
+
+  const bulkUpdate = async (item, user, scope) => {
+    const id = bulkItemId(item);
+    if (!id) throw new Error('Item must contain an "id"');
+    if (!item.data || typeof item.data !== "object") {
+      throw new Error('Item must contain a "data" object');
+    }
+
+    const needsExisting = hasRules || computed.length > 0 || uploads.length > 0;
+    const existing = needsExisting ? await store.findById(id, scope) : null;
+    if (needsExisting && !existing) {
+      throw new Error(`${entityName} not found`);
+    }
+    const changes = await validateItem(
+      item.data,
+      user,
+      { partial: true },
+      existing
+    );
+    const updated = await store.update(id, changes, scope);
+    if (!updated) throw new Error(`${entityName} not found`);
+    await discardReplacedFiles(existing, changes);
+    return { id, data: updated };
+  };
+
+  const bulkDelete = async (item, user, scope) => {
+    const id = bulkItemId(item);
+    if (!id) throw new Error('Item must be an id or contain an "id"');
+
+    const result = await removeRecord(id, user, scope);
+    if (!result) throw new Error(`${entityName} not found`);
+    if (result.blocking) {
+      const error = new Error(`${entityName} is still referenced`);
+      error.details = blockingDetails(result.blocking);
+      error.blocking = result.blocking;
+      throw error;
+    }
+    return { id };
+  };
+
+  // ============================================
+  // POST - Upload a file for a File field (multipart, "file" part)
+  // Returns the stored file; records then refer to it by its id.
+  // ============================================
+  router.post("/files/:field", (req, res, next) => {
+    const role = req.user?.role;
+    const upload = uploads.find(({ field }) => field === req.params.field);
+
+    if (
+      !canAccess(config, "create", role) &&
+      !canAccess(config, "update", role)
+    ) {
+      return forbidden(res);
+    }
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: `${entityName} has no file field: ${req.params.field}`,
+      });
+    }
+    if (!canAccessField(config, upload.field, "write", role)) {
+      return forbidden(res, [`Not allowed to write field: ${upload.field}`]);
+    }
+
+    const parse = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: upload.maxSize, files: 1 },
+    }).single("file");
+
+    parse(req, res, async (error) => {
+      try {
+        if (error?.code === "LIMIT_FILE_SIZE") {
+          return res.status(413).json({
+            success: false,
+            error: `File is larger than ${upload.maxSize} bytes`,
+          });
+        }
+        if (error instanceof multer.MulterError) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error) return next(error);
+
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            error: 'Expected a multipart "file" part',
+          });
+        }
+        if (!matchesAccept(req.file.mimetype, upload.accept)) {
+          return res.status(415).json({
+            success: false,
+            error: `File type ${req.file.mimetype} is not allowed`,
+            details: [`Accepted types: ${upload.accept.join(", ")}`],
+          });
+        }
+        if (!files) {
+          return res.status(503).json({
+            success: false,
+            error: "File storage is not configured",
+          });
+        }
 
-      // If not found, try custom id field
-      if (!updated) {
-        const numericId = !isNaN(id) ? parseInt(id) : id;
-        updated = await Model.findOneAndUpdate({ id: numericId }, req.body, {
-          new: true,
-          runValidators: true,
-          lean: true,
+        const saved = await files.save({
+          buffer: req.file.buffer,
+          name: req.file.originalname,
+          type: req.file.mimetype,
+          prefix: fileIdPrefix(entityName, upload.field),
         });
+        res.status(201).json({ success: true, data: saved });
+      } catch (uploadError) {
+        console.error(`Error uploading ${entityName} file:`, uploadError);
+        next(uploadError);
       }
+    });
+  });
 
-      if (!updated) {
-        return res.status(404).json({
+  // ============================================
+  // GET - Fetch single record by ID (?fields=field,field&expand=refField)
+  // ============================================
+  router.get("/:id", authorize("read"), async (req, res, next) => {
+    try {
+      const projection = parseFields(config.backend.schema, req.query.fields, {
+        canRead: (field) =>
+          canAccessField(config, field, "read", req.user?.role),
+      });
+      if (projection.errors.length > 0) {
+        return res.status(400).json({
           success: false,
-          error: `${entityName} not found`,
+          error: "Invalid fields",
+          details: projection.errors,
         });
       }
 
-      res.json({
-        success: true,
-        data: updated,
-        message: `${entityName} updated successfully`,
-      });
-    } catch (error) {
-      console.error(`Error updating ${entityName}:`, error);
-
-      if (error.name === "ValidationError") {
+      const expansion = parseExpandFor(req, req.query.expand);
+      if (expansion.errors.length > 0) {
         return res.status(400).json({
           success: false,
-          error: "Validation error",
-          details: Object.values(error.errors).map((e) => e.message),
+          error: "Invalid expand",
+          details: expansion.errors,
         });
       }
 
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
+      const record = await store.findById(req.params.id, scopeOf(req));
+
+      if (!record) return notFound(res);
+
+      const [data] = await expand(
+        req,
+        [visible(req, pickFields(record, projection.fields))],
+        expansion.fields
+      );
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error(`Error fetching ${entityName} by ID:`, error);
+      next(error);
     }
   });
 
   // ============================================
-  // PATCH - Partial update
+  // POST - Create new record
   // ============================================
-  router.patch("/:id", async (req, res) => {
+  const guardCreate = [
+    authorize("create"),
+    stripTenancy,
+    stripComputed,
+    authorizeFields,
+    validateCreate,
+    attachFiles,
+    compute,
+    checkConditions,
+    checkRefs,
+    checkOptions,
+  ];
+  router.post("/", ...guardCreate, async (req, res, next) => {
     try {
-      const { id } = req.params;
-      let updated;
-
-      // Try MongoDB _id first
-      if (mongoose.Types.ObjectId.isValid(id)) {
-        updated = await Model.findByIdAndUpdate(
-          id,
-          { $set: req.body },
-          {
-            new: true,
-            runValidators: true,
-            lean: true,
-          }
-        );
-      }
+      const saved = await store.create({ ...req.body, ...scopeOf(req) });
 
-      // If not found, try custom id field
-      if (!updated) {
-        const numericId = !isNaN(id) ? parseInt(id) : id;
-        updated = await Model.findOneAndUpdate(
-          { id: numericId },
-          { $set: req.body },
-          {
-            new: true,
-            runValidators: true,
-            lean: true,
-          }
-        );
-      }
+      res.status(201).json({
+        success: true,
+        data: visible(req, saved),
+        message: `${entityName} created successfully`,
+      });
+    } catch (error) {
+      console.error(`Error creating ${entityName}:`, error);
+      next(error);
+    }
+  });
 
-      if (!updated) {
-        return res.status(404).json({
-          success: false,
-          error: `${entityName} not found`,
-        });
-      }
+  // ============================================
+  // PUT / PATCH - Update record by ID
+  // Both merge the given fields into the stored record.
+  // ============================================
+  const updateHandler = async (req, res, next) => {
+    try {
+      const before = uploads.length > 0 ? await existingOf(req) : null;
+      const updated = await store.update(req.params.id, req.body, scopeOf(req));
+
+      if (!updated) return notFound(res);
+      await discardReplacedFiles(before, req.body);
 
       res.json({
         success: true,
-        data: updated,
+        data: visible(req, updated),
         message: `${entityName} updated successfully`,
       });
     } catch (error) {
-      console.error(`Error patching ${entityName}:`, error);
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
+      console.error(`Error updating ${entityName}:`, error);
+      next(error);
     }
-  });
+  };
+
+  const guardUpdate = [
+    authorize("update"),
+    stripTenancy,
+    stripComputed,
+    authorizeFields,
+    validateUpdate,
+    attachFiles,
+    compute,
+    checkConditions,
+    checkRefs,
+    checkOptions,
+  ];
+  router.put("/:id", ...guardUpdate, updateHandler);
+  router.patch("/:id", ...guardUpdate, updateHandler);
 
   // ============================================
   // DELETE - Delete record by ID
+  // Records referencing it are handled by their onDelete rule; a
+  // "restrict" rule, or a cascade into an entity the user may not delete
+  // from, answers 409 with the blocking records.
   // ============================================
-  router.delete("/:id", async (req, res) => {
+  router.delete("/:id", authorize("delete"), async (req, res, next) => {
     try {
-      const { id } = req.params;
-      let deleted;
-
-      // Try MongoDB _id first
-      if (mongoose.Types.ObjectId.isValid(id)) {
-        deleted = await Model.findByIdAndDelete(id).lean();
-      }
-
-      // If not found, try custom id field
-      if (!deleted) {
-        const numericId = !isNaN(id) ? parseInt(id) : id;
-        deleted = await Model.findOneAndDelete({ id: numericId }).lean();
-      }
+      const result = await removeRecord(req.params.id, req.user, scopeOf(req));
 
-      if (!deleted) {
-        return res.status(404).json({
+      if (!result) return notFound(res);
+      if (result.blocking) {
+        return res.status(409).json({
           success: false,
-          error: `${entityName} not found`,
+          error: `${entityName} is still referenced`,
+          details: blockingDetails(result.blocking),
+          blocking: result.blocking,
         });
       }
 
       res.json({
         success: true,
-        data: deleted,
+        data: visible(req, result.deleted),
         message: `${entityName} deleted successfully`,
       });
     } catch (error) {
       console.error(`Error deleting ${entityName}:`, error);
-      res.status(500).json({
-        success: false,
-        error: error.message,
-      });
+      next(error);
     }
   });
 
   return router;
 };
 
-export default { generateRoutes };
+/**
+ * Creates the single middleware that serves every entity route.
+ * Entity routers are never mounted on the app directly; `mount` swaps in a
+ * fresh set built from the current schema, so removed or renamed entities
+ * stop answering immediately and no stale router can shadow a new one.
+ * @returns {Function} - Express middleware with a `mount(routes)` method
+ */
+export const createEntityDispatcher = () => {
+  let current = express.Router();
+
+  const dispatcher = (req, res, next) => current(req, res, next);
+
+  /**
+   * @param {Array<[string, ...Function]>} routes - [route, ...handlers] entries
+   */
+  dispatcher.mount = (routes) => {
+    const router = express.Router();
+    for (const [route, ...handlers] of routes) {
+      router.use(route, ...handlers);
+    }
+    current = router;
+  };
+
+  return dispatcher;
+};
+
+export default { generateRoutes, createEntityDispatcher };
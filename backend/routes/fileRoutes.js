@@ -0,0 +1,51 @@
+import express from "express";
+
+/**
+ * Generates the /api/files routes, serving uploaded files by id
+ * (see utils/files.js). They are public so <img> tags can load them;
+ * ids are random and only handed out to users who can read the record.
+ * @param {object} options
+ * @param {object} options.storage - File storage (see utils/fileStorage.js)
+ * @returns {express.Router} - Express router
+ */
+export const generateFileRoutes = ({ storage }) => {
+  const router = express.Router();
+
+  // ============================================
+  // GET - Download a file
+  // Images are shown inline, anything else is downloaded; uploads never
+  // run as a page of the API's origin.
+  // ============================================
+  router.get("/:id", async (req, res, next) => {
+    try {
+      const file = await storage.read(req.params.id);
+
+      if (!file) {
+        return res
+          .status(404)
+          .json({ success: false, error: "File not found" });
+      }
+
+      res.set({
+        "Content-Type": file.type || "application/octet-stream",
+        "Content-Length": file.size,
+        "X-Content-Type-Options": "nosniff",
+        "Content-Security-Policy": "default-src 'none'; sandbox",
+        "Cache-Control": "private, max-age=31536000, immutable",
+      });
+      if (String(file.type).startsWith("image/")) {
+        res.set("Content-Disposition", "inline");
+      } else {
+        res.attachment(file.name);
+      }
+
+      file.stream.on("error", next).pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+export default { generateFileRoutes };
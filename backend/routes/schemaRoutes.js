@@ -0,0 +1,253 @@
+import express from "express";
+import { diffSchemas } from "../utils/schemaHistory.js";
+import { planMigrations, runMigrations } from "../utils/migrations.js";
+import { validateSchema } from "../utils/schemaValidator.js";
+import { resolveSchema } from "../utils/formDerivation.js";
+
+const MIGRATION_MODES = ["dry-run", "apply"];
+
+/**
+ * Generates the /api/schema routes
+ * @param {object} options
+ * @param {() => object} options.getSchema - Returns the live schema
+ * @param {(schema: object) => string[]} options.applySchema - Saves a schema, re-registers routes and returns them
+ * @param {object} options.history - Schema history (see utils/schemaHistory.js)
+ * @param {(entityName: string) => object} options.getStore - Entity store lookup
+ * @param {Function} options.authorizeChange - Middleware guarding schema changes
+ * @returns {express.Router} - Express router
+ */
+export const generateSchemaRoutes = ({
+  getSchema,
+  applySchema,
+  history,
+  getStore,
+  authorizeChange = (req, res, next) => next(),
+}) => {
+  const router = express.Router();
+
+  const versionNotFound = (res, version) =>
+    res.status(404).json({
+      success: false,
+      error: `Schema version not found: ${version}`,
+    });
+
+  // Every schema change goes through the same steps: validate, plan the
+  // data migrations, then (unless it is a dry run) migrate, apply and
+  // record a version. Responds to the request.
+  const changeSchema = async (
+    req,
+    res,
+    newSchema,
+    { message, rolledBackFrom, successMessage }
+  ) => {
+    const { migrate } = req.query;
+
+    const validation = validateSchema(newSchema);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid schema",
+        details: validation.errors,
+        warnings: validation.warnings,
+      });
+    }
+
+    if (migrate !== undefined && !MIGRATION_MODES.includes(migrate)) {
+      throw new Error(
+        `Unknown migrate mode "${migrate}", expected one of: ${MIGRATION_MODES.join(
+          ", "
+        )}`
+      );
+    }
+
+    const plan = planMigrations(getSchema(), newSchema);
+
+    if (migrate === "dry-run") {
+      return res.json({
+        success: true,
+        message: "Migration dry run, nothing was changed",
+        migration: {
+          mode: "dry-run",
+          entities: await runMigrations(plan, getStore, { dryRun: true }),
+          warnings: plan.warnings,
+        },
+        warnings: validation.warnings,
+      });
+    }
+
+    // Records are migrated before the schema goes live, so a failed
+    // migration leaves the live schema and its history untouched. Records
+    // migrated before the failure keep their changes.
+    let migration = {
+      mode: "none",
+      pending: plan.entities,
+      warnings: plan.warnings,
+    };
+    if (migrate === "apply") {
+      try {
+        migration = {
+          mode: "apply",
+          entities: await runMigrations(plan, getStore),
+          warnings: plan.warnings,
+        };
+      } catch (error) {
+        console.error("❌ Schema migration error:", error);
+        return res.status(500).json({
+          success: false,
+          error: `Migration failed, the schema was not applied: ${error.message}`,
+          migration: { mode: "apply", warnings: plan.warnings },
+        });
+      }
+    }
+
+    const diff = diffSchemas(getSchema(), newSchema);
+    const routes = applySchema(newSchema);
+
+    // Re-applying an identical schema does not create a new version. The
+    // version notes whether its records were migrated.
+    const needsMigration = Object.keys(plan.entities).length > 0;
+    const entry =
+      diff.changes.length > 0 || !history.latest()
+        ? history.record(newSchema, {
+            author: req.user?.username,
+            message,
+            rolledBackFrom,
+            ...(needsMigration && {
+              migration: migration.mode === "apply" ? "applied" : "pending",
+            }),
+          })
+        : history.latest();
+
+    res.json({
+      success: true,
+      message: successMessage,
+      version: entry.version,
+      diff: diff.summary,
+      migration,
+      warnings: validation.warnings,
+      entities: Object.keys(newSchema.record),
+      routes,
+      data: newSchema,
+    });
+  };
+
+  // ============================================
+  // GET - Current schema
+  // Form fields and columns are derived from backend.schema with the
+  // frontend section applied as overrides; ?raw=true returns the schema as
+  // stored, e.g. for editing.
+  // ============================================
+  router.get("/", (req, res) => {
+    res.json({
+      success: true,
+      data: req.query.raw === "true" ? getSchema() : resolveSchema(getSchema()),
+      version: history.latest()?.version,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // ============================================
+  // POST - Replace the schema and record a new version
+  // Optional ?message= describes the change; the signed-in user is the author.
+  // ?migrate=dry-run reports how existing records would be migrated without
+  // changing anything; ?migrate=apply migrates them, then updates the schema.
+  // ============================================
+  router.post("/update", authorizeChange, async (req, res) => {
+    try {
+      await changeSchema(req, res, req.body, {
+        message: req.query.message,
+        successMessage: "Schema updated successfully",
+      });
+    } catch (error) {
+      console.error("❌ Schema update error:", error);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // POST - Validate a schema without applying it
+  // ============================================
+  router.post("/validate", (req, res) => {
+    res.json({
+      success: true,
+      data: validateSchema(req.body),
+    });
+  });
+
+  // ============================================
+  // GET - Version history (newest first)
+  // ============================================
+  router.get("/versions", (req, res) => {
+    res.json({
+      success: true,
+      data: history.list(),
+    });
+  });
+
+  // ============================================
+  // GET - A single version, including its full schema
+  // ============================================
+  router.get("/versions/:version", (req, res) => {
+    const entry = history.get(req.params.version);
+    if (!entry) return versionNotFound(res, req.params.version);
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  });
+
+  // ============================================
+  // GET - Diff between two versions
+  // ?from defaults to the version before ?to, ?to defaults to the latest
+  // ============================================
+  router.get("/diff", (req, res) => {
+    const to = Number(req.query.to ?? history.latest()?.version);
+    const from = Number(req.query.from ?? to - 1);
+
+    const toEntry = history.get(to);
+    if (!toEntry) return versionNotFound(res, req.query.to ?? to);
+
+    // Diffing against "version 0" shows the first version in full
+    const fromEntry =
+      from === 0 ? { schema: { record: {} } } : history.get(from);
+    if (!fromEntry) return versionNotFound(res, req.query.from ?? from);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      data: diffSchemas(fromEntry.schema, toEntry.schema),
+    });
+  });
+
+  // ============================================
+  // POST - Roll back to a previous version
+  // The old schema goes through the same validation and migration planning
+  // as /update (including ?migrate=dry-run|apply, which also reverts
+  // renames and casts) and is recorded as a new version.
+  // ============================================
+  router.post(
+    "/versions/:version/rollback",
+    authorizeChange,
+    async (req, res) => {
+      try {
+        const target = history.get(req.params.version);
+        if (!target) return versionNotFound(res, req.params.version);
+
+        await changeSchema(req, res, target.schema, {
+          message: req.query.message || `Rollback to version ${target.version}`,
+          rolledBackFrom: target.version,
+          successMessage: `Schema rolled back to version ${target.version}`,
+        });
+      } catch (error) {
+        console.error("❌ Schema rollback error:", error);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    }
+  );
+
+  return router;
+};
+
+export default { generateSchemaRoutes };
@@ -3,9 +3,25 @@ import mongoose from "mongoose";
 import cors from "cors";
 import bodyParser from "body-parser";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
 import "dotenv/config";
+import { createEntityStore } from "./models/EntityStore.js";
+import {
+  generateRoutes,
+  createEntityDispatcher,
+} from "./routes/dynamicRoutes.js";
+import { generateSchemaRoutes } from "./routes/schemaRoutes.js";
+import { errorHandler } from "./middlewares/errorHandler.js";
+import { createSchemaHistory } from "./utils/schemaHistory.js";
+import { validateSchema } from "./utils/schemaValidator.js";
+import { createUserStore } from "./utils/userStore.js";
+import { authenticate, requireRole } from "./middlewares/auth.js";
+import { generateAuthRoutes } from "./routes/authRoutes.js";
+import { generateFileRoutes } from "./routes/fileRoutes.js";
+import { createFileStorage } from "./utils/fileStorage.js";
+import { sweepUnattachedFiles } from "./utils/files.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,9 +31,15 @@ const app = express();
 // ============================================
 // MIDDLEWARE SETUP
 // ============================================
+// Comma-separated list of frontends allowed to call the API
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 app.use(
   cors({
-    origin: "*",
+    origin: CORS_ORIGINS,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
     credentials: true,
   })
@@ -58,11 +80,10 @@ if (MONGODB_URI) {
 // ============================================
 // LOAD SCHEMA CONFIGURATION
 // ============================================
+const schemaPath = path.join(__dirname, "schemaConfig.json");
 let currentSchema;
 
 try {
-  const schemaPath = path.join(__dirname, "schemaConfig.json");
-
   if (fs.existsSync(schemaPath)) {
     const schemaData = fs.readFileSync(schemaPath, "utf8");
     currentSchema = JSON.parse(schemaData);
@@ -107,270 +128,78 @@ try {
   currentSchema = { record: {} };
 }
 
+// Invalid entities are still loaded, but the problems are reported
+validateSchema(currentSchema).errors.forEach((message) =>
+  console.warn(`⚠️ Schema: ${message}`)
+);
+
 // ============================================
 // IN-MEMORY STORAGE (FALLBACK)
 // ============================================
 const memoryStore = {};
 
 // ============================================
-// DYNAMIC MODEL CREATOR
+// AUTHENTICATION
 // ============================================
-const modelCache = {};
-
-const createDynamicModel = (entityName, config) => {
-  const modelName = entityName.charAt(0).toUpperCase() + entityName.slice(1);
-
-  // Return cached model
-  if (modelCache[modelName]) {
-    return modelCache[modelName];
-  }
-
-  // Delete existing model
-  if (mongoose.models[modelName]) {
-    delete mongoose.models[modelName];
-  }
-
-  const schemaFields = {};
-
-  for (const [fieldName, fieldConfig] of Object.entries(config.schema)) {
-    const field = {};
-
-    // Type mapping
-    switch (fieldConfig.type) {
-      case "String":
-        field.type = String;
-        break;
-      case "Number":
-        field.type = Number;
-        break;
-      case "Boolean":
-        field.type = Boolean;
-        break;
-      case "Date":
-        field.type = Date;
-        break;
-      case "Array":
-        field.type = Array;
-        break;
-      default:
-        field.type = String;
-    }
-
-    if (fieldConfig.required) field.required = true;
-    if (fieldConfig.unique) field.unique = true;
-    if (fieldConfig.default === "Date.now") field.default = Date.now;
-    else if (fieldConfig.default) field.default = fieldConfig.default;
-    if (fieldConfig.enum) field.enum = fieldConfig.enum;
+const JWT_SECRET =
+  process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "12h";
 
-    schemaFields[fieldName] = field;
-  }
+if (!process.env.JWT_SECRET) {
+  console.warn("⚠️ JWT_SECRET not set, sessions will not survive a restart");
+}
 
-  const schema = new mongoose.Schema(schemaFields, {
-    timestamps: true,
-    strict: false,
-  });
+const users = createUserStore(path.join(__dirname, "users.json"));
+
+// Optional bootstrap account, e.g. for deployments without a setup step
+if (
+  users.count() === 0 &&
+  process.env.ADMIN_USERNAME &&
+  process.env.ADMIN_PASSWORD
+) {
+  users
+    .create({
+      username: process.env.ADMIN_USERNAME,
+      password: process.env.ADMIN_PASSWORD,
+      role: "admin",
+    })
+    .then((user) => console.log(`✅ Admin account created: ${user.username}`))
+    .catch((error) =>
+      console.warn("⚠️ Could not create admin account:", error.details)
+    );
+}
 
-  const model = mongoose.model(modelName, schema);
-  modelCache[modelName] = model;
+const requireAuth = authenticate({ secret: JWT_SECRET, users });
 
-  console.log(`📦 Model created: ${modelName}`);
-  return model;
-};
+app.use(
+  "/api/auth",
+  generateAuthRoutes({ users, secret: JWT_SECRET, expiresIn: JWT_EXPIRES_IN })
+);
 
 // ============================================
-// DYNAMIC ROUTES CREATOR
+// FILE STORAGE
 // ============================================
-const createRoutes = (entityName, config, Model) => {
-  const router = express.Router();
-
-  // GET all items
-  router.get("/", async (req, res) => {
-    try {
-      const { page = 1, limit = 10, search = "" } = req.query;
-
-      if (isMongoConnected && Model) {
-        // Use MongoDB
-        let query = {};
-
-        if (search) {
-          const stringFields = Object.entries(config.schema)
-            .filter(([_, v]) => v.type === "String")
-            .map(([k]) => k);
-
-          if (stringFields.length > 0) {
-            query.$or = stringFields.map((field) => ({
-              [field]: { $regex: search, $options: "i" },
-            }));
-          }
-        }
-
-        const records = await Model.find(query)
-          .limit(parseInt(limit))
-          .skip((parseInt(page) - 1) * parseInt(limit))
-          .sort({ createdAt: -1 })
-          .lean();
-
-        const total = await Model.countDocuments(query);
-
-        res.json({
-          success: true,
-          data: records,
-          pagination: {
-            total,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(total / parseInt(limit)),
-          },
-        });
-      } else {
-        // Use in-memory storage
-        const items = memoryStore[entityName] || [];
-        let filteredItems = items;
-
-        if (search) {
-          const searchLower = search.toLowerCase();
-          filteredItems = items.filter((item) =>
-            Object.values(item).some((val) =>
-              String(val).toLowerCase().includes(searchLower)
-            )
-          );
-        }
-
-        const startIndex = (parseInt(page) - 1) * parseInt(limit);
-        const endIndex = parseInt(page) * parseInt(limit);
-        const paginatedItems = filteredItems.slice(startIndex, endIndex);
-
-        res.json({
-          success: true,
-          data: paginatedItems,
-          pagination: {
-            total: filteredItems.length,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            totalPages: Math.ceil(filteredItems.length / parseInt(limit)),
-          },
-        });
-      }
-    } catch (error) {
-      console.error(`Error fetching ${entityName}:`, error);
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
-
-  // GET by ID
-  router.get("/:id", async (req, res) => {
-    try {
-      if (isMongoConnected && Model) {
-        const record = await Model.findById(req.params.id).lean();
-        if (!record) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        res.json({ success: true, data: record });
-      } else {
-        const items = memoryStore[entityName] || [];
-        const item = items.find((i) => i._id === req.params.id);
-        if (!item) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        res.json({ success: true, data: item });
-      }
-    } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
-
-  // POST create
-  router.post("/", async (req, res) => {
-    try {
-      if (isMongoConnected && Model) {
-        const newRecord = new Model(req.body);
-        const saved = await newRecord.save();
-        res.status(201).json({ success: true, data: saved });
-      } else {
-        const items = memoryStore[entityName] || [];
-        const newItem = {
-          _id: Date.now().toString(),
-          ...req.body,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        };
-        items.push(newItem);
-        memoryStore[entityName] = items;
-        res.status(201).json({ success: true, data: newItem });
-      }
-    } catch (error) {
-      console.error(`Error creating ${entityName}:`, error);
-      res.status(400).json({ success: false, error: error.message });
-    }
-  });
-
-  // PUT update
-  router.put("/:id", async (req, res) => {
-    try {
-      if (isMongoConnected && Model) {
-        const updated = await Model.findByIdAndUpdate(req.params.id, req.body, {
-          new: true,
-          runValidators: true,
-        }).lean();
-        if (!updated) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        res.json({ success: true, data: updated });
-      } else {
-        let items = memoryStore[entityName] || [];
-        const index = items.findIndex((i) => i._id === req.params.id);
-        if (index === -1) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        items[index] = {
-          ...items[index],
-          ...req.body,
-          updatedAt: new Date().toISOString(),
-        };
-        memoryStore[entityName] = items;
-        res.json({ success: true, data: items[index] });
-      }
-    } catch (error) {
-      res.status(400).json({ success: false, error: error.message });
-    }
-  });
-
-  // DELETE
-  router.delete("/:id", async (req, res) => {
-    try {
-      if (isMongoConnected && Model) {
-        const deleted = await Model.findByIdAndDelete(req.params.id).lean();
-        if (!deleted) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        res.json({ success: true, message: "Deleted successfully" });
-      } else {
-        let items = memoryStore[entityName] || [];
-        const filtered = items.filter((i) => i._id !== req.params.id);
-        if (filtered.length === items.length) {
-          return res.status(404).json({ success: false, error: "Not found" });
-        }
-        memoryStore[entityName] = filtered;
-        res.json({ success: true, message: "Deleted successfully" });
-      }
-    } catch (error) {
-      res.status(500).json({ success: false, error: error.message });
-    }
-  });
+// Local disk by default; FILE_STORAGE picks another driver
+const fileStorage = createFileStorage({
+  dir: process.env.UPLOAD_DIR || path.join(__dirname, "uploads"),
+});
 
-  return router;
-};
+app.use("/api/files", generateFileRoutes({ storage: fileStorage }));
 
 // ============================================
 // REGISTER ALL ROUTES
 // ============================================
 const registeredRoutes = {};
+const entityStores = {};
+const entityDispatcher = createEntityDispatcher();
 
 const registerAllRoutes = () => {
   console.log("\n🔄 Registering routes...");
 
   // Clear previous routes
   Object.keys(registeredRoutes).forEach((key) => delete registeredRoutes[key]);
+  Object.keys(entityStores).forEach((key) => delete entityStores[key]);
+  const routers = [];
 
   // Register new routes
   Object.entries(currentSchema.record).forEach(([entityName, config]) => {
@@ -380,13 +209,21 @@ const registerAllRoutes = () => {
         return;
       }
 
-      let Model = null;
-      if (isMongoConnected) {
-        Model = createDynamicModel(entityName, config.backend);
-      }
-
-      const router = createRoutes(entityName, config.backend, Model);
-      app.use(config.route, router);
+      const store = createEntityStore(entityName, config, {
+        isConnected: () => isMongoConnected,
+        memory: memoryStore,
+      });
+
+      const router = generateRoutes(entityName, config, store, {
+        resolve: (name) =>
+          entityStores[name]
+            ? { config: currentSchema.record[name], store: entityStores[name] }
+            : null,
+        getEntities: () => currentSchema.record,
+        files: fileStorage,
+      });
+      entityStores[entityName] = store;
+      routers.push([config.route, requireAuth, router]);
       registeredRoutes[entityName] = config.route;
       console.log(`✅ ${config.route} -> ${entityName}`);
     } catch (error) {
@@ -394,12 +231,32 @@ const registerAllRoutes = () => {
     }
   });
 
+  // Swap in the new routers; the previous set stops serving at once
+  entityDispatcher.mount(routers);
+
   console.log(`📋 Total routes: ${Object.keys(registeredRoutes).length}\n`);
 };
 
 // Initial registration
 registerAllRoutes();
 
+// Uploads that were never attached to a record are removed after a day.
+// Only against MongoDB: the in-memory fallback does not know its records.
+setInterval(() => {
+  if (!isMongoConnected) return;
+  sweepUnattachedFiles({
+    storage: fileStorage,
+    entities: currentSchema.record,
+    getStore: (entityName) => entityStores[entityName],
+  })
+    .then((removed) => {
+      if (removed.length > 0) {
+        console.log(`🧹 Removed ${removed.length} unattached uploads`);
+      }
+    })
+    .catch((error) => console.warn("⚠️ File sweep failed:", error.message));
+}, 60 * 60 * 1000).unref();
+
 // ============================================
 // SYSTEM ROUTES
 // ============================================
@@ -424,50 +281,56 @@ app.get("/health", (req, res) => {
   });
 });
 
-app.get("/api/schema", (req, res) => {
-  res.json({
-    success: true,
-    data: currentSchema,
-    timestamp: new Date().toISOString(),
-  });
-});
+// ============================================
+// SCHEMA ROUTES
+// ============================================
+const schemaHistory = createSchemaHistory(
+  path.join(__dirname, "schemaHistory.json")
+);
 
-app.post("/api/schema/update", (req, res) => {
-  try {
-    const newSchema = req.body;
+// First run: the schema loaded at startup becomes version 1
+if (!schemaHistory.latest()) {
+  schemaHistory.record(currentSchema, {
+    author: "system",
+    message: "Initial schema",
+  });
+}
 
-    if (!newSchema.record || typeof newSchema.record !== "object") {
-      throw new Error('Schema must contain a "record" object');
-    }
+const applySchema = (newSchema) => {
+  currentSchema = newSchema;
 
-    currentSchema = newSchema;
+  // Save to file
+  try {
+    fs.writeFileSync(schemaPath, JSON.stringify(newSchema, null, 2), "utf8");
+    console.log("✅ Schema saved to file");
+  } catch (fileError) {
+    console.warn("⚠️ Could not save schema:", fileError.message);
+  }
 
-    // Save to file
-    try {
-      const schemaPath = path.join(__dirname, "schemaConfig.json");
-      fs.writeFileSync(schemaPath, JSON.stringify(newSchema, null, 2), "utf8");
-      console.log("✅ Schema saved to file");
-    } catch (fileError) {
-      console.warn("⚠️ Could not save schema:", fileError.message);
-    }
+  // Re-register routes (rebuilds stores and models)
+  registerAllRoutes();
 
-    // Clear model cache
-    Object.keys(modelCache).forEach((key) => delete modelCache[key]);
+  return Object.values(registeredRoutes);
+};
 
-    // Re-register routes
-    registerAllRoutes();
+app.use(
+  "/api/schema",
+  requireAuth,
+  generateSchemaRoutes({
+    getSchema: () => currentSchema,
+    applySchema,
+    history: schemaHistory,
+    getStore: (entityName) => entityStores[entityName],
+    // Permissions live in the schema, so only admins may change it
+    authorizeChange: requireRole("admin"),
+  })
+);
 
-    res.json({
-      success: true,
-      message: "Schema updated successfully",
-      entities: Object.keys(newSchema.record),
-      routes: Object.values(registeredRoutes),
-    });
-  } catch (error) {
-    console.error("❌ Schema update error:", error);
-    res.status(400).json({ success: false, error: error.message });
-  }
-});
+// ============================================
+// ENTITY ROUTES
+// ============================================
+// Mounted after the system routes so an entity can never shadow them
+app.use(entityDispatcher);
 
 // 404 handler
 app.use((req, res) => {
@@ -479,14 +342,7 @@ app.use((req, res) => {
 });
 
 // Error handler
-app.use((err, req, res, next) => {
-  console.error("Server error:", err);
-  res.status(500).json({
-    success: false,
-    error: "Internal server error",
-    message: process.env.NODE_ENV === "development" ? err.message : undefined,
-  });
-});
+app.use(errorHandler);
 
 // ============================================
 // START SERVER
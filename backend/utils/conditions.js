@@ -0,0 +1,180 @@
+/**
+ * Conditional form fields, declared on frontend.fields:
+ *
+ *   { "name": "endDate", "showIf": { "status": "INACTIVE" } }
+ *   { "name": "reason", "requiredIf": { "status": { "in": ["INACTIVE"] } } }
+ *   { "name": "notes", "showIf": [{ "priority": { "gt": 3 } }, { "flagged": true }] }
+ *
+ * A rule maps fields of the record to a condition, written like a filter
+ * (utils/filters.js): a plain value is shorthand for `eq`. Every field of a
+ * rule has to match; an array of rules matches when any of them does.
+ *
+ * A hidden field is never required, and the server drops values sent for
+ * it. A visible field with `requiredIf` is required whenever its rule
+ * matches, which the server checks against the record as it will be stored,
+ * so leaving a field out of the request or hiding it client-side does not
+ * get around the rule.
+ */
+
+export const CONDITION_OPERATORS = ["eq", "ne", "in", "gt", "lt", "exists"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Values from forms arrive as strings, stored ones are cast; compare both
+// loosely so `3`, "3" and `true`, "true" match
+const sameValue = (a, b) => String(a) === String(b);
+
+const compare = (a, b) => {
+  const x = Number(a);
+  const y = Number(b);
+  if (a !== "" && b !== "" && !Number.isNaN(x) && !Number.isNaN(y)) {
+    return x - y;
+  }
+  const dateA = Date.parse(a);
+  const dateB = Date.parse(b);
+  if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) return dateA - dateB;
+  return String(a).localeCompare(String(b));
+};
+
+const testOperator = (op, value, expected) => {
+  if (op === "exists") return isEmpty(value) !== Boolean(expected);
+  if (isEmpty(value)) return op === "ne";
+
+  // Array values (e.g. tags) match when any element does
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case "eq":
+      return values.some((v) => sameValue(v, expected));
+    case "ne":
+      return !values.some((v) => sameValue(v, expected));
+    case "in":
+      return values.some((v) => expected.some((e) => sameValue(v, e)));
+    case "gt":
+      return values.some((v) => compare(v, expected) > 0);
+    case "lt":
+      return values.some((v) => compare(v, expected) < 0);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Whether a record matches a rule
+ * @param {object|object[]} rule - showIf / requiredIf
+ * @param {object} record - Form data or stored record
+ * @returns {boolean}
+ */
+export const matchesRule = (rule, record = {}) => {
+  if (Array.isArray(rule)) return rule.some((r) => matchesRule(r, record));
+  if (!isPlainObject(rule)) return true;
+
+  return Object.entries(rule).every(([field, condition]) => {
+    const ops = isPlainObject(condition) ? condition : { eq: condition };
+    return Object.entries(ops).every(([op, expected]) =>
+      testOperator(op, record[field], expected)
+    );
+  });
+};
+
+/**
+ * @param {object} field - Entry of frontend.fields
+ * @param {object} record
+ * @returns {boolean} - false when `showIf` hides the field
+ */
+export const isFieldVisible = (field, record) =>
+  field.showIf === undefined || matchesRule(field.showIf, record);
+
+/**
+ * @param {object} field - Entry of frontend.fields
+ * @param {object} record
+ * @returns {boolean} - true when `requiredIf` applies to a visible field
+ */
+export const isFieldRequired = (field, record) =>
+  field.requiredIf !== undefined &&
+  isFieldVisible(field, record) &&
+  matchesRule(field.requiredIf, record);
+
+/**
+ * Names of the fields a showIf rule hides
+ * @param {object[]} fields - frontend.fields of the entity
+ * @param {object} record - The record as it will be stored
+ * @returns {string[]}
+ */
+export const hiddenFields = (fields = [], record = {}) =>
+  fields
+    .filter((field) => field?.name && !isFieldVisible(field, record))
+    .map((field) => field.name);
+
+/**
+ * Checks the requiredIf rules of a form against a record
+ * @param {object[]} fields - frontend.fields of the entity
+ * @param {object} record - The record as it will be stored
+ * @returns {string[]} - Error messages
+ */
+export const conditionErrors = (fields = [], record = {}) =>
+  fields
+    .filter(
+      (field) =>
+        field?.name &&
+        isFieldRequired(field, record) &&
+        isEmpty(record[field.name])
+    )
+    .map((field) => `Path \`${field.name}\` is required.`);
+
+/**
+ * Validates a showIf / requiredIf rule
+ * @param {*} rule
+ * @param {string[]} fieldNames - Fields the rule may refer to
+ * @param {string} where - Location for messages
+ * @returns {string[]} - Error messages
+ */
+export const validateRule = (rule, fieldNames, where) => {
+  if (Array.isArray(rule)) {
+    if (rule.length === 0)
+      return [`Rule must not be an empty array for ${where}`];
+    return rule.flatMap((r) => validateRule(r, fieldNames, where));
+  }
+  if (!isPlainObject(rule) || Object.keys(rule).length === 0) {
+    return [`Rule must be a non-empty object or an array of them for ${where}`];
+  }
+
+  const errors = [];
+  for (const [field, condition] of Object.entries(rule)) {
+    if (!fieldNames.includes(field)) {
+      errors.push(`Rule refers to unknown field "${field}" for ${where}`);
+    }
+    if (!isPlainObject(condition)) continue;
+
+    for (const [op, expected] of Object.entries(condition)) {
+      if (!CONDITION_OPERATORS.includes(op)) {
+        errors.push(
+          `Unknown operator "${op}" in rule for ${where}. Expected one of: ${CONDITION_OPERATORS.join(
+            ", "
+          )}`
+        );
+      } else if (op === "in" && !Array.isArray(expected)) {
+        errors.push(`"in" expects an array in rule for ${where}`);
+      } else if (op === "exists" && typeof expected !== "boolean") {
+        errors.push(`"exists" expects true or false in rule for ${where}`);
+      }
+    }
+  }
+  return errors;
+};
+
+export default {
+  CONDITION_OPERATORS,
+  matchesRule,
+  isFieldVisible,
+  isFieldRequired,
+  hiddenFields,
+  conditionErrors,
+  validateRule,
+};
@@ -0,0 +1,127 @@
+import { compareRecords } from "./sorting.js";
+
+/**
+ * Keyset (cursor) pagination for entity list endpoints.
+ *
+ * A cursor stores the sort values of the record a page ended (or started)
+ * on, so the next page is "every record after it in sort order" instead of
+ * a skip offset. Pages stay consistent when rows are inserted in between,
+ * and no count query is needed. Cursors are only valid for the sort order
+ * they were issued with.
+ */
+
+export const CURSOR_DIRECTIONS = ["next", "prev"];
+
+const signature = (sort) =>
+  sort
+    .map(({ field, direction }) => (direction < 0 ? "-" : "") + field)
+    .join(",");
+
+/**
+ * Creates an opaque cursor pointing just past a record
+ * @param {object} record - First (prev) or last (next) record of a page
+ * @param {object[]} sort - Sort order of the page (see utils/sorting.js)
+ * @param {string} direction - "next" or "prev"
+ * @returns {string} - base64url token
+ */
+export const encodeCursor = (record, sort, direction) =>
+  Buffer.from(
+    JSON.stringify({
+      s: signature(sort),
+      d: direction,
+      v: sort.map(({ field }) => record[field] ?? null),
+    })
+  ).toString("base64url");
+
+/**
+ * Reads a cursor issued by encodeCursor
+ * @param {string} token - Cursor from the client
+ * @param {object[]} sort - Sort order of the current request
+ * @returns {{ cursor?: { direction: string, values: object }, error?: string }}
+ */
+export const decodeCursor = (token, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), "base64url").toString());
+  } catch {
+    return { error: "Invalid cursor" };
+  }
+
+  if (
+    !payload ||
+    !CURSOR_DIRECTIONS.includes(payload.d) ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== sort.length
+  ) {
+    return { error: "Invalid cursor" };
+  }
+  if (payload.s !== signature(sort)) {
+    return { error: "Cursor was issued for a different sort order" };
+  }
+
+  return {
+    cursor: {
+      direction: payload.d,
+      values: Object.fromEntries(
+        sort.map(({ field }, index) => [field, payload.v[index]])
+      ),
+    },
+  };
+};
+
+const equalTo = (field, value) =>
+  value === null ? { [field]: null } : { [field]: { $eq: value } };
+
+// Records strictly after `value` in the field's direction. Missing/null
+// values sort lowest, as in MongoDB.
+const beyond = ({ field, direction }, value) => {
+  if (direction > 0) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+  return value === null
+    ? null
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * MongoDB query matching the records after the cursor position
+ * @param {object[]} sort - Sort order in the direction being read
+ * @param {object} values - Cursor values by field
+ * @returns {object} - MongoDB query
+ */
+export const toMongoKeyset = (sort, values) => ({
+  $or: sort
+    .map((key, index) => {
+      const next = beyond(key, values[key.field]);
+      if (!next) return null;
+      return {
+        $and: [
+          ...sort
+            .slice(0, index)
+            .map(({ field }) => equalTo(field, values[field])),
+          next,
+        ],
+      };
+    })
+    .filter(Boolean),
+});
+
+/**
+ * In-memory counterpart of toMongoKeyset
+ * @param {object} record - Stored record
+ * @param {object[]} sort - Sort order in the direction being read
+ * @param {object} values - Cursor values by field
+ * @returns {boolean}
+ */
+export const isBeyondCursor = (record, sort, values) =>
+  compareRecords(sort)(record, values) > 0;
+
+export default {
+  CURSOR_DIRECTIONS,
+  encodeCursor,
+  decodeCursor,
+  toMongoKeyset,
+  isBeyondCursor,
+};
@@ -0,0 +1,207 @@
+import sanitize from "sanitize-html";
+
+/**
+ * Options refining how backend.schema values are coerced:
+ *
+ *   "bio":      { "type": "String", "format": "html" }      sanitised rich text
+ *   "accent":   { "type": "String", "format": "color" }     "#rrggbb"
+ *   "opensAt":  { "type": "String", "format": "time" }      "HH:mm" or "HH:mm:ss"
+ *   "startsAt": { "type": "Date", "timezone": "Europe/Paris" }
+ *   "price":    { "type": "Number", "currency": "EUR" }
+ *   "tags":     { "type": "Array", "of": "String" }
+ *
+ * Dates are stored in UTC. A date-time without an offset
+ * ("2024-05-01T09:30") is wall-clock time in the field's `timezone`, or in
+ * UTC when it has none, never the server's local time. Currency amounts
+ * are rounded to the currency's minor unit (2 for EUR, 0 for JPY).
+ */
+
+export const STRING_FORMATS = ["html", "color", "time"];
+
+// Element types of an Array field with `of`
+export const ARRAY_ITEM_TYPES = ["String", "Number", "Boolean", "Date"];
+
+// Markup kept by rich text fields; everything else is stripped
+const HTML_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "ul",
+    "ol",
+    "li",
+    "blockquote",
+    "h2",
+    "h3",
+    "a",
+    "code",
+    "pre",
+  ],
+  allowedAttributes: { a: ["href", "target", "rel"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitize.simpleTransform("a", { rel: "noopener noreferrer" }),
+  },
+};
+
+/**
+ * @param {string} html
+ * @returns {string} - The markup with disallowed tags, attributes and URLs removed
+ */
+export const sanitizeHtml = (html) => sanitize(String(html), HTML_OPTIONS);
+
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * @param {string} value - "#abc" or "#aabbcc"
+ * @returns {string|null} - Lowercase "#aabbcc", or null when invalid
+ */
+export const parseColor = (value) => {
+  const str = String(value).trim();
+  if (!COLOR_PATTERN.test(str)) return null;
+  const hex = str.slice(1).toLowerCase();
+  return hex.length === 3
+    ? `#${hex
+        .split("")
+        .map((c) => c + c)
+        .join("")}`
+    : `#${hex}`;
+};
+
+/**
+ * @param {string} value - "HH:mm" or "HH:mm:ss" (24-hour clock)
+ * @returns {string|null} - The time, or null when invalid
+ */
+export const parseTime = (value) => {
+  const str = String(value).trim();
+  return TIME_PATTERN.test(str) ? str : null;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return typeof timeZone === "string";
+  } catch {
+    return false;
+  }
+};
+
+export const isValidCurrency = (currency) => {
+  if (typeof currency !== "string" || !/^[A-Z]{3}$/.test(currency)) {
+    return false;
+  }
+  try {
+    new Intl.NumberFormat("en-US", { style: "currency", currency });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - Decimal places of the currency's minor unit
+ */
+export const currencyDigits = (currency) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+  }).resolvedOptions().maximumFractionDigits;
+
+// Moves the decimal point through the exponent instead of multiplying, so
+// 1.005 is not first turned into 100.49999999999999
+const shiftDecimal = (value, digits) => {
+  const [mantissa, exponent = "0"] = String(value).split("e");
+  return Number(`${mantissa}e${Number(exponent) + digits}`);
+};
+
+/**
+ * @param {number} amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} - The amount rounded to the currency's minor unit,
+ *   halves away from zero (-1.005 becomes -1.01)
+ */
+export const roundCurrency = (amount, currency) => {
+  const digits = currencyDigits(currency);
+  const rounded = shiftDecimal(
+    Math.round(shiftDecimal(Math.abs(amount), digits)),
+    -digits
+  );
+  return amount < 0 && rounded !== 0 ? -rounded : rounded;
+};
+
+const NAIVE_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+
+// Milliseconds the zone is ahead of UTC at an instant
+const zoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Reads a date-time without an offset as wall-clock time in a zone
+ * @param {string} value - e.g. "2024-05-01T09:30"
+ * @param {string} timeZone - IANA zone, e.g. "Europe/Paris"
+ * @returns {Date|null} - null when the value has an offset or is not a date-time
+ */
+export const parseZonedDateTime = (value, timeZone = "UTC") => {
+  const match = NAIVE_DATE_TIME.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = "0", ms = "0"] = match;
+  const asUtc = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second),
+    Number(ms.padEnd(3, "0"))
+  );
+  // The offset at the guessed instant can differ across a DST change;
+  // one correction lands on the right side of it
+  let timestamp = asUtc - zoneOffset(asUtc, timeZone);
+  timestamp = asUtc - zoneOffset(timestamp, timeZone);
+  return new Date(timestamp);
+};
+
+export default {
+  STRING_FORMATS,
+  ARRAY_ITEM_TYPES,
+  sanitizeHtml,
+  parseColor,
+  parseTime,
+  isValidTimeZone,
+  isValidCurrency,
+  currencyDigits,
+  roundCurrency,
+  parseZonedDateTime,
+};
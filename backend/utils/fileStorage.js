@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Storage for uploaded files. A driver implements:
+ *
+ *   save({ buffer, name, type, prefix }) -> { id, name, type, size }
+ *   info(id)    -> { id, name, type, size } | null
+ *   read(id)    -> { stream, name, type, size } | null
+ *   remove(id)  -> void (missing files are ignored)
+ *   list()      -> [{ id, savedAt }] (every stored file, savedAt a Date)
+ *
+ * Records only keep the metadata ({ id, name, type, size }); the bytes
+ * stay with the driver and are served from GET /api/files/:id.
+ * "local" (files on disk) is the default; other drivers, e.g. for object
+ * storage, are registered in STORAGE_DRIVERS and picked with FILE_STORAGE.
+ */
+
+// <entity>-<field>-<random>; nothing that could leave the storage folder
+export const FILE_ID_PATTERN = /^[A-Za-z0-9_]+-[A-Za-z0-9_]+-[a-f0-9]{32}$/;
+
+// Names as they appear in ids: characters outside [A-Za-z0-9_] become "_"
+// and their hex code ("order-items" -> "order_002ditems"), so any entity
+// name gives an id FILE_ID_PATTERN accepts
+const encodeIdPart = (name) =>
+  String(name).replace(
+    /[^A-Za-z0-9_]/g,
+    (char) => `_${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+  );
+
+/**
+ * Prefix of the ids of files uploaded to a field
+ * @param {string} entityName
+ * @param {string} field
+ * @returns {string}
+ */
+export const fileIdPrefix = (entityName, field) =>
+  `${encodeIdPart(entityName)}-${encodeIdPart(field)}`;
+
+export const newFileId = (prefix) =>
+  `${prefix}-${crypto.randomBytes(16).toString("hex")}`;
+
+/**
+ * Driver keeping files in a folder, each next to a JSON file with its
+ * metadata
+ * @param {object} options
+ * @param {string} options.dir - Folder the files are written to
+ * @returns {object} - Storage driver
+ */
+export const createLocalStorage = ({ dir }) => {
+  const filePath = (id) => path.join(dir, id);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  const info = async (id) => {
+    if (!FILE_ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(id), "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    async save({ buffer, name, type, prefix }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = { id: newFileId(prefix), name, type, size: buffer.length };
+      await fs.promises.writeFile(filePath(file.id), buffer);
+      await fs.promises.writeFile(metaPath(file.id), JSON.stringify(file));
+      return file;
+    },
+
+    info,
+
+    async read(id) {
+      const file = await info(id);
+      if (!file) return null;
+      return { ...file, stream: fs.createReadStream(filePath(id)) };
+    },
+
+    async remove(id) {
+      if (!FILE_ID_PATTERN.test(String(id))) return;
+      await fs.promises.rm(filePath(id), { force: true });
+      await fs.promises.rm(metaPath(id), { force: true });
+    },
+
+    async list() {
+      let names;
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch {
+        return [];
+      }
+      const files = [];
+      for (const name of names) {
+        const id = name.replace(/\.json$/, "");
+        if (name === id || !FILE_ID_PATTERN.test(id)) continue;
+        try {
+          const { mtime } = await fs.promises.stat(filePath(id));
+          files.push({ id, savedAt: mtime });
+        } catch {
+          // metadata without its file
+          files.push({ id, savedAt: new Date(0) });
+        }
+      }
+      return files;
+    },
+  };
+};
+
+export const STORAGE_DRIVERS = { local: createLocalStorage };
+
+/**
+ * Creates the configured storage driver
+ * @param {object} options - Passed to the driver (e.g. { dir } for "local")
+ * @param {string} options.driver - Key of STORAGE_DRIVERS
+ * @returns {object} - Storage driver
+ */
+export const createFileStorage = ({
+  driver = process.env.FILE_STORAGE || "local",
+  ...options
+} = {}) => {
+  const factory = STORAGE_DRIVERS[driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown file storage "${driver}". Expected one of: ${Object.keys(
+        STORAGE_DRIVERS
+      ).join(", ")}`
+    );
+  }
+  return factory(options);
+};
+
+export default {
+  FILE_ID_PATTERN,
+  STORAGE_DRIVERS,
+  fileIdPrefix,
+  newFileId,
+  createLocalStorage,
+  createFileStorage,
+};
@@ -0,0 +1,233 @@
+import { fileIdPrefix } from "./fileStorage.js";
+
+/**
+ * File fields, declared in backend.schema:
+ *
+ *   "avatar":      { "type": "File", "accept": ["image/*"], "maxSize": 2097152 }
+ *   "attachments": { "type": "File", "many": true }
+ *
+ * Files are uploaded first (POST <route>/files/<field>, multipart with a
+ * "file" part) and records then refer to them by id. Uploads are checked
+ * against `maxSize` in bytes (DEFAULT_MAX_SIZE when absent) and `accept`,
+ * a list of MIME types where "image/*" matches any image. On write the
+ * stored metadata replaces whatever the client sent, and files a record
+ * stops referring to - because the field was replaced or the record
+ * deleted - are removed from storage (see utils/fileStorage.js) once no
+ * other record refers to them. Uploads never attached to a record are
+ * removed by sweepUnattachedFiles after UNATTACHED_FILE_TTL_MS. Files are
+ * only ever removed while records live in MongoDB: the in-memory store
+ * (also the fallback while the database is unreachable) cannot tell
+ * whether a stored record still refers to a file.
+ */
+
+export const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+
+export const UNATTACHED_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * File fields of a schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @returns {{ field: string, many: boolean, accept: string[]|undefined, maxSize: number }[]}
+ */
+export const fileFields = (schemaDefinition = {}) =>
+  Object.entries(schemaDefinition)
+    .filter(([, fieldConfig]) => fieldConfig?.type === "File")
+    .map(([field, fieldConfig]) => ({
+      field,
+      many: Boolean(fieldConfig.many),
+      accept: fieldConfig.accept,
+      maxSize: fieldConfig.maxSize ?? DEFAULT_MAX_SIZE,
+    }));
+
+/**
+ * Whether a MIME type is allowed by an `accept` list
+ * @param {string} type - e.g. "image/png"
+ * @param {string[]} accept - e.g. ["image/*", "application/pdf"]; empty allows all
+ * @returns {boolean}
+ */
+export const matchesAccept = (type, accept) => {
+  if (!Array.isArray(accept) || accept.length === 0) return true;
+  const [group] = String(type).split("/");
+  return accept.some(
+    (pattern) =>
+      pattern === type ||
+      (pattern.endsWith("/*") && pattern.slice(0, -2) === group)
+  );
+};
+
+// File objects of a stored or cast value
+const filesOf = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (file) => file && typeof file === "object" && typeof file.id === "string"
+  );
+
+/**
+ * Replaces the file references of a record with the stored metadata
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} data - Cast record data (see validateRecord)
+ * @param {object} context
+ * @param {object} context.storage - File storage driver
+ * @param {string} context.entityName - Files must have been uploaded for this entity
+ * @returns {Promise<{ data: object, errors: string[] }>}
+ */
+export const resolveFiles = async (
+  schemaDefinition,
+  data,
+  { storage, entityName }
+) => {
+  const errors = [];
+  const resolved = { ...data };
+
+  for (const { field, many } of fileFields(schemaDefinition)) {
+    if (data?.[field] === undefined || data[field] === null) continue;
+
+    const files = [];
+    for (const { id } of filesOf(data[field])) {
+      const file = id.startsWith(`${fileIdPrefix(entityName, field)}-`)
+        ? await storage?.info(id)
+        : null;
+      if (file) files.push(file);
+      else errors.push(`Path \`${field}\` references a missing file (${id}).`);
+    }
+    resolved[field] = many ? files : files[0] ?? null;
+  }
+
+  return { data: resolved, errors };
+};
+
+/**
+ * Ids of the files a record refers to
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} record - Stored record
+ * @returns {string[]}
+ */
+export const fileIds = (schemaDefinition, record) =>
+  fileFields(schemaDefinition).flatMap(({ field }) =>
+    filesOf(record?.[field]).map((file) => file.id)
+  );
+
+/**
+ * Ids of the files an update stops referring to
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} before - Stored record
+ * @param {object} changes - Fields being written
+ * @returns {string[]}
+ */
+export const replacedFileIds = (schemaDefinition, before, changes) =>
+  fileFields(schemaDefinition)
+    .filter(({ field }) =>
+      Object.prototype.hasOwnProperty.call(changes || {}, field)
+    )
+    .flatMap(({ field }) => {
+      const kept = filesOf(changes[field]).map((file) => file.id);
+      return filesOf(before?.[field])
+        .map((file) => file.id)
+        .filter((id) => !kept.includes(id));
+    });
+
+// Whether a store sees every record of its entity, so a missing reference
+// can be trusted
+const holdsAllRecords = (store) => store?.mode === "mongodb";
+
+/**
+ * Whether any record of an entity (in any tenant) refers to a file
+ * @param {object} store - Entity store
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {string} id - File id
+ * @returns {Promise<boolean>}
+ */
+export const isFileReferenced = async (store, schemaDefinition, id) => {
+  for (const { field } of fileFields(schemaDefinition)) {
+    const { records } = await store.list({
+      filter: [{ field, type: "File", op: "eq", value: id }],
+      limit: 1,
+      withTotal: false,
+      fields: [field],
+    });
+    if (records.length > 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Removes files from storage, except those a record still refers to (ids
+ * can be copied between records). Nothing is removed unless the owner's
+ * store holds every record (MongoDB). Failures are logged, never thrown:
+ * the record change they follow has already happened.
+ * @param {object} storage - File storage driver
+ * @param {string[]} ids
+ * @param {object} owner - { store, schema } of the entity the files
+ *   belong to, to check for other references
+ * @returns {Promise<void>}
+ */
+export const discardFiles = async (storage, ids, owner) => {
+  if (!holdsAllRecords(owner?.store)) return;
+
+  for (const id of new Set(ids)) {
+    try {
+      if (await isFileReferenced(owner.store, owner.schema, id)) continue;
+      await storage?.remove(id);
+    } catch (error) {
+      console.warn(`⚠️ Could not remove file ${id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Removes uploads older than `maxAge` that no record refers to. Files of
+ * entities whose store does not hold every record (MongoDB) are kept.
+ * @param {object} options
+ * @param {object} options.storage - File storage driver
+ * @param {object} options.entities - schema.record
+ * @param {(entityName: string) => object} options.getStore - Entity store lookup
+ * @param {number} [options.maxAge] - In milliseconds
+ * @returns {Promise<string[]>} - Ids of the removed files
+ */
+export const sweepUnattachedFiles = async ({
+  storage,
+  entities,
+  getStore,
+  maxAge = UNATTACHED_FILE_TTL_MS,
+}) => {
+  if (typeof storage?.list !== "function") return [];
+
+  // Id prefix -> the entity whose field the file was uploaded to
+  const owners = new Map();
+  for (const [entityName, config] of Object.entries(entities || {})) {
+    const store = getStore(entityName);
+    const schema = config?.backend?.schema;
+    if (!holdsAllRecords(store)) continue;
+    for (const { field } of fileFields(schema)) {
+      owners.set(fileIdPrefix(entityName, field), { store, schema });
+    }
+  }
+
+  const removed = [];
+  const cutoff = Date.now() - maxAge;
+  for (const { id, savedAt } of await storage.list()) {
+    // Files of fields no longer in the schema are left alone
+    const owner = owners.get(id.slice(0, id.lastIndexOf("-")));
+    if (!owner || savedAt.getTime() > cutoff) continue;
+    try {
+      if (await isFileReferenced(owner.store, owner.schema, id)) continue;
+      await storage.remove(id);
+      removed.push(id);
+    } catch (error) {
+      console.warn(`⚠️ Could not sweep file ${id}:`, error.message);
+    }
+  }
+  return removed;
+};
+
+export default {
+  DEFAULT_MAX_SIZE,
+  UNATTACHED_FILE_TTL_MS,
+  fileFields,
+  matchesAccept,
+  resolveFiles,
+  fileIds,
+  replacedFileIds,
+  isFileReferenced,
+  discardFiles,
+  sweepUnattachedFiles,
+};
@@ -0,0 +1,385 @@
+import { castValue } from "./recordValidator.js";
+
+/**
+ * Structured filters for entity list endpoints.
+ *
+ * Query string:  ?filter[status][eq]=ACTIVE&filter[age][between]=18,65
+ *                ?filter[status]=ACTIVE              (shorthand for eq)
+ *                ?filter={"age":{"gt":18}}           (JSON)
+ * JSON body:     { "filter": { "tags": { "in": ["a", "b"] } } }
+ *
+ * Filters are validated against backend.schema and compiled into a list of
+ * { field, type, op, value } conditions that both storage adapters execute
+ * with the same semantics (toMongoQuery / matchesFilter).
+ */
+
+export const FILTER_OPERATORS = [
+  "eq",
+  "ne",
+  "gt",
+  "lt",
+  "in",
+  "between",
+  "contains",
+  "exists",
+];
+
+// Operators that make sense for each backend.schema type
+const TYPE_OPERATORS = {
+  String: FILTER_OPERATORS,
+  Number: ["eq", "ne", "gt", "lt", "in", "between", "exists"],
+  Date: ["eq", "ne", "gt", "lt", "in", "between", "exists"],
+  Boolean: ["eq", "ne", "in", "exists"],
+  ObjectId: ["eq", "ne", "in", "exists"],
+  Ref: ["eq", "ne", "in", "exists"],
+  Array: ["eq", "ne", "in", "contains", "exists"],
+  Object: ["exists"],
+  Mixed: ["exists"],
+  File: ["exists"],
+};
+
+// Fields every record has regardless of its schema
+const SYSTEM_FIELD_TYPES = {
+  _id: "ObjectId",
+  createdAt: "Date",
+  updatedAt: "Date",
+};
+
+/**
+ * Declared type of a filterable/sortable field
+ * @returns {string|undefined} - undefined when the field does not exist
+ */
+export const fieldType = (schemaDefinition, field) => {
+  if (Object.prototype.hasOwnProperty.call(SYSTEM_FIELD_TYPES, field)) {
+    return SYSTEM_FIELD_TYPES[field];
+  }
+  if (
+    !schemaDefinition ||
+    !Object.prototype.hasOwnProperty.call(schemaDefinition, field) ||
+    !schemaDefinition[field]
+  ) {
+    return undefined;
+  }
+  return schemaDefinition[field].type || "String";
+};
+
+const FILTER_PARAM = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+
+// Names that would reach Object.prototype when used as keys
+const RESERVED_KEYS = ["__proto__", "constructor", "prototype"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "a,b" from a query string, or an array from JSON
+const toList = (value) =>
+  Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((item) => item.trim());
+
+/**
+ * Collects the raw filter from query parameters
+ * @param {object} query - req.query
+ * @returns {{ filter: object, errors: string[] }}
+ */
+export const parseFilterQuery = (query = {}) => {
+  // Keys come from the client, so nothing here has a prototype to reach
+  const filter = Object.create(null);
+  const errors = [];
+
+  const rulesOf = (field) => {
+    const rules = filter[field];
+    if (isPlainObject(rules) && Object.getPrototypeOf(rules) === null) {
+      return rules;
+    }
+    // A JSON rule object (or bare value) gets a prototype-free copy
+    filter[field] = Object.assign(
+      Object.create(null),
+      isPlainObject(rules) ? rules : rules === undefined ? {} : { eq: rules }
+    );
+    return filter[field];
+  };
+
+  if (query.filter !== undefined) {
+    try {
+      const parsed = JSON.parse(query.filter);
+      if (!isPlainObject(parsed)) throw new Error();
+      for (const [field, rules] of Object.entries(parsed)) {
+        if (RESERVED_KEYS.includes(field)) {
+          errors.push(`Unknown filter field: ${field}`);
+          continue;
+        }
+        filter[field] = rules;
+      }
+    } catch {
+      errors.push('"filter" must be a JSON object');
+    }
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(FILTER_PARAM);
+    if (!match) continue;
+
+    const [, field, op = "eq"] = match;
+    if (RESERVED_KEYS.includes(field)) {
+      errors.push(`Unknown filter field: ${field}`);
+      continue;
+    }
+    if (!FILTER_OPERATORS.includes(op)) {
+      errors.push(
+        `Unknown filter operator "${op}" for field "${field}". Expected one of: ${FILTER_OPERATORS.join(
+          ", "
+        )}`
+      );
+      continue;
+    }
+    rulesOf(field)[op] = value;
+  }
+
+  return { filter, errors };
+};
+
+// Dates without an offset are read in the field's timezone, as on write.
+// Array fields are matched by element, cast to their `of` type when they
+// declare one (as Mongoose does) and left as they are otherwise.
+const compileValue = (field, type, op, value, { timezone, of } = {}) => {
+  const cast = (v) =>
+    type !== "Array"
+      ? castValue(field, { type, timezone }, v)
+      : of
+      ? castValue(field, { type: of }, v)
+      : { value: v };
+
+  switch (op) {
+    case "exists": {
+      const result = castValue(field, { type: "Boolean" }, value);
+      return result.error
+        ? { error: `"exists" expects true or false for field "${field}"` }
+        : result;
+    }
+
+    case "contains":
+      if (isPlainObject(value) || Array.isArray(value)) {
+        return {
+          error: `"contains" expects a single value for field "${field}"`,
+        };
+      }
+      return type === "Array" ? cast(value) : { value: String(value) };
+
+    case "in":
+    case "between": {
+      const items = toList(value);
+      if (op === "between" && items.length !== 2) {
+        return {
+          error: `"between" expects exactly two values for field "${field}"`,
+        };
+      }
+      if (op === "in" && items.length === 0) {
+        return {
+          error: `"in" expects at least one value for field "${field}"`,
+        };
+      }
+
+      const values = [];
+      for (const item of items) {
+        const result = cast(item);
+        if (result.error) return result;
+        values.push(result.value);
+      }
+      return { value: values };
+    }
+
+    default:
+      return cast(value);
+  }
+};
+
+/**
+ * Validates a raw filter against an entity schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} filter - Raw filter ({ field: { op: value } } or { field: value })
+ * @param {object} options
+ * @param {(field: string) => boolean} options.canFilter - Extra per-field check (e.g. read permission)
+ * @returns {{ conditions: object[], errors: string[] }}
+ */
+export const compileFilter = (
+  schemaDefinition,
+  filter,
+  { canFilter = () => true } = {}
+) => {
+  const conditions = [];
+  const errors = [];
+
+  if (filter === undefined || filter === null) return { conditions, errors };
+  if (!isPlainObject(filter)) {
+    return { conditions, errors: ["Filter must be an object"] };
+  }
+
+  for (const [field, rules] of Object.entries(filter)) {
+    const type = fieldType(schemaDefinition, field);
+
+    if (!type || !canFilter(field)) {
+      errors.push(`Unknown filter field: ${field}`);
+      continue;
+    }
+
+    // A bare value is shorthand for equality
+    const operations = isPlainObject(rules) ? rules : { eq: rules };
+
+    for (const [op, value] of Object.entries(operations)) {
+      if (!FILTER_OPERATORS.includes(op)) {
+        errors.push(
+          `Unknown filter operator "${op}" for field "${field}". Expected one of: ${FILTER_OPERATORS.join(
+            ", "
+          )}`
+        );
+        continue;
+      }
+      if (!(TYPE_OPERATORS[type] || []).includes(op)) {
+        errors.push(
+          `Operator "${op}" is not supported for ${type} field "${field}"`
+        );
+        continue;
+      }
+
+      const result = compileValue(
+        field,
+        type,
+        op,
+        value,
+        schemaDefinition?.[field]
+      );
+      if (result.error) {
+        errors.push(result.error);
+        continue;
+      }
+      conditions.push({ field, type, op, value: result.value });
+    }
+  }
+
+  return { conditions, errors };
+};
+
+/**
+ * Translates compiled conditions into a MongoDB query. Values are cast by
+ * Mongoose against the model, so ISO date strings and ids can be used as is.
+ * @param {object[]} conditions - Result of compileFilter
+ * @returns {object} - MongoDB query ({} when there are no conditions)
+ */
+export const toMongoQuery = (conditions = []) => {
+  const clauses = conditions.map(({ field: name, type, op, value }) => {
+    // File values are matched by id (only used internally, see
+    // utils/files.js); stored files are { id, ... } or a list of them
+    const field = type === "File" && op !== "exists" ? `${name}.id` : name;
+    switch (op) {
+      case "eq":
+        return { [field]: { $eq: value } };
+      case "ne":
+        return { [field]: { $ne: value } };
+      case "gt":
+        return { [field]: { $gt: value } };
+      case "lt":
+        return { [field]: { $lt: value } };
+      case "in":
+        return { [field]: { $in: value } };
+      case "between":
+        return { [field]: { $gte: value[0], $lte: value[1] } };
+      case "contains":
+        return type === "Array"
+          ? { [field]: { $eq: value } }
+          : { [field]: { $regex: escapeRegex(value), $options: "i" } };
+      case "exists":
+        // Missing and null count as "does not exist", as in matchesFilter
+        return { [field]: value ? { $ne: null } : { $eq: null } };
+      default:
+        return {};
+    }
+  });
+
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+// Comparable form of a stored or filter value
+const comparable = (type, value) =>
+  type === "Date" ? new Date(value).getTime() : value;
+
+const equals = (type, stored, value) => {
+  if (type === "File") {
+    return (Array.isArray(stored) ? stored : [stored]).some(
+      (file) => file?.id === value
+    );
+  }
+  // Like MongoDB, an array field equals a value when one element does
+  if (Array.isArray(stored)) {
+    return stored.some((item) =>
+      item instanceof Date || value instanceof Date
+        ? new Date(item).getTime() === new Date(value).getTime()
+        : item === value
+    );
+  }
+  if (stored === undefined || stored === null) return false;
+  if (type === "ObjectId") return String(stored) === String(value);
+  return comparable(type, stored) === comparable(type, value);
+};
+
+const compare = (type, stored, value) => {
+  if (stored === undefined || stored === null) return NaN;
+  const a = comparable(type, stored);
+  const b = comparable(type, value);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const matchesCondition = (record, { field, type, op, value }) => {
+  const stored = record[field];
+
+  switch (op) {
+    case "eq":
+      return equals(type, stored, value);
+    case "ne":
+      return !equals(type, stored, value);
+    case "gt":
+      return compare(type, stored, value) > 0;
+    case "lt":
+      return compare(type, stored, value) < 0;
+    case "in":
+      return value.some((item) => equals(type, stored, item));
+    case "between":
+      return (
+        compare(type, stored, value[0]) >= 0 &&
+        compare(type, stored, value[1]) <= 0
+      );
+    case "contains":
+      return type === "Array"
+        ? equals(type, stored, value)
+        : typeof stored === "string" &&
+            stored.toLowerCase().includes(value.toLowerCase());
+    case "exists":
+      return (stored !== undefined && stored !== null) === value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * In-memory counterpart of toMongoQuery
+ * @param {object} record - Stored record
+ * @param {object[]} conditions - Result of compileFilter
+ * @returns {boolean}
+ */
+export const matchesFilter = (record, conditions = []) =>
+  conditions.every((condition) => matchesCondition(record, condition));
+
+export default {
+  FILTER_OPERATORS,
+  fieldType,
+  escapeRegex,
+  parseFilterQuery,
+  compileFilter,
+  toMongoQuery,
+  matchesFilter,
+};
@@ -0,0 +1,243 @@
+/**
+ * Form fields and table columns derived from backend.schema, so an entity's
+ * frontend section only holds what differs from the defaults:
+ *
+ *   "backend": { "schema": {
+ *     "name":   { "type": "String", "required": true, "label": "Project Name" },
+ *     "status": { "type": "String", "enum": ["ACTIVE", "INACTIVE"] } } },
+ *   "frontend": {
+ *     "fields":  [{ "name": "description", "type": "textarea" }],
+ *     "columns": [{ "accessor": "status", "sortable": false }] }
+ *
+ * Every field gets a form type from its backend type (an enum becomes a
+ * dropdown, a Ref a lookup, ...), its `required` flag, its enum as options
+ * and a label (the backend `label`, or one made from the name). Entries of
+ * frontend.fields and frontend.columns are matched by `name` and `accessor`
+ * and override what was derived; `"hidden": true` drops one. Entries
+ * matching nothing derived are kept as they are, after the derived ones.
+ */
+
+// Form types that edit a nested schema, and long text the table leaves out
+const NESTED_FORM_TYPES = ["group", "repeater"];
+const NON_COLUMN_TYPES = [...NESTED_FORM_TYPES, "textarea", "richtext"];
+
+// Strings longer than this get a textarea
+const LONG_TEXT_LENGTH = 255;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Label for a field name: "dueDate" and "due_date" become "Due Date"
+ * @param {string} name
+ * @returns {string}
+ */
+export const humanize = (name) =>
+  String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/\b\w/g, (c) => c.toUpperCase())
+    .replace(/\b(Id|Url)\b/g, (word) => word.toUpperCase());
+
+const labelOf = (name, fieldConfig) =>
+  typeof fieldConfig.label === "string" && fieldConfig.label
+    ? fieldConfig.label
+    : humanize(name);
+
+// Text inputs picked from the field name, for browsers' keyboards and checks
+const stringFormType = (name, fieldConfig) => {
+  if (fieldConfig.format === "html") return "richtext";
+  if (fieldConfig.format === "color") return "color";
+  if (fieldConfig.format === "time") return "time";
+  if (/email/i.test(name)) return "email";
+  if (/(^|_)(url|website)$|[a-z](Url|Website)$/.test(name)) return "url";
+  if (/phone|mobile/i.test(name)) return "tel";
+  if (fieldConfig.maxLength > LONG_TEXT_LENGTH) return "textarea";
+  return "text";
+};
+
+/**
+ * Form type that edits a backend field
+ * @param {string} name - Field name
+ * @param {object} fieldConfig - Definition from backend.schema
+ * @returns {string|null} - null for fields no form type edits (Mixed,
+ *   ObjectId, Objects without a schema)
+ */
+export const formTypeOf = (name, fieldConfig) => {
+  const hasEnum =
+    Array.isArray(fieldConfig.enum) && fieldConfig.enum.length > 0;
+
+  switch (fieldConfig.type || "String") {
+    case "String":
+      return hasEnum ? "dropdown" : stringFormType(name, fieldConfig);
+    case "Number":
+      if (fieldConfig.currency) return "currency";
+      return hasEnum ? "dropdown" : "number";
+    case "Boolean":
+      return "checkbox";
+    case "Date":
+      return fieldConfig.timezone ? "datetime" : "date";
+    case "Ref":
+      return "lookup";
+    case "File":
+      return Array.isArray(fieldConfig.accept) &&
+        fieldConfig.accept.length > 0 &&
+        fieldConfig.accept.every((type) => /^image\//.test(type))
+        ? "image"
+        : "file";
+    case "Object":
+      return isPlainObject(fieldConfig.schema) ? "group" : null;
+    case "Array":
+      if (isPlainObject(fieldConfig.schema)) return "repeater";
+      if (hasEnum) return "multiselect";
+      return [undefined, "String", "Number"].includes(fieldConfig.of)
+        ? "tags"
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Form fields for a backend schema, in its order
+ * @param {object} schema - backend.schema (or a nested schema)
+ * @returns {object[]}
+ */
+export const deriveFields = (schema) =>
+  Object.entries(isPlainObject(schema) ? schema : {})
+    .filter(([, fieldConfig]) => isPlainObject(fieldConfig))
+    .map(([name, fieldConfig]) => {
+      const type = formTypeOf(name, fieldConfig);
+      if (!type) return null;
+
+      const field = { name, label: labelOf(name, fieldConfig), type };
+      if (fieldConfig.required) field.required = true;
+      if (["dropdown", "multiselect"].includes(type)) {
+        field.options = [...fieldConfig.enum];
+      }
+      // Limits the inputs enforce as the user types
+      for (const key of ["min", "max", "minLength", "maxLength"]) {
+        if (typeof fieldConfig[key] === "number") field[key] = fieldConfig[key];
+      }
+      if (NESTED_FORM_TYPES.includes(type)) {
+        field.fields = deriveFields(fieldConfig.schema);
+      }
+      return field;
+    })
+    .filter(Boolean);
+
+/**
+ * Table columns for a backend schema: every top-level field a form edits,
+ * except nested and long text ones
+ * @param {object} schema - backend.schema
+ * @returns {object[]}
+ */
+export const deriveColumns = (schema) =>
+  deriveFields(schema)
+    .filter((field) => !NON_COLUMN_TYPES.includes(field.type))
+    .map((field) =>
+      field.type === "date"
+        ? { header: field.label, accessor: field.name, type: "date" }
+        : { header: field.label, accessor: field.name }
+    );
+
+// Overrides matched by `key` replace what was derived; the rest of the
+// overrides follow, and hidden entries are dropped
+const mergeByKey = (derived, overrides, key, mergeOne) => {
+  if (!Array.isArray(overrides)) return derived;
+
+  const byKey = new Map(
+    overrides
+      .filter((item) => isPlainObject(item) && item[key] !== undefined)
+      .map((item) => [item[key], item])
+  );
+  const derivedKeys = new Set(derived.map((item) => item[key]));
+
+  return [
+    ...derived.map((item) =>
+      byKey.has(item[key]) ? mergeOne(item, byKey.get(item[key])) : item
+    ),
+    ...overrides.filter(
+      (item) => !isPlainObject(item) || !derivedKeys.has(item[key])
+    ),
+  ].filter((item) => !item?.hidden);
+};
+
+const mergeField = (derived, override) => {
+  const field = { ...derived, ...override };
+  // Options come from the source instead of the enum
+  if (override.optionsSource !== undefined && override.options === undefined) {
+    delete field.options;
+  }
+  if (derived.fields && NESTED_FORM_TYPES.includes(field.type)) {
+    field.fields = mergeFields(derived.fields, override.fields);
+  }
+  return field;
+};
+
+/**
+ * Derived form fields with frontend.fields applied
+ * @param {object[]} derived - See deriveFields
+ * @param {object[]} [overrides] - frontend.fields (or a group's `fields`)
+ * @returns {object[]}
+ */
+export const mergeFields = (derived, overrides) =>
+  mergeByKey(derived, overrides, "name", mergeField);
+
+/**
+ * Derived columns with frontend.columns applied
+ * @param {object[]} derived - See deriveColumns
+ * @param {object[]} [overrides] - frontend.columns
+ * @returns {object[]}
+ */
+export const mergeColumns = (derived, overrides) =>
+  mergeByKey(derived, overrides, "accessor", (column, override) => ({
+    ...column,
+    ...override,
+  }));
+
+/**
+ * The frontend section of an entity with its fields and columns resolved
+ * @param {object} config - Entity configuration
+ * @returns {object}
+ */
+export const resolveFrontend = (config) => {
+  const schema = config?.backend?.schema;
+  const frontend = isPlainObject(config?.frontend) ? config.frontend : {};
+
+  return {
+    ...frontend,
+    fields: mergeFields(deriveFields(schema), frontend.fields),
+    columns: mergeColumns(deriveColumns(schema), frontend.columns),
+  };
+};
+
+/**
+ * A schema with every entity's frontend section resolved
+ * @param {object} schema - { record: { [entityName]: config } }
+ * @returns {object}
+ */
+export const resolveSchema = (schema) => ({
+  ...schema,
+  record: Object.fromEntries(
+    Object.entries(schema?.record || {}).map(([entityName, config]) => [
+      entityName,
+      isPlainObject(config)
+        ? { ...config, frontend: resolveFrontend(config) }
+        : config,
+    ])
+  ),
+});
+
+export default {
+  humanize,
+  formTypeOf,
+  deriveFields,
+  deriveColumns,
+  mergeFields,
+  mergeColumns,
+  resolveFrontend,
+  resolveSchema,
+};
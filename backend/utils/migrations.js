@@ -0,0 +1,221 @@
+import { castValue } from "./recordValidator.js";
+import { getTenancy } from "./tenancy.js";
+
+/**
+ * Data migrations between two versions of the schema.
+ *
+ * Operations, in the order they are applied to every record:
+ *   rename      - field declares `renamedFrom: "oldName"` in backend.schema
+ *                 (or, undoing it, the live field did and the new schema
+ *                 has "oldName" again)
+ *   cast        - field type changed (values that cannot be cast are left as is)
+ *   fillDefault - new field with a `default`, set on records that lack it
+ *   drop        - field removed from backend.schema
+ */
+
+const OPERATION_ORDER = ["rename", "cast", "fillDefault", "drop"];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Computes the migration plan for every entity present in both schemas
+ * @param {object} oldSchema - Schema currently live
+ * @param {object} newSchema - Schema about to go live
+ * @returns {{ entities: object, warnings: string[] }} - Operations per entity
+ */
+export const planMigrations = (oldSchema, newSchema) => {
+  const oldRecord = oldSchema?.record || {};
+  const newRecord = newSchema?.record || {};
+  const plan = { entities: {}, warnings: [] };
+
+  for (const entityName of Object.keys(oldRecord)) {
+    if (!newRecord[entityName]) {
+      plan.warnings.push(
+        `Entity "${entityName}" was removed; its records are kept in storage`
+      );
+    }
+  }
+
+  for (const [entityName, config] of Object.entries(newRecord)) {
+    const before = oldRecord[entityName]?.backend?.schema;
+    const after = config?.backend?.schema;
+    if (!before || !after) continue;
+
+    const oldTenancy = getTenancy(oldRecord[entityName]);
+    const newTenancy = getTenancy(config);
+    if (newTenancy && newTenancy.field !== oldTenancy?.field) {
+      plan.warnings.push(
+        `${entityName} is now isolated by "${newTenancy.field}"; existing records without it are hidden from every user`
+      );
+    }
+
+    const operations = [];
+    const renamed = {};
+
+    for (const [field, fieldConfig] of Object.entries(after)) {
+      const from = fieldConfig.renamedFrom;
+      if (from && from !== field && before[from] && !after[from]) {
+        renamed[field] = from;
+        operations.push({ op: "rename", from, to: field });
+      }
+    }
+
+    // A rename undone, e.g. by a rollback: the live field was renamed from
+    // one the new schema declares again
+    for (const [field, fieldConfig] of Object.entries(before)) {
+      const to = fieldConfig?.renamedFrom;
+      if (
+        to &&
+        to !== field &&
+        after[to] &&
+        !before[to] &&
+        !after[field] &&
+        !renamed[to]
+      ) {
+        renamed[to] = field;
+        operations.push({ op: "rename", from: field, to });
+      }
+    }
+
+    for (const [field, fieldConfig] of Object.entries(after)) {
+      const previous = before[renamed[field] || field];
+
+      if (!previous) {
+        if (fieldConfig.default !== undefined) {
+          operations.push({
+            op: "fillDefault",
+            field,
+            value: fieldConfig.default,
+          });
+        } else if (fieldConfig.required) {
+          plan.warnings.push(
+            `${entityName}.${field} is a new required field without a default; existing records will fail validation until it is set`
+          );
+        }
+        continue;
+      }
+
+      const fromType = previous.type || "String";
+      const toType = fieldConfig.type || "String";
+      if (fromType !== toType) {
+        operations.push({ op: "cast", field, from: fromType, to: toType });
+      }
+    }
+
+    const renamedSources = Object.values(renamed);
+    for (const field of Object.keys(before)) {
+      if (!after[field] && !renamedSources.includes(field)) {
+        operations.push({ op: "drop", field });
+      }
+    }
+
+    if (operations.length > 0) {
+      plan.entities[entityName] = operations.sort(
+        (a, b) => OPERATION_ORDER.indexOf(a.op) - OPERATION_ORDER.indexOf(b.op)
+      );
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Applies migration operations to a single stored record
+ * @param {object} record - Stored record (not modified)
+ * @param {object[]} operations - Operations from planMigrations
+ * @param {object[]} tally - One { affected, failed } counter per operation
+ * @param {object} options
+ * @param {(iso: string) => any} options.toDate - Storage representation of dates
+ * @returns {{ record: object, changed: boolean }}
+ */
+export const migrateRecord = (
+  record,
+  operations,
+  tally,
+  { toDate = (iso) => iso } = {}
+) => {
+  const next = { ...record };
+  const has = (field) => Object.prototype.hasOwnProperty.call(next, field);
+  let changed = false;
+
+  operations.forEach((operation, index) => {
+    switch (operation.op) {
+      case "rename":
+        if (!has(operation.from)) return;
+        // Never overwrite a value already stored under the new name
+        if (!has(operation.to)) next[operation.to] = next[operation.from];
+        delete next[operation.from];
+        break;
+
+      case "cast": {
+        const value = next[operation.field];
+        if (isEmpty(value)) return;
+
+        const cast = castValue(operation.field, { type: operation.to }, value);
+        if (cast.error) {
+          tally[index].failed++;
+          return;
+        }
+
+        const castedValue =
+          operation.to === "Date" ? toDate(cast.value) : cast.value;
+        if (JSON.stringify(castedValue) === JSON.stringify(value)) return;
+        next[operation.field] = castedValue;
+        break;
+      }
+
+      case "fillDefault":
+        if (!isEmpty(next[operation.field])) return;
+        next[operation.field] =
+          operation.value === "Date.now"
+            ? toDate(new Date().toISOString())
+            : operation.value;
+        break;
+
+      case "drop":
+        if (!has(operation.field)) return;
+        delete next[operation.field];
+        break;
+
+      default:
+        return;
+    }
+
+    tally[index].affected++;
+    changed = true;
+  });
+
+  return { record: next, changed };
+};
+
+/**
+ * Runs (or dry-runs) a migration plan through the entity stores
+ * @param {object} plan - Result of planMigrations
+ * @param {(entityName: string) => object} getStore - Entity store lookup
+ * @param {object} options
+ * @param {boolean} options.dryRun - Count affected records without writing
+ * @returns {Promise<object>} - Operations per entity with affected/failed counts
+ */
+export const runMigrations = async (
+  plan,
+  getStore,
+  { dryRun = false } = {}
+) => {
+  const results = {};
+
+  for (const [entityName, operations] of Object.entries(plan.entities)) {
+    const store = getStore(entityName);
+    if (!store) continue;
+
+    const tally = await store.migrate(operations, { dryRun });
+    results[entityName] = operations.map((operation, index) => ({
+      ...operation,
+      ...tally[index],
+    }));
+  }
+
+  return results;
+};
+
+export default { planMigrations, migrateRecord, runMigrations };
@@ -0,0 +1,257 @@
+import { castValue } from "./recordValidator.js";
+import { fieldType } from "./filters.js";
+import { tenantScope } from "./tenancy.js";
+import { canAccess, canAccessField } from "./permissions.js";
+
+/**
+ * Options loaded at runtime, declared on dropdown, radio and multiselect
+ * entries of frontend.fields instead of static `options`:
+ *
+ *   { "name": "department", "type": "dropdown",
+ *     "optionsSource": { "entity": "departments", "valueField": "code",
+ *                        "labelField": "name" } }
+ *
+ *   { "name": "country", "type": "dropdown",
+ *     "optionsSource": { "url": "https://example.com/countries.json",
+ *                        "path": "data", "valueField": "iso",
+ *                        "labelField": "name", "ttl": 3600 } }
+ *
+ * Entity sources are read through the entity's own store, so its tenancy
+ * applies; `valueField` defaults to "_id" and `labelField` to "name". URL
+ * sources return a JSON array (or an object holding one under `path`) of
+ * values or objects. Submitted values must be among the source's options;
+ * URL responses are cached for `ttl` seconds.
+ *
+ * Entity sources are checked with the user's own read permissions and
+ * tenancy, as if the user listed the entity, so they reveal nothing the
+ * list route would not.
+ */
+
+const DEFAULT_TTL = 300;
+const FETCH_TIMEOUT_MS = 5000;
+
+// source key -> { expires, values }
+const urlCache = new Map();
+
+// Sources differing in any setting (path, valueField, ...) are cached apart
+const sourceKey = (source) =>
+  JSON.stringify(source, Object.keys(source).sort());
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Top-level form fields with an optionsSource
+ * @param {object[]} fields - frontend.fields of the entity
+ * @returns {object[]}
+ */
+export const sourcedFields = (fields = []) =>
+  fields.filter((field) => field?.name && isPlainObject(field.optionsSource));
+
+const readPath = (data, path) =>
+  String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce(
+      (value, key) =>
+        isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, key)
+          ? value[key]
+          : undefined,
+      data
+    );
+
+/**
+ * Option values of a URL source, cached for its `ttl`
+ * @param {object} source - optionsSource with a `url`
+ * @returns {Promise<string[]>}
+ */
+export const urlOptionValues = async (source) => {
+  const key = sourceKey(source);
+  const cached = urlCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.values;
+
+  const response = await fetch(source.url, {
+    headers: { Accept: "application/json" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`Options source answered ${response.status}`);
+  }
+  const body = await response.json();
+  const items = source.path ? readPath(body, source.path) : body;
+  if (!Array.isArray(items)) {
+    throw new Error("Options source did not return an array");
+  }
+
+  const valueField = source.valueField || "value";
+  const values = items.map((item) =>
+    String(isPlainObject(item) ? item[valueField] : item)
+  );
+  urlCache.set(key, {
+    expires: Date.now() + (source.ttl ?? DEFAULT_TTL) * 1000,
+    values,
+  });
+  return values;
+};
+
+export const clearOptionsCache = () => urlCache.clear();
+
+// Values that exist in an entity source, for the user
+const entityOptionValues = async (source, values, { resolve, user }) => {
+  const target = resolve(source.entity);
+  if (!target) return null;
+
+  const valueField = source.valueField || "_id";
+  if (
+    !canAccess(target.config, "read", user?.role) ||
+    !canAccessField(target.config, valueField, "read", user?.role)
+  ) {
+    throw new Error(`not allowed to read ${source.entity}`);
+  }
+
+  const type = fieldType(target.config.backend.schema, valueField) || "String";
+  const cast = values
+    .map((value) => castValue(valueField, { type }, value))
+    .filter((result) => !result.error)
+    .map((result) => result.value);
+  if (cast.length === 0) return new Set();
+
+  const { records } = await target.store.list({
+    filter: [{ field: valueField, type, op: "in", value: cast }],
+    scope: tenantScope(target.config, user),
+    limit: cast.length,
+    withTotal: false,
+    fields: [valueField],
+  });
+  return new Set(records.map((record) => String(record[valueField])));
+};
+
+/**
+ * Checks the values of sourced fields against their sources
+ * @param {object[]} fields - frontend.fields of the entity
+ * @param {object} data - Cast record data (only present fields are checked)
+ * @param {object} context
+ * @param {(entityName: string) => object|null} context.resolve - { config, store } of an entity
+ * @param {object} context.user - Authenticated user (req.user)
+ * @returns {Promise<string[]>} - Error messages
+ */
+export const optionErrors = async (fields, data, { resolve, user }) => {
+  const errors = [];
+
+  for (const { name, optionsSource: source } of sourcedFields(fields)) {
+    if (isEmpty(data?.[name])) continue;
+    const values = (Array.isArray(data[name]) ? data[name] : [data[name]]).map(
+      String
+    );
+
+    let known;
+    try {
+      known = source.entity
+        ? await entityOptionValues(source, values, { resolve, user })
+        : new Set(await urlOptionValues(source));
+    } catch (error) {
+      errors.push(
+        `Options for path \`${name}\` could not be loaded (${error.message}).`
+      );
+      continue;
+    }
+    if (!known) {
+      errors.push(
+        `Path \`${name}\` takes options from unknown entity "${source.entity}".`
+      );
+      continue;
+    }
+
+    for (const value of values.filter((v) => !known.has(v))) {
+      errors.push(`\`${value}\` is not a valid option for path \`${name}\`.`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates an optionsSource declaration
+ * @param {*} source
+ * @param {object} entities - schema.record, for entity sources
+ * @param {string} where - Location for messages
+ * @returns {string[]} - Error messages
+ */
+export const validateOptionsSource = (source, entities, where) => {
+  if (!isPlainObject(source)) {
+    return [`"optionsSource" must be an object for ${where}`];
+  }
+  const errors = [];
+  const hasEntity = source.entity !== undefined;
+  const hasUrl = source.url !== undefined;
+
+  if (hasEntity === hasUrl) {
+    errors.push(
+      `"optionsSource" needs either "entity" or "url" (not both) for ${where}`
+    );
+  }
+  for (const key of ["valueField", "labelField", "path"]) {
+    if (source[key] !== undefined && typeof source[key] !== "string") {
+      errors.push(`"optionsSource.${key}" must be a string for ${where}`);
+    }
+  }
+
+  if (hasEntity) {
+    const target = entities?.[source.entity];
+    if (!target) {
+      errors.push(
+        `"optionsSource" refers to unknown entity "${source.entity}" for ${where}`
+      );
+    } else {
+      for (const key of ["valueField", "labelField"]) {
+        const field = source[key];
+        if (
+          typeof field === "string" &&
+          !fieldType(target.backend?.schema, field)
+        ) {
+          errors.push(
+            `"optionsSource.${key}" is not a field of ${source.entity} for ${where}`
+          );
+        }
+      }
+    }
+  }
+
+  if (hasUrl) {
+    let url = null;
+    try {
+      url = new URL(source.url);
+    } catch {
+      // reported below
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      errors.push(
+        `"optionsSource.url" must be an absolute http(s) URL for ${where}`
+      );
+    }
+    if (
+      source.ttl !== undefined &&
+      !(Number.isInteger(source.ttl) && source.ttl >= 0)
+    ) {
+      errors.push(
+        `"optionsSource.ttl" must be a number of seconds for ${where}`
+      );
+    }
+  }
+
+  return errors;
+};
+
+export default {
+  sourcedFields,
+  urlOptionValues,
+  clearOptionsCache,
+  optionErrors,
+  validateOptionsSource,
+};
@@ -0,0 +1,80 @@
+/**
+ * Role-based access declared per entity in schemaConfig.json:
+ *
+ *   "permissions": {
+ *     "read": ["admin", "user"],
+ *     "create": ["admin"],
+ *     "update": ["admin"],
+ *     "delete": ["admin"],
+ *     "fields": { "salary": { "read": ["admin"], "write": ["admin"] } }
+ *   }
+ *
+ * An action or field rule that is not declared is open to every signed-in
+ * user. Admins are always allowed, so a schema can never lock them out.
+ */
+
+export const ENTITY_ACTIONS = ["read", "create", "update", "delete"];
+export const FIELD_ACTIONS = ["read", "write"];
+
+const allows = (roles, role) =>
+  role === "admin" || !Array.isArray(roles) || roles.includes(role);
+
+/**
+ * Whether a role may perform an action on an entity
+ * @param {object} config - Entity configuration
+ * @param {string} action - One of ENTITY_ACTIONS
+ * @param {string} role - Role of the current user
+ * @returns {boolean}
+ */
+export const canAccess = (config, action, role) =>
+  allows(config?.permissions?.[action], role);
+
+/**
+ * Whether a role may read or write a single field
+ * @param {object} config - Entity configuration
+ * @param {string} field - Field name
+ * @param {string} action - "read" or "write"
+ * @param {string} role - Role of the current user
+ * @returns {boolean}
+ */
+export const canAccessField = (config, field, action, role) =>
+  allows(config?.permissions?.fields?.[field]?.[action], role);
+
+/**
+ * Removes the fields a role may not read from a record
+ * @param {object} config - Entity configuration
+ * @param {object} record - Stored record
+ * @param {string} role - Role of the current user
+ * @returns {object} - Copy of the record (or the record itself if nothing is hidden)
+ */
+export const filterReadable = (config, record, role) => {
+  const fieldRules = config?.permissions?.fields;
+  if (!record || !fieldRules) return record;
+
+  const visible = { ...record };
+  for (const field of Object.keys(fieldRules)) {
+    if (!canAccessField(config, field, "read", role)) delete visible[field];
+  }
+  return visible;
+};
+
+/**
+ * Lists the fields in a payload that a role may not write
+ * @param {object} config - Entity configuration
+ * @param {object} data - Incoming record data
+ * @param {string} role - Role of the current user
+ * @returns {string[]} - Field names
+ */
+export const unwritableFields = (config, data, role) =>
+  Object.keys(data || {}).filter(
+    (field) => !canAccessField(config, field, "write", role)
+  );
+
+export default {
+  ENTITY_ACTIONS,
+  FIELD_ACTIONS,
+  canAccess,
+  canAccessField,
+  filterReadable,
+  unwritableFields,
+};
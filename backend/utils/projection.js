@@ -0,0 +1,76 @@
+import { fieldType } from "./filters.js";
+
+/**
+ * Sparse fieldsets for entity read endpoints.
+ *
+ *   ?fields=name,status            only these fields (plus _id)
+ *   { "fields": ["name", "status"] } in a JSON query body
+ *
+ * Without `fields` whole records are returned. Any backend.schema field and
+ * _id, createdAt, updatedAt can be requested.
+ */
+
+const toList = (fields) =>
+  Array.isArray(fields)
+    ? fields
+    : String(fields)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+/**
+ * Validates a fields parameter against an entity schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {string|string[]} fields - "a,b" or ["a", "b"]
+ * @param {object} options
+ * @param {(field: string) => boolean} options.canRead - Extra per-field check (e.g. read permission)
+ * @returns {{ fields: string[]|null, errors: string[] }} - null means every field
+ */
+export const parseFields = (
+  schemaDefinition,
+  fields,
+  { canRead = () => true } = {}
+) => {
+  if (fields === undefined || fields === null || fields === "") {
+    return { fields: null, errors: [] };
+  }
+
+  const parsed = ["_id"];
+  const errors = [];
+
+  for (const field of toList(fields)) {
+    if (typeof field !== "string") {
+      errors.push(`Invalid field: ${JSON.stringify(field)}`);
+    } else if (!fieldType(schemaDefinition, field) || !canRead(field)) {
+      errors.push(`Unknown field: ${field}`);
+    } else if (!parsed.includes(field)) {
+      parsed.push(field);
+    }
+  }
+
+  return { fields: parsed, errors };
+};
+
+/**
+ * @param {string[]} fields - Result of parseFields
+ * @returns {object} - MongoDB projection
+ */
+export const toMongoProjection = (fields) =>
+  Object.fromEntries(fields.map((field) => [field, 1]));
+
+/**
+ * In-memory counterpart of toMongoProjection
+ * @param {object} record - Stored record
+ * @param {string[]|null} fields - Result of parseFields
+ * @returns {object} - The record with only the listed fields
+ */
+export const pickFields = (record, fields) => {
+  if (!record || !fields) return record;
+  return Object.fromEntries(
+    fields
+      .filter((field) => field in record)
+      .map((field) => [field, record[field]])
+  );
+};
+
+export default { parseFields, toMongoProjection, pickFields };
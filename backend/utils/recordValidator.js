@@ -0,0 +1,320 @@
+/**
+ * Record validation derived from an entity's backend.schema.
+ * Messages mirror Mongoose's so clients see the same `details` whether the
+ * record is headed for MongoDB or the in-memory store.
+ */
+
+import { FILE_ID_PATTERN } from "./fileStorage.js";
+import {
+  sanitizeHtml,
+  parseColor,
+  parseTime,
+  roundCurrency,
+  parseZonedDateTime,
+} from "./fieldFormats.js";
+
+const TRUE_VALUES = [true, "true", 1, "1", "yes"];
+const FALSE_VALUES = [false, "false", 0, "0", "no"];
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+const describe = (value) =>
+  typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+
+const castError = (type, value, fieldName) =>
+  `Cast to ${type} failed for value ${describe(
+    value
+  )} (type ${typeof value}) at path "${fieldName}"`;
+
+/**
+ * Casts a single value to the field's declared type.
+ * Returns { value } on success or { error } when the value cannot be cast.
+ */
+export const castValue = (fieldName, fieldConfig, value) => {
+  switch (fieldConfig.type) {
+    case "Number": {
+      const num = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof num !== "number" || Number.isNaN(num)) {
+        return { error: castError("Number", value, fieldName) };
+      }
+      if (fieldConfig.currency && Number.isFinite(num)) {
+        return { value: roundCurrency(num, fieldConfig.currency) };
+      }
+      return { value: num };
+    }
+
+    case "Boolean":
+      if (TRUE_VALUES.includes(value)) return { value: true };
+      if (FALSE_VALUES.includes(value)) return { value: false };
+      return { error: castError("Boolean", value, fieldName) };
+
+    // Date-times without an offset are read in the field's timezone (see
+    // utils/fieldFormats.js)
+    case "Date": {
+      const date =
+        value instanceof Date
+          ? value
+          : parseZonedDateTime(value, fieldConfig.timezone) || new Date(value);
+      if (typeof value === "boolean" || Number.isNaN(date.getTime())) {
+        return { error: castError("date", value, fieldName) };
+      }
+      return { value: date.toISOString() };
+    }
+
+    // With `of`, items are cast to that type and a comma-separated string
+    // is read as a list (e.g. tags typed in a form)
+    case "Array": {
+      if (!fieldConfig.of) {
+        return { value: Array.isArray(value) ? value : [value] };
+      }
+      const items = Array.isArray(value)
+        ? value
+        : typeof value === "string"
+        ? value.split(",").map((item) => item.trim())
+        : [value];
+      const cast = [];
+      for (const [index, item] of items.entries()) {
+        if (isEmpty(item)) continue;
+        const result = castValue(
+          `${fieldName}.${index}`,
+          { type: fieldConfig.of },
+          item
+        );
+        if (result.error) return result;
+        cast.push(result.value);
+      }
+      return { value: cast };
+    }
+
+    case "Object":
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: castError("Object", value, fieldName) };
+      }
+      return { value };
+
+    case "ObjectId":
+      if (!OBJECT_ID_PATTERN.test(String(value))) {
+        return { error: castError("ObjectId", value, fieldName) };
+      }
+      return { value: String(value) };
+
+    // Ids of referenced records; expanded records (see utils/relations.js)
+    // are accepted too, so a record read with ?expand can be sent back
+    case "Ref": {
+      const items = fieldConfig.many && Array.isArray(value) ? value : [value];
+      const ids = [];
+      for (const item of items) {
+        const id = item !== null && typeof item === "object" ? item._id : item;
+        if (!OBJECT_ID_PATTERN.test(String(id))) {
+          return { error: castError("ObjectId", item, fieldName) };
+        }
+        ids.push(String(id));
+      }
+      return { value: fieldConfig.many ? ids : ids[0] };
+    }
+
+    // Uploaded files, referred to by id; the stored metadata is filled in
+    // by resolveFiles (see utils/files.js)
+    case "File": {
+      const items = fieldConfig.many && Array.isArray(value) ? value : [value];
+      const files = [];
+      for (const item of items) {
+        const id = item !== null && typeof item === "object" ? item.id : item;
+        if (!FILE_ID_PATTERN.test(String(id))) {
+          return { error: castError("File", item, fieldName) };
+        }
+        files.push({ id: String(id) });
+      }
+      return { value: fieldConfig.many ? files : files[0] };
+    }
+
+    case "Mixed":
+      return { value };
+
+    case "String":
+    default: {
+      if (typeof value === "object") {
+        return { error: castError("string", value, fieldName) };
+      }
+      let str = String(value);
+      if (fieldConfig.trim) str = str.trim();
+      if (fieldConfig.lowercase) str = str.toLowerCase();
+      if (fieldConfig.uppercase) str = str.toUpperCase();
+
+      // See utils/fieldFormats.js
+      if (fieldConfig.format === "html") return { value: sanitizeHtml(str) };
+      if (fieldConfig.format === "color" || fieldConfig.format === "time") {
+        const parsed =
+          fieldConfig.format === "color" ? parseColor(str) : parseTime(str);
+        return parsed === null
+          ? { error: castError(fieldConfig.format, value, fieldName) }
+          : { value: parsed };
+      }
+      return { value: str };
+    }
+  }
+};
+
+/**
+ * Checks enum, min/max, length and pattern rules on an already cast value.
+ */
+const checkConstraints = (fieldName, fieldConfig, value) => {
+  const errors = [];
+  const { minLength, maxLength } = fieldConfig;
+
+  // Arrays (e.g. multi-selects) check the enum for every item
+  if (Array.isArray(fieldConfig.enum)) {
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items.filter((i) => !fieldConfig.enum.includes(i))) {
+      errors.push(
+        `\`${item}\` is not a valid enum value for path \`${fieldName}\`.`
+      );
+    }
+  }
+
+  if (fieldConfig.type === "Number" || fieldConfig.type === "Date") {
+    const comparable = (v) =>
+      fieldConfig.type === "Date" ? new Date(v).getTime() : v;
+
+    if (
+      fieldConfig.min !== undefined &&
+      comparable(value) < comparable(fieldConfig.min)
+    ) {
+      errors.push(
+        `Path \`${fieldName}\` (${value}) is less than minimum allowed value (${fieldConfig.min}).`
+      );
+    }
+    if (
+      fieldConfig.max !== undefined &&
+      comparable(value) > comparable(fieldConfig.max)
+    ) {
+      errors.push(
+        `Path \`${fieldName}\` (${value}) is more than maximum allowed value (${fieldConfig.max}).`
+      );
+    }
+  }
+
+  if (typeof value === "string") {
+    if (minLength !== undefined && value.length < minLength) {
+      errors.push(
+        `Path \`${fieldName}\` (\`${value}\`) is shorter than the minimum allowed length (${minLength}).`
+      );
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      errors.push(
+        `Path \`${fieldName}\` (\`${value}\`) is longer than the maximum allowed length (${maxLength}).`
+      );
+    }
+    if (fieldConfig.match && !new RegExp(fieldConfig.match).test(value)) {
+      errors.push(`Path \`${fieldName}\` is invalid (${value}).`);
+    }
+  }
+
+  return errors;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validates the sub-records of an Object or Array field that declares a
+ * nested `schema`. Paths in messages are dotted like Mongoose's
+ * (`address.zip`, `items.0.qty`).
+ */
+const validateNested = (path, fieldConfig, value, errors) => {
+  if (fieldConfig.type === "Object") {
+    const result = validateFields(fieldConfig.schema, value, { path });
+    errors.push(...result.errors);
+    return result.data;
+  }
+
+  return value.map((item, index) => {
+    if (!isPlainObject(item)) {
+      errors.push(castError("Object", item, `${path}.${index}`));
+      return item;
+    }
+    const result = validateFields(fieldConfig.schema, item, {
+      path: `${path}.${index}`,
+    });
+    errors.push(...result.errors);
+    return result.data;
+  });
+};
+
+// Only declared fields (and _id) are kept: undeclared keys never reach the store
+const validateFields = (schemaDefinition, data, { partial = false, path }) => {
+  const errors = [];
+  const normalized = {};
+  if (Object.prototype.hasOwnProperty.call(data, "_id")) {
+    normalized._id = data._id;
+  }
+
+  for (const [name, fieldConfig] of Object.entries(schemaDefinition || {})) {
+    const fieldName = path ? `${path}.${name}` : name;
+    const present = Object.prototype.hasOwnProperty.call(data, name);
+    let value = data[name];
+
+    if (!present && !partial && fieldConfig.default !== undefined) {
+      value =
+        fieldConfig.default === "Date.now" ? new Date() : fieldConfig.default;
+    }
+
+    if (isEmpty(value)) {
+      // Partial updates only enforce `required` when the field is cleared
+      if (fieldConfig.required && (!partial || present)) {
+        errors.push(`Path \`${fieldName}\` is required.`);
+      }
+      if (present) normalized[name] = data[name];
+      continue;
+    }
+
+    const cast = castValue(fieldName, fieldConfig, value);
+    if (cast.error) {
+      errors.push(cast.error);
+      normalized[name] = value;
+      continue;
+    }
+
+    errors.push(...checkConstraints(fieldName, fieldConfig, cast.value));
+    normalized[name] = isPlainObject(fieldConfig.schema)
+      ? validateNested(fieldName, fieldConfig, cast.value, errors)
+      : cast.value;
+  }
+
+  return { errors, data: normalized };
+};
+
+/**
+ * Validates and normalises a request body against a backend.schema.
+ * Object fields and arrays of objects with a nested `schema` are validated
+ * field by field; a nested object is always checked as a whole. Fields
+ * the schema does not declare are dropped.
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} data - Incoming record
+ * @param {object} options
+ * @param {boolean} options.partial - Only check fields present in `data` (PUT/PATCH)
+ * @returns {{ valid: boolean, errors: string[], data: object }} - `data` holds the cast values
+ */
+export const validateRecord = (
+  schemaDefinition,
+  data,
+  { partial = false } = {}
+) => {
+  if (!isPlainObject(data)) {
+    return { valid: false, errors: ["Record must be an object"], data };
+  }
+
+  const { errors, data: normalized } = validateFields(schemaDefinition, data, {
+    partial,
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    data: normalized,
+  };
+};
+
+export default { validateRecord, castValue };
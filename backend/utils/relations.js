@@ -0,0 +1,355 @@
+import { canAccess, filterReadable } from "./permissions.js";
+import { tenantScope } from "./tenancy.js";
+
+/**
+ * References between entities, declared in backend.schema:
+ *
+ *   "project": { "type": "Ref", "ref": "projects", "displayField": "name" }
+ *   "tags":    { "type": "Ref", "ref": "tags", "many": true }
+ *
+ * A reference stores the _id of a record of the `ref` entity (an array of
+ * them with `many`). Writes are rejected when a referenced record does not
+ * exist for the caller, and ?expand=field replaces the ids with the
+ * referenced records on read. Lookups go through the target entity's own
+ * store, so its tenancy and read permissions apply.
+ *
+ * `onDelete` decides what happens to referencing records when the
+ * referenced one is deleted:
+ *   "restrict" (default) - the delete is refused while references exist
+ *   "cascade"            - referencing records are deleted too
+ *   "setNull"            - the reference is cleared (removed from `many`)
+ * Referencing records of every tenant are considered; a refused delete only
+ * lists the ids of those in the caller's tenant. A cascade into an entity
+ * the caller may not delete from refuses the delete as well.
+ */
+
+export const ON_DELETE_RULES = ["restrict", "cascade", "setNull"];
+
+// Referencing records are read in pages of this size
+const BATCH_SIZE = 500;
+
+// How many blocking records a refused delete lists per relation
+const MAX_LISTED = 10;
+
+/**
+ * Reference fields of a schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @returns {{ field: string, ref: string, many: boolean }[]}
+ */
+export const refFields = (schemaDefinition = {}) =>
+  Object.entries(schemaDefinition)
+    .filter(([, fieldConfig]) => fieldConfig?.type === "Ref")
+    .map(([field, fieldConfig]) => ({
+      field,
+      ref: fieldConfig.ref,
+      many: Boolean(fieldConfig.many),
+      onDelete: fieldConfig.onDelete || "restrict",
+    }));
+
+/**
+ * Ref fields of every entity that point at one entity
+ * @param {string} entityName - Referenced entity
+ * @param {object} entities - schema.record
+ * @returns {object[]} - [{ entityName, field, many, onDelete }]
+ */
+export const referrersOf = (entityName, entities = {}) =>
+  Object.entries(entities).flatMap(([name, config]) =>
+    refFields(config?.backend?.schema)
+      .filter(({ ref }) => ref === entityName)
+      .map((relation) => ({ entityName: name, ...relation }))
+  );
+
+// Referenced ids of a stored or cast value
+const idsOf = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .filter((id) => id !== undefined && id !== null && id !== "")
+    .map(String);
+
+// Records of the target entity the user can see, by id
+const findTargets = async ({ config, store }, ids, user) => {
+  const unique = [...new Set(ids)];
+  const { records } = await store.list({
+    filter: [{ field: "_id", type: "ObjectId", op: "in", value: unique }],
+    scope: tenantScope(config, user),
+    limit: unique.length,
+    withTotal: false,
+  });
+  return new Map(records.map((record) => [String(record._id), record]));
+};
+
+/**
+ * Checks that every reference in a record points at an existing record
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {object} data - Cast record data (see validateRecord)
+ * @param {object} context
+ * @param {(entityName: string) => object|null} context.resolve - { config, store } of an entity
+ * @param {object} context.user - Authenticated user (req.user)
+ * @returns {Promise<string[]>} - Error messages
+ */
+export const checkReferences = async (
+  schemaDefinition,
+  data,
+  { resolve, user }
+) => {
+  const errors = [];
+
+  for (const { field, ref } of refFields(schemaDefinition)) {
+    const ids = idsOf(data?.[field]);
+    if (ids.length === 0) continue;
+
+    const target = resolve(ref);
+    if (!target) {
+      errors.push(`Path \`${field}\` references unknown entity "${ref}".`);
+      continue;
+    }
+
+    const found = await findTargets(target, ids, user);
+    for (const id of ids.filter((id) => !found.has(id))) {
+      errors.push(
+        `Path \`${field}\` references a missing ${ref} record (${id}).`
+      );
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validates an expand parameter against an entity schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {string|string[]} expand - "a,b" or ["a", "b"]
+ * @param {object} options
+ * @param {(field: string) => boolean} options.canExpand - Extra per-field check (e.g. read permission)
+ * @returns {{ fields: string[], errors: string[] }}
+ */
+export const parseExpand = (
+  schemaDefinition,
+  expand,
+  { canExpand = () => true } = {}
+) => {
+  const fields = [];
+  const errors = [];
+  if (expand === undefined || expand === null || expand === "") {
+    return { fields, errors };
+  }
+
+  const refs = refFields(schemaDefinition).map(({ field }) => field);
+  const list = Array.isArray(expand) ? expand : String(expand).split(",");
+
+  for (const item of list) {
+    const field = typeof item === "string" ? item.trim() : item;
+    if (!field) continue;
+    if (!refs.includes(field) || !canExpand(field)) {
+      errors.push(`Cannot expand field: ${field}`);
+    } else if (!fields.includes(field)) {
+      fields.push(field);
+    }
+  }
+
+  return { fields, errors };
+};
+
+/**
+ * Replaces reference ids with the records they point to. Ids are left as
+ * they are when the user may not read the target entity or the record is
+ * gone.
+ * @param {object[]} records - Records about to be returned
+ * @param {string[]} fields - Result of parseExpand
+ * @param {object} context
+ * @param {object} context.schemaDefinition - backend.schema of the entity
+ * @param {(entityName: string) => object|null} context.resolve - { config, store } of an entity
+ * @param {object} context.user - Authenticated user (req.user)
+ * @returns {Promise<object[]>}
+ */
+export const expandRecords = async (
+  records,
+  fields,
+  { schemaDefinition, resolve, user }
+) => {
+  let expanded = records;
+
+  for (const { field, ref, many } of refFields(schemaDefinition)) {
+    if (!fields.includes(field)) continue;
+
+    const target = resolve(ref);
+    if (!target || !canAccess(target.config, "read", user?.role)) continue;
+
+    const ids = expanded.flatMap((record) => idsOf(record[field]));
+    if (ids.length === 0) continue;
+
+    const found = await findTargets(target, ids, user);
+    const toRecord = (id) =>
+      found.has(id)
+        ? filterReadable(target.config, found.get(id), user?.role)
+        : id;
+
+    expanded = expanded.map((record) =>
+      record[field] === undefined || record[field] === null
+        ? record
+        : {
+            ...record,
+            [field]: many
+              ? idsOf(record[field]).map(toRecord)
+              : toRecord(String(record[field])),
+          }
+    );
+  }
+
+  return expanded;
+};
+
+// Every record of a store (all tenants) that references one of `ids`
+const findReferencing = async (store, { field }, ids) => {
+  const filter = [{ field, type: "Ref", op: "in", value: ids }];
+  const found = [];
+
+  for (let skip = 0; ; skip += BATCH_SIZE) {
+    const { records } = await store.list({
+      filter,
+      skip,
+      limit: BATCH_SIZE,
+      withTotal: false,
+    });
+    found.push(...records);
+    if (records.length < BATCH_SIZE) return found;
+  }
+};
+
+/**
+ * Works out what deleting records means for the records referencing them,
+ * following cascades through further relations. Nothing is changed.
+ * @param {string} entityName - Entity the records are deleted from
+ * @param {string[]} ids - _id of the records being deleted
+ * @param {object} context
+ * @param {object} context.entities - schema.record
+ * @param {(entityName: string) => object|null} context.resolve - { config, store } of an entity
+ * @param {object} context.user - Authenticated user; blocking ids are only
+ *   listed from their scope, and cascades need their delete permission
+ * @returns {Promise<object>} - { blocking, deletes, updates }
+ */
+export const planDelete = async (
+  entityName,
+  ids,
+  { entities, resolve, user }
+) => {
+  const plan = { blocking: [], deletes: [], updates: [] };
+  const visited = new Set(ids.map((id) => `${entityName}:${id}`));
+  const queue = [{ entityName, ids: ids.map(String) }];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const relation of referrersOf(current.entityName, entities)) {
+      const target = resolve(relation.entityName);
+      if (!target) continue;
+
+      const records = (
+        await findReferencing(target.store, relation, current.ids)
+      ).filter(
+        (record) => !visited.has(`${relation.entityName}:${record._id}`)
+      );
+      if (records.length === 0) continue;
+
+      const forbidden =
+        relation.onDelete === "cascade" &&
+        !canAccess(target.config, "delete", user?.role);
+
+      if (relation.onDelete === "cascade" && !forbidden) {
+        const cascaded = records.map((record) => String(record._id));
+        cascaded.forEach((id) => visited.add(`${relation.entityName}:${id}`));
+        plan.deletes.push({ entityName: relation.entityName, ids: cascaded });
+        queue.push({ entityName: relation.entityName, ids: cascaded });
+      } else if (relation.onDelete === "setNull") {
+        for (const record of records) {
+          plan.updates.push({
+            entityName: relation.entityName,
+            id: String(record._id),
+            field: relation.field,
+            many: relation.many,
+            ids: current.ids,
+          });
+        }
+      } else {
+        // Records outside the caller's scope are counted but not listed
+        const scope = tenantScope(target.config, user);
+        const listed = records
+          .filter(
+            (record) =>
+              !scope ||
+              Object.entries(scope).every(
+                ([field, value]) => String(record[field]) === value
+              )
+          )
+          .slice(0, MAX_LISTED)
+          .map((record) => String(record._id));
+
+        plan.blocking.push({
+          entity: relation.entityName,
+          field: relation.field,
+          onDelete: relation.onDelete,
+          count: records.length,
+          ids: listed,
+        });
+      }
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Applies the cascading deletes and updates of a plan without blocking
+ * records, once the records the plan was made for have been deleted by the
+ * caller. Steps reach records of every tenant. Every step checks the
+ * current record first, so a step that fails does not stop the others and
+ * applying the plan again only does what is left.
+ * @param {object} plan - Result of planDelete
+ * @param {(entityName: string) => object|null} resolve - { config, store } of an entity
+ * @returns {Promise<object>} - { removed: [{ entityName, record }] deleted by
+ *   cascades, failed: [{ entityName, id, error }] }
+ */
+export const applyDeletePlan = async ({ deletes, updates }, resolve) => {
+  const removed = [];
+  const failed = [];
+
+  for (const { entityName, ids } of deletes) {
+    const target = resolve(entityName);
+    if (!target) continue;
+    for (const id of ids) {
+      try {
+        const record = await target.store.remove(id);
+        if (record) removed.push({ entityName, record });
+      } catch (error) {
+        failed.push({ entityName, id, error: error.message });
+      }
+    }
+  }
+
+  for (const { entityName, id, field, many, ids } of updates) {
+    const target = resolve(entityName);
+    if (!target) continue;
+    try {
+      const current = idsOf((await target.store.findById(id))?.[field]);
+      if (!current.some((ref) => ids.includes(ref))) continue;
+
+      await target.store.update(id, {
+        [field]: many ? current.filter((ref) => !ids.includes(ref)) : null,
+      });
+    } catch (error) {
+      failed.push({ entityName, id, error: error.message });
+    }
+  }
+
+  return { removed, failed };
+};
+
+export default {
+  ON_DELETE_RULES,
+  refFields,
+  referrersOf,
+  checkReferences,
+  parseExpand,
+  expandRecords,
+  planDelete,
+  applyDeletePlan,
+};
@@ -0,0 +1,151 @@
+import fs from "fs";
+
+/**
+ * Schema version history and structural diffs
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Arrays of fields/columns are compared by name/accessor rather than position
+const itemKey = (item) =>
+  isPlainObject(item) ? item.name ?? item.accessor : undefined;
+
+const isKeyedArray = (value) =>
+  Array.isArray(value) && value.every((item) => itemKey(item) !== undefined);
+
+const diffValues = (before, after, path, changes) => {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  if (before === undefined) {
+    changes.push({ type: "added", path: path.join("."), after });
+    return;
+  }
+  if (after === undefined) {
+    changes.push({ type: "removed", path: path.join("."), before });
+    return;
+  }
+
+  if (isKeyedArray(before) && isKeyedArray(after)) {
+    const toMap = (items) =>
+      Object.fromEntries(items.map((item) => [itemKey(item), item]));
+    diffValues(toMap(before), toMap(after), path, changes);
+    return;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      diffValues(before[key], after[key], [...path, key], changes);
+    }
+    return;
+  }
+
+  changes.push({ type: "changed", path: path.join("."), before, after });
+};
+
+/**
+ * Computes a structural diff between two schemas
+ * @param {object} oldSchema - Previous schema ({ record: {...} })
+ * @param {object} newSchema - Next schema
+ * @returns {{ summary: object, changes: object[] }}
+ */
+export const diffSchemas = (oldSchema = {}, newSchema = {}) => {
+  const oldRecord = oldSchema?.record || {};
+  const newRecord = newSchema?.record || {};
+  const changes = [];
+
+  diffValues(oldRecord, newRecord, [], changes);
+
+  const entitiesChanged = Object.keys(newRecord).filter(
+    (entity) =>
+      oldRecord[entity] &&
+      JSON.stringify(oldRecord[entity]) !== JSON.stringify(newRecord[entity])
+  );
+
+  return {
+    summary: {
+      entitiesAdded: Object.keys(newRecord).filter((e) => !oldRecord[e]),
+      entitiesRemoved: Object.keys(oldRecord).filter((e) => !newRecord[e]),
+      entitiesChanged,
+      totalChanges: changes.length,
+    },
+    changes,
+  };
+};
+
+/**
+ * Creates a version history persisted to a JSON file. Writes are best
+ * effort, like schemaConfig.json, so read-only deployments keep the history
+ * in memory.
+ * @param {string} filePath - Location of the history file
+ */
+export const createSchemaHistory = (filePath) => {
+  let versions = [];
+
+  try {
+    if (fs.existsSync(filePath)) {
+      versions = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  } catch (error) {
+    console.warn("⚠️ Could not load schema history:", error.message);
+  }
+
+  const save = () => {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(versions, null, 2), "utf8");
+    } catch (error) {
+      console.warn("⚠️ Could not save schema history:", error.message);
+    }
+  };
+
+  const latest = () => versions[versions.length - 1] || null;
+
+  return {
+    latest,
+
+    /**
+     * Lists versions without their full schema, newest first
+     */
+    list() {
+      return versions
+        .map(({ schema, diff, ...meta }) => ({
+          ...meta,
+          summary: diff.summary,
+        }))
+        .reverse();
+    },
+
+    get(version) {
+      return versions.find((v) => v.version === Number(version)) || null;
+    },
+
+    /**
+     * Stores a schema as the next version
+     * @param {object} schema - The schema that went live
+     * @param {object} meta - { author, message, rolledBackFrom, migration }
+     *   where `migration` is "applied" or "pending" when the change needed
+     *   records to be migrated
+     * @returns {object} - The stored version entry
+     */
+    record(schema, { author, message, rolledBackFrom, migration } = {}) {
+      const previous = latest();
+      const entry = {
+        version: previous ? previous.version + 1 : 1,
+        author: author || "anonymous",
+        message: message || "",
+        timestamp: new Date().toISOString(),
+        ...(rolledBackFrom !== undefined && { rolledBackFrom }),
+        ...(migration !== undefined && { migration }),
+        diff: diffSchemas(previous?.schema, schema),
+        schema,
+      };
+
+      versions.push(entry);
+      save();
+      return entry;
+    },
+  };
+};
+
+export default { diffSchemas, createSchemaHistory };
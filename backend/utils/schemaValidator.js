@@ -1,7 +1,911 @@
+import { castValue } from "./recordValidator.js";
+import { ENTITY_ACTIONS, FIELD_ACTIONS } from "./permissions.js";
+import { USER_ROLES } from "./userStore.js";
+import { TENANCY_SCOPES, getTenancy } from "./tenancy.js";
+import { ON_DELETE_RULES } from "./relations.js";
+import { validateRule } from "./conditions.js";
+import { COMPUTED_TYPES, computedFields } from "./expressions.js";
+import { matchesAccept } from "./files.js";
+import { validateOptionsSource } from "./optionSources.js";
+import {
+  deriveFields,
+  deriveColumns,
+  mergeFields,
+  mergeColumns,
+} from "./formDerivation.js";
+import {
+  STRING_FORMATS,
+  ARRAY_ITEM_TYPES,
+  isValidTimeZone,
+  isValidCurrency,
+} from "./fieldFormats.js";
+
 /**
  * Utility functions for schema generation and validation
  */
 
+export const FIELD_TYPES = [
+  "String",
+  "Number",
+  "Boolean",
+  "Date",
+  "Array",
+  "Object",
+  "Mixed",
+  "ObjectId",
+  "Ref",
+  "File",
+];
+
+export const FORM_FIELD_TYPES = [
+  "text",
+  "email",
+  "tel",
+  "url",
+  "textarea",
+  "dropdown",
+  "checkbox",
+  "radio",
+  "date",
+  "number",
+  "password",
+  "range",
+  "lookup",
+  "group",
+  "repeater",
+  "file",
+  "image",
+  "multiselect",
+  "tags",
+  "richtext",
+  "color",
+  "time",
+  "datetime",
+  "currency",
+];
+
+// Backend type each rich form type edits, and the option it relies on
+const RICH_FORM_TYPES = {
+  multiselect: { type: "Array" },
+  tags: { type: "Array" },
+  richtext: { type: "String", format: "html" },
+  color: { type: "String", format: "color" },
+  time: { type: "String", format: "time" },
+  datetime: { type: "Date" },
+  currency: { type: "Number" },
+};
+
+// Form types that edit a nested schema through their own `fields`
+const NESTED_FORM_TYPES = { group: "Object", repeater: "Array" };
+
+// Form types choosing from `options` or an optionsSource
+const CHOICE_FORM_TYPES = ["dropdown", "radio", "multiselect"];
+
+// Form types that upload to a File field
+const FILE_FORM_TYPES = ["file", "image"];
+
+// Routes owned by the server itself; entity routes must not shadow them
+export const RESERVED_ROUTES = [
+  "/",
+  "/health",
+  "/api/schema",
+  "/api/auth",
+  "/api/files",
+];
+
+// Accessors every record has regardless of its schema
+const SYSTEM_FIELDS = ["_id", "id", "createdAt", "updatedAt"];
+
+const normalizeRoute = (route) => route.replace(/\/+$/, "") || "/";
+
+// Express matches mount paths by prefix and regardless of case, so a route
+// also takes every request below it
+const collidesWith = (route, reserved) => {
+  const path = route.toLowerCase();
+  return reserved === "/"
+    ? path === "/"
+    : path === reserved || path.startsWith(`${reserved.toLowerCase()}/`);
+};
+
+const isValidRegex = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const validateBackendField = (
+  entityName,
+  fieldName,
+  fieldConfig,
+  { nested = false } = {}
+) => {
+  const errors = [];
+  const warnings = [];
+  const where = `field "${fieldName}" in entity: ${entityName}`;
+
+  if (!fieldConfig || typeof fieldConfig !== "object") {
+    errors.push(`Definition must be an object for ${where}`);
+    return { errors, warnings };
+  }
+
+  const type = fieldConfig.type;
+  if (type === undefined) {
+    warnings.push(`Missing "type" for ${where} (defaults to String)`);
+  } else if (!FIELD_TYPES.includes(type)) {
+    errors.push(
+      `Unknown type "${type}" for ${where}. Expected one of: ${FIELD_TYPES.join(
+        ", "
+      )}`
+    );
+    return { errors, warnings };
+  }
+
+  // Label of the derived form field and column (see utils/formDerivation.js)
+  if (
+    fieldConfig.label !== undefined &&
+    typeof fieldConfig.label !== "string"
+  ) {
+    errors.push(`"label" must be a string for ${where}`);
+  }
+
+  if (fieldConfig.enum !== undefined) {
+    if (!Array.isArray(fieldConfig.enum) || fieldConfig.enum.length === 0) {
+      errors.push(`"enum" must be a non-empty array for ${where}`);
+    } else if (
+      fieldConfig.default !== undefined &&
+      !fieldConfig.enum.includes(fieldConfig.default)
+    ) {
+      errors.push(
+        `Default "${fieldConfig.default}" is not in the enum for ${where}`
+      );
+    }
+  }
+
+  if (
+    fieldConfig.default !== undefined &&
+    fieldConfig.default !== "Date.now" &&
+    castValue(fieldName, { type }, fieldConfig.default).error
+  ) {
+    errors.push(`Default does not match type ${type || "String"} for ${where}`);
+  }
+
+  for (const key of ["min", "max"]) {
+    if (fieldConfig[key] === undefined) continue;
+    if (type !== "Number" && type !== "Date") {
+      warnings.push(`"${key}" only applies to Number and Date for ${where}`);
+    } else if (castValue(fieldName, { type }, fieldConfig[key]).error) {
+      errors.push(`"${key}" must be a valid ${type} for ${where}`);
+    }
+  }
+
+  if (
+    type === "Number" &&
+    typeof fieldConfig.min === "number" &&
+    typeof fieldConfig.max === "number" &&
+    fieldConfig.min > fieldConfig.max
+  ) {
+    errors.push(`"min" is greater than "max" for ${where}`);
+  }
+
+  for (const key of ["minLength", "maxLength"]) {
+    if (fieldConfig[key] === undefined) continue;
+    if (!Number.isInteger(fieldConfig[key]) || fieldConfig[key] < 0) {
+      errors.push(`"${key}" must be a non-negative integer for ${where}`);
+    }
+  }
+
+  if (fieldConfig.match !== undefined && !isValidRegex(fieldConfig.match)) {
+    errors.push(`"match" is not a valid regular expression for ${where}`);
+  }
+
+  // Object fields and arrays of objects can declare the fields they hold
+  if (fieldConfig.schema !== undefined) {
+    const nestedSchema = fieldConfig.schema;
+    if (type !== "Object" && type !== "Array") {
+      errors.push(
+        `"schema" only applies to Object and Array fields for ${where}`
+      );
+    } else if (
+      !nestedSchema ||
+      typeof nestedSchema !== "object" ||
+      Array.isArray(nestedSchema) ||
+      Object.keys(nestedSchema).length === 0
+    ) {
+      errors.push(`"schema" must be an object of fields for ${where}`);
+    } else {
+      for (const [name, config] of Object.entries(nestedSchema)) {
+        const result = validateBackendField(
+          entityName,
+          `${fieldName}.${name}`,
+          config,
+          { nested: true }
+        );
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+      }
+    }
+  }
+
+  // Expressions are checked per entity (see validateSchema)
+  if (fieldConfig.computed !== undefined) {
+    if (nested) {
+      errors.push(`Computed fields cannot be nested for ${where}`);
+    } else if (!COMPUTED_TYPES.includes(type || "String")) {
+      errors.push(
+        `Computed fields must be one of: ${COMPUTED_TYPES.join(
+          ", "
+        )} for ${where}`
+      );
+    }
+    for (const key of ["required", "default", "unique"]) {
+      if (fieldConfig[key] !== undefined && fieldConfig[key] !== false) {
+        errors.push(`"${key}" cannot be set on a computed ${where}`);
+      }
+    }
+  }
+
+  // References, files and text indexes are only kept for top-level fields
+  if (nested && (type === "Ref" || type === "File")) {
+    errors.push(`${type} fields cannot be nested for ${where}`);
+  }
+  if (nested && fieldConfig.searchable) {
+    errors.push(`"searchable" cannot be set on a nested ${where}`);
+  }
+
+  if (type === "Ref") {
+    if (typeof fieldConfig.ref !== "string" || !fieldConfig.ref) {
+      errors.push(`"ref" must name the referenced entity for ${where}`);
+    }
+    if (
+      fieldConfig.many !== undefined &&
+      typeof fieldConfig.many !== "boolean"
+    ) {
+      errors.push(`"many" must be true or false for ${where}`);
+    }
+    if (
+      fieldConfig.displayField !== undefined &&
+      typeof fieldConfig.displayField !== "string"
+    ) {
+      errors.push(`"displayField" must be a field name for ${where}`);
+    }
+    if (
+      fieldConfig.onDelete !== undefined &&
+      !ON_DELETE_RULES.includes(fieldConfig.onDelete)
+    ) {
+      errors.push(
+        `"onDelete" must be one of: ${ON_DELETE_RULES.join(", ")} for ${where}`
+      );
+    } else if (fieldConfig.onDelete === "setNull" && fieldConfig.required) {
+      errors.push(`"setNull" cannot clear a required reference for ${where}`);
+    }
+  } else if (fieldConfig.ref !== undefined) {
+    warnings.push(`"ref" only applies to Ref fields for ${where}`);
+  }
+
+  // Coercion options (see utils/fieldFormats.js)
+  if (fieldConfig.format !== undefined) {
+    if ((type || "String") !== "String") {
+      errors.push(`"format" only applies to String fields for ${where}`);
+    } else if (!STRING_FORMATS.includes(fieldConfig.format)) {
+      errors.push(
+        `"format" must be one of: ${STRING_FORMATS.join(", ")} for ${where}`
+      );
+    }
+  }
+  if (fieldConfig.timezone !== undefined) {
+    if (type !== "Date") {
+      errors.push(`"timezone" only applies to Date fields for ${where}`);
+    } else if (!isValidTimeZone(fieldConfig.timezone)) {
+      errors.push(
+        `"timezone" must be an IANA time zone (e.g. "Europe/Paris") for ${where}`
+      );
+    }
+  }
+  if (fieldConfig.currency !== undefined) {
+    if (type !== "Number") {
+      errors.push(`"currency" only applies to Number fields for ${where}`);
+    } else if (!isValidCurrency(fieldConfig.currency)) {
+      errors.push(
+        `"currency" must be an ISO 4217 code (e.g. "USD") for ${where}`
+      );
+    }
+  }
+  if (fieldConfig.of !== undefined) {
+    if (type !== "Array" || fieldConfig.schema) {
+      errors.push(
+        `"of" only applies to Array fields without a "schema" for ${where}`
+      );
+    } else if (!ARRAY_ITEM_TYPES.includes(fieldConfig.of)) {
+      errors.push(
+        `"of" must be one of: ${ARRAY_ITEM_TYPES.join(", ")} for ${where}`
+      );
+    } else if (
+      Array.isArray(fieldConfig.enum) &&
+      fieldConfig.enum.some(
+        (value) => castValue(fieldName, { type: fieldConfig.of }, value).error
+      )
+    ) {
+      errors.push(`Enum values must be of type ${fieldConfig.of} for ${where}`);
+    }
+  }
+
+  // Upload limits (see utils/files.js)
+  if (type === "File") {
+    const { accept, maxSize, many } = fieldConfig;
+    if (many !== undefined && typeof many !== "boolean") {
+      errors.push(`"many" must be true or false for ${where}`);
+    }
+    if (
+      accept !== undefined &&
+      (!Array.isArray(accept) ||
+        accept.length === 0 ||
+        accept.some(
+          (t) => typeof t !== "string" || !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(t)
+        ))
+    ) {
+      errors.push(
+        `"accept" must be a non-empty array of MIME types (e.g. "image/*") for ${where}`
+      );
+    }
+    if (maxSize !== undefined && !(Number.isInteger(maxSize) && maxSize > 0)) {
+      errors.push(`"maxSize" must be a positive number of bytes for ${where}`);
+    }
+    for (const key of ["unique", "enum"]) {
+      if (fieldConfig[key] !== undefined) {
+        errors.push(`"${key}" cannot be set on a File ${where}`);
+      }
+    }
+  } else {
+    for (const key of ["accept", "maxSize"]) {
+      if (fieldConfig[key] !== undefined) {
+        warnings.push(`"${key}" only applies to File fields for ${where}`);
+      }
+    }
+  }
+
+  // true, or a text index weight (1-99999 in MongoDB)
+  const { searchable } = fieldConfig;
+  if (searchable !== undefined && searchable !== false) {
+    if (
+      searchable !== true &&
+      !(Number.isInteger(searchable) && searchable >= 1 && searchable <= 99999)
+    ) {
+      errors.push(
+        `"searchable" must be true or a weight from 1 to 99999 for ${where}`
+      );
+    } else if (
+      ((type || "String") !== "String" && type !== "Array") ||
+      fieldConfig.schema
+    ) {
+      errors.push(
+        `"searchable" only applies to String and Array fields for ${where}`
+      );
+    }
+  }
+
+  return { errors, warnings };
+};
+
+const validateRoles = (roles, where, errors, warnings) => {
+  if (!Array.isArray(roles) || roles.some((r) => typeof r !== "string")) {
+    errors.push(`Roles must be an array of strings for ${where}`);
+    return;
+  }
+  const unknown = roles.filter((r) => !USER_ROLES.includes(r));
+  if (unknown.length > 0) {
+    warnings.push(`Unknown roles ${unknown.join(", ")} for ${where}`);
+  }
+};
+
+const validatePermissions = (entityName, permissions, backendSchema) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!permissions || typeof permissions !== "object") {
+    errors.push(`"permissions" must be an object for entity: ${entityName}`);
+    return { errors, warnings };
+  }
+
+  for (const [action, roles] of Object.entries(permissions)) {
+    if (action === "fields") continue;
+    if (!ENTITY_ACTIONS.includes(action)) {
+      warnings.push(
+        `Unknown permission "${action}" for entity: ${entityName}. Expected one of: ${ENTITY_ACTIONS.join(
+          ", "
+        )}`
+      );
+      continue;
+    }
+    validateRoles(
+      roles,
+      `"${action}" permission in entity: ${entityName}`,
+      errors,
+      warnings
+    );
+  }
+
+  if (permissions.fields === undefined) return { errors, warnings };
+
+  if (!permissions.fields || typeof permissions.fields !== "object") {
+    errors.push(
+      `"permissions.fields" must be an object for entity: ${entityName}`
+    );
+    return { errors, warnings };
+  }
+
+  for (const [field, rules] of Object.entries(permissions.fields)) {
+    const where = `field permission "${field}" in entity: ${entityName}`;
+
+    if (backendSchema && !backendSchema[field]) {
+      warnings.push(`No matching backend.schema key for ${where}`);
+    }
+    if (!rules || typeof rules !== "object") {
+      errors.push(`Rules must be an object for ${where}`);
+      continue;
+    }
+    for (const [action, roles] of Object.entries(rules)) {
+      if (!FIELD_ACTIONS.includes(action)) {
+        warnings.push(`Unknown action "${action}" for ${where}`);
+        continue;
+      }
+      validateRoles(roles, `"${action}" of ${where}`, errors, warnings);
+    }
+  }
+
+  return { errors, warnings };
+};
+
+const validateTenancy = (entityName, tenancy, backendSchema) => {
+  const errors = [];
+  const where = `"tenancy" in entity: ${entityName}`;
+
+  if (!tenancy || typeof tenancy !== "object") {
+    errors.push(`Must be an object for ${where}`);
+  } else if (!TENANCY_SCOPES.includes(tenancy.scope)) {
+    errors.push(
+      `"scope" must be one of: ${TENANCY_SCOPES.join(", ")} for ${where}`
+    );
+  } else if (
+    tenancy.field !== undefined &&
+    (typeof tenancy.field !== "string" ||
+      !/^[A-Za-z][A-Za-z0-9_]*$/.test(tenancy.field))
+  ) {
+    errors.push(`"field" must be a plain field name for ${where}`);
+  } else {
+    const { field } = getTenancy({ tenancy });
+    if (backendSchema?.[field] || SYSTEM_FIELDS.includes(field)) {
+      errors.push(
+        `"${field}" is managed by the server and must not be declared in backend.schema for ${where}`
+      );
+    }
+  }
+
+  return { errors, warnings: [] };
+};
+
+// Sub-fields of a group or repeater, checked against the nested schema
+const validateNestedFormFields = (where, fields, nestedSchema) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(fields) || fields.length === 0) {
+    errors.push(`"fields" must be a non-empty array for ${where}`);
+    return { errors, warnings };
+  }
+
+  const seen = new Set();
+  for (const field of fields) {
+    if (!field?.name) {
+      errors.push(`Sub-field without "name" in ${where}`);
+      continue;
+    }
+
+    const subWhere = `sub-field "${field.name}" of ${where}`;
+    if (seen.has(field.name)) errors.push(`Duplicate ${subWhere}`);
+    seen.add(field.name);
+
+    const backendField = nestedSchema?.[field.name];
+    if (!backendField) {
+      errors.push(`No matching key in the nested schema for ${subWhere}`);
+    }
+    if (!field.label) errors.push(`Missing "label" for ${subWhere}`);
+
+    if (field.showIf !== undefined || field.requiredIf !== undefined) {
+      warnings.push(
+        `"showIf" and "requiredIf" only apply to top-level form fields, not ${subWhere}`
+      );
+    }
+
+    if (field.type === "lookup" || FILE_FORM_TYPES.includes(field.type)) {
+      errors.push(`"${field.type}" cannot be used inside ${where}`);
+    } else if (NESTED_FORM_TYPES[field.type]) {
+      const result = validateNestedForm(subWhere, field, backendField);
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    } else if (field.type && !FORM_FIELD_TYPES.includes(field.type)) {
+      warnings.push(
+        `Unknown type "${field.type}" for ${subWhere} (rendered as a text input)`
+      );
+    }
+  }
+
+  return { errors, warnings };
+};
+
+// A group edits an Object field, a repeater an Array of objects
+const validateNestedForm = (where, field, backendField) => {
+  const expected = NESTED_FORM_TYPES[field.type];
+  if (
+    backendField &&
+    (backendField.type !== expected || !backendField.schema)
+  ) {
+    return {
+      errors: [
+        `"${field.type}" needs an ${expected} field with a nested "schema" for ${where}`,
+      ],
+      warnings: [],
+    };
+  }
+  return validateNestedFormFields(where, field.fields, backendField?.schema);
+};
+
+// Wizard steps group form fields by name; each field belongs to one step
+const validateSteps = (entityName, steps, fields) => {
+  const errors = [];
+  const warnings = [];
+  const where = `"frontend.steps" of entity: ${entityName}`;
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`Must be a non-empty array for ${where}`);
+    return { errors, warnings };
+  }
+
+  const formFields = Array.isArray(fields)
+    ? fields.map((field) => field?.name)
+    : [];
+  const placed = new Set();
+
+  steps.forEach((step, index) => {
+    const stepWhere = `step ${index + 1} in ${where}`;
+    if (!step || typeof step !== "object") {
+      errors.push(`Must be an object for ${stepWhere}`);
+      return;
+    }
+    if (typeof step.title !== "string" || !step.title) {
+      errors.push(`Missing "title" for ${stepWhere}`);
+    }
+    if (!Array.isArray(step.fields) || step.fields.length === 0) {
+      errors.push(
+        `"fields" must be a non-empty array of names for ${stepWhere}`
+      );
+      return;
+    }
+    for (const name of step.fields) {
+      if (!formFields.includes(name)) {
+        errors.push(`Unknown form field "${name}" in ${stepWhere}`);
+      } else if (placed.has(name)) {
+        errors.push(
+          `Form field "${name}" is in more than one step of ${where}`
+        );
+      }
+      placed.add(name);
+    }
+  });
+
+  const unplaced = formFields.filter((name) => name && !placed.has(name));
+  if (unplaced.length > 0) {
+    warnings.push(
+      `Fields in no step are shown on the last step for ${where}: ${unplaced.join(
+        ", "
+      )}`
+    );
+  }
+
+  return { errors, warnings };
+};
+
+// Checks the frontend section as overrides and the fields and columns it
+// resolves to (see utils/formDerivation.js)
+const validateFrontend = (entityName, frontend, backendSchema) => {
+  const errors = [];
+  const warnings = [];
+  const schemaFields = Object.keys(backendSchema || {});
+  let fields = [];
+
+  if (frontend.fields !== undefined && !Array.isArray(frontend.fields)) {
+    errors.push(`"frontend.fields" must be an array for entity: ${entityName}`);
+  } else {
+    const seen = new Set();
+    const hidden = new Set();
+
+    for (const field of frontend.fields || []) {
+      if (!field?.name) {
+        errors.push(`Form field without "name" in entity: ${entityName}`);
+        continue;
+      }
+
+      const where = `form field "${field.name}" in entity: ${entityName}`;
+
+      if (seen.has(field.name)) {
+        errors.push(`Duplicate ${where}`);
+      }
+      seen.add(field.name);
+
+      if (backendSchema && !backendSchema[field.name]) {
+        errors.push(`No matching backend.schema key for ${where}`);
+      }
+
+      if (field.hidden !== undefined && typeof field.hidden !== "boolean") {
+        errors.push(`"hidden" must be true or false for ${where}`);
+      } else if (field.hidden) {
+        hidden.add(field.name);
+      }
+    }
+
+    fields = mergeFields(deriveFields(backendSchema), frontend.fields);
+
+    for (const field of fields) {
+      if (!field?.name) continue;
+
+      const where = `form field "${field.name}" in entity: ${entityName}`;
+
+      if (!field.label) {
+        errors.push(`Missing "label" for ${where}`);
+      }
+
+      if (field.type && !FORM_FIELD_TYPES.includes(field.type)) {
+        warnings.push(
+          `Unknown type "${field.type}" for ${where} (rendered as a text input)`
+        );
+      }
+
+      if (
+        field.type === "lookup" &&
+        backendSchema?.[field.name]?.type !== "Ref"
+      ) {
+        errors.push(
+          `"lookup" needs a Ref field in backend.schema for ${where}`
+        );
+      }
+
+      const rich = RICH_FORM_TYPES[field.type];
+      const richField = backendSchema?.[field.name];
+      if (rich && richField) {
+        if ((richField.type || "String") !== rich.type) {
+          errors.push(
+            `"${field.type}" needs a backend.schema field of type ${rich.type} for ${where}`
+          );
+        } else if (field.type === "richtext" && richField.format !== "html") {
+          // Unsanitised markup would be stored and rendered as is
+          errors.push(
+            `"richtext" needs "format": "html" on the backend field for ${where}`
+          );
+        } else if (rich.format && richField.format !== rich.format) {
+          warnings.push(
+            `Set "format": "${rich.format}" on the backend field so the server checks values for ${where}`
+          );
+        } else if (field.type === "currency" && !richField.currency) {
+          errors.push(
+            `"currency" needs a "currency" code on the backend field for ${where}`
+          );
+        } else if (field.type === "multiselect" && richField.schema) {
+          errors.push(
+            `"multiselect" needs an Array of values, not of objects, for ${where}`
+          );
+        }
+      }
+
+      if (FILE_FORM_TYPES.includes(field.type)) {
+        const fileField = backendSchema?.[field.name];
+        if (backendSchema && fileField?.type !== "File") {
+          errors.push(
+            `"${field.type}" needs a File field in backend.schema for ${where}`
+          );
+        } else if (
+          field.type === "image" &&
+          fileField &&
+          (!Array.isArray(fileField.accept) ||
+            fileField.accept.some((t) => !matchesAccept(t, ["image/*"])))
+        ) {
+          warnings.push(
+            `"image" field accepts files other than images (set "accept": ["image/*"]) for ${where}`
+          );
+        }
+      }
+
+      if (NESTED_FORM_TYPES[field.type]) {
+        const result = validateNestedForm(
+          where,
+          field,
+          backendSchema?.[field.name]
+        );
+        errors.push(...result.errors);
+        warnings.push(...result.warnings);
+      }
+
+      // Choices are static `options` or an optionsSource, checked per
+      // schema (see validateOptionSources)
+      const isChoice = CHOICE_FORM_TYPES.includes(field.type);
+      if (field.optionsSource !== undefined) {
+        if (!isChoice) {
+          errors.push(
+            `"optionsSource" only applies to ${CHOICE_FORM_TYPES.join(
+              ", "
+            )} fields for ${where}`
+          );
+        } else if (field.options !== undefined) {
+          warnings.push(
+            `"options" are ignored when "optionsSource" is set for ${where}`
+          );
+        }
+      } else if (
+        isChoice &&
+        (!Array.isArray(field.options) || field.options.length === 0)
+      ) {
+        errors.push(`"options" must be a non-empty array for ${where}`);
+      }
+
+      const backendField = backendSchema?.[field.name];
+      if (Array.isArray(field.options) && Array.isArray(backendField?.enum)) {
+        const values = field.options.map((opt) => opt?.value ?? opt);
+        const missing = values.filter((v) => !backendField.enum.includes(v));
+        if (missing.length > 0) {
+          warnings.push(
+            `Options ${missing.join(
+              ", "
+            )} are not in the backend enum for ${where}`
+          );
+        }
+      }
+
+      if (backendField?.required && !field.required) {
+        warnings.push(
+          `Backend requires the field but the form does not mark it required for ${where}`
+        );
+      }
+
+      // Conditional visibility and requiredness (see utils/conditions.js)
+      for (const key of ["showIf", "requiredIf"]) {
+        if (field[key] === undefined) continue;
+        errors.push(
+          ...validateRule(field[key], schemaFields, `"${key}" of ${where}`)
+        );
+      }
+      if (field.showIf !== undefined && backendField?.required) {
+        warnings.push(
+          `Backend requires the field but "showIf" can hide it for ${where}`
+        );
+      }
+      if (field.requiredIf !== undefined && backendField?.required) {
+        warnings.push(
+          `"requiredIf" has no effect on a field the backend always requires for ${where}`
+        );
+      }
+    }
+
+    // Computed fields are never edited, so they need no form field; hidden
+    // ones are left out on purpose
+    const missingFromForm = schemaFields.filter(
+      (name) =>
+        !fields.some((field) => field?.name === name) &&
+        !hidden.has(name) &&
+        backendSchema[name]?.computed === undefined
+    );
+    if (missingFromForm.length > 0) {
+      warnings.push(
+        `Fields not editable in the form for entity: ${entityName}: ${missingFromForm.join(
+          ", "
+        )}`
+      );
+    }
+  }
+
+  if (frontend.steps !== undefined) {
+    const result = validateSteps(entityName, frontend.steps, fields);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+  }
+
+  if (frontend.columns !== undefined && !Array.isArray(frontend.columns)) {
+    errors.push(
+      `"frontend.columns" must be an array for entity: ${entityName}`
+    );
+  } else {
+    for (const column of frontend.columns || []) {
+      if (!column?.accessor) {
+        errors.push(`Column without "accessor" in entity: ${entityName}`);
+        continue;
+      }
+      if (
+        backendSchema &&
+        !backendSchema[column.accessor] &&
+        !SYSTEM_FIELDS.includes(column.accessor)
+      ) {
+        warnings.push(
+          `Column "${column.accessor}" has no matching backend.schema key in entity: ${entityName}`
+        );
+      }
+      if (column.hidden !== undefined && typeof column.hidden !== "boolean") {
+        errors.push(
+          `"hidden" must be true or false for column "${column.accessor}" in entity: ${entityName}`
+        );
+      }
+    }
+
+    const columns = mergeColumns(
+      deriveColumns(backendSchema),
+      frontend.columns
+    );
+    for (const column of columns) {
+      if (column?.accessor && !column.header) {
+        warnings.push(
+          `Missing "header" for column "${column.accessor}" in entity: ${entityName}`
+        );
+      }
+    }
+  }
+
+  return { errors, warnings };
+};
+
+// Ref fields must point at entities of the same schema
+const validateReferences = (entities) => {
+  const errors = [];
+  const warnings = [];
+
+  for (const [entityName, config] of Object.entries(entities)) {
+    for (const [fieldName, fieldConfig] of Object.entries(
+      config?.backend?.schema || {}
+    )) {
+      if (fieldConfig?.type !== "Ref" || typeof fieldConfig.ref !== "string") {
+        continue;
+      }
+      const where = `field "${fieldName}" in entity: ${entityName}`;
+      const target = entities[fieldConfig.ref];
+
+      if (!target) {
+        errors.push(`Unknown entity "${fieldConfig.ref}" in "ref" of ${where}`);
+      } else if (
+        typeof fieldConfig.displayField === "string" &&
+        !target.backend?.schema?.[fieldConfig.displayField] &&
+        !SYSTEM_FIELDS.includes(fieldConfig.displayField)
+      ) {
+        warnings.push(
+          `"displayField" ${fieldConfig.displayField} is not a field of ${fieldConfig.ref} for ${where}`
+        );
+      }
+    }
+  }
+
+  return { errors, warnings };
+};
+
+// Option sources may point at any entity of the same schema
+const validateOptionSources = (entities) => {
+  const errors = [];
+
+  for (const [entityName, config] of Object.entries(entities)) {
+    const fields = config?.frontend?.fields;
+    if (!Array.isArray(fields)) continue;
+
+    for (const field of fields) {
+      if (field?.optionsSource === undefined) continue;
+      errors.push(
+        ...validateOptionsSource(
+          field.optionsSource,
+          entities,
+          `form field "${field.name}" in entity: ${entityName}`
+        )
+      );
+    }
+  }
+
+  return errors;
+};
+
 export const validateSchema = (schema) => {
   const errors = [];
   const warnings = [];
@@ -20,11 +924,52 @@ export const validateSchema = (schema) => {
     warnings.push("Schema has no entities defined");
   }
 
+  const routes = {};
+
   for (const [entityName, config] of Object.entries(schema.record)) {
+    if (!config || typeof config !== "object") {
+      errors.push(`Configuration must be an object for entity: ${entityName}`);
+      continue;
+    }
+
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(entityName)) {
+      warnings.push(
+        `Entity name should start with a letter and contain only letters, digits or "_": ${entityName}`
+      );
+    }
+
     if (!config.route) {
       errors.push(`Missing "route" for entity: ${entityName}`);
-    } else if (!config.route.startsWith("/")) {
+    } else if (
+      typeof config.route !== "string" ||
+      !config.route.startsWith("/")
+    ) {
       errors.push(`Route must start with "/" for entity: ${entityName}`);
+    } else {
+      const route = normalizeRoute(config.route);
+      const reserved = RESERVED_ROUTES.find((r) => collidesWith(route, r));
+      const other = Object.keys(routes).find(
+        (r) => collidesWith(route, r) || collidesWith(r, route)
+      );
+
+      if (reserved) {
+        errors.push(
+          `Route "${config.route}" collides with the reserved "${reserved}" route for entity: ${entityName}`
+        );
+      } else if (other && other.toLowerCase() === route.toLowerCase()) {
+        errors.push(
+          `Route "${config.route}" is used by both ${routes[other]} and ${entityName}`
+        );
+      } else if (other) {
+        errors.push(
+          `Route "${config.route}" of ${entityName} overlaps the "${other}" route of ${routes[other]}`
+        );
+      } else if (/[:*?()]/.test(route)) {
+        errors.push(
+          `Route must not contain parameters or patterns for entity: ${entityName}`
+        );
+      }
+      if (!other) routes[route] = entityName;
     }
 
     if (!config.backend || typeof config.backend !== "object") {
@@ -32,16 +977,78 @@ export const validateSchema = (schema) => {
     } else {
       if (!config.backend.schema || typeof config.backend.schema !== "object") {
         errors.push(`Missing "backend.schema" for entity: ${entityName}`);
+      } else {
+        if (Object.keys(config.backend.schema).length === 0) {
+          warnings.push(
+            `"backend.schema" has no fields for entity: ${entityName}`
+          );
+        }
+
+        for (const [fieldName, fieldConfig] of Object.entries(
+          config.backend.schema
+        )) {
+          const result = validateBackendField(
+            entityName,
+            fieldName,
+            fieldConfig
+          );
+          errors.push(...result.errors);
+          warnings.push(...result.warnings);
+        }
+
+        errors.push(
+          ...computedFields(config.backend.schema).errors.map(
+            (error) => `${error} in entity: ${entityName}`
+          )
+        );
       }
     }
 
-    if (!config.frontend || typeof config.frontend !== "object") {
+    if (config.tenancy !== undefined) {
+      const result = validateTenancy(
+        entityName,
+        config.tenancy,
+        config.backend?.schema
+      );
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+
+    if (config.permissions !== undefined) {
+      const result = validatePermissions(
+        entityName,
+        config.permissions,
+        config.backend?.schema
+      );
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+
+    // Without a frontend section, forms and tables are derived entirely
+    // from backend.schema
+    if (
+      config.frontend !== undefined &&
+      (!config.frontend || typeof config.frontend !== "object")
+    ) {
       warnings.push(
-        `Missing "frontend" configuration for entity: ${entityName}`
+        `"frontend" must be an object for entity: ${entityName} (it is ignored)`
+      );
+    } else {
+      const result = validateFrontend(
+        entityName,
+        config.frontend || {},
+        config.backend?.schema
       );
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
     }
   }
 
+  const result = validateReferences(schema.record);
+  errors.push(...result.errors);
+  warnings.push(...result.warnings);
+  errors.push(...validateOptionSources(schema.record));
+
   return {
     valid: errors.length === 0,
     errors,
@@ -0,0 +1,151 @@
+import { escapeRegex } from "./filters.js";
+
+/**
+ * Free-text search for entity list endpoints (?search=...).
+ *
+ * Fields marked `"searchable": true` (or a numeric weight) in backend.schema
+ * get a MongoDB text index, and searches run as ranked `$text` queries. The
+ * in-memory store scores records with the same rules: words match whole
+ * tokens case-insensitively, "quoted phrases" must all appear, -words
+ * exclude a record, and hits in heavier fields rank higher. MongoDB also
+ * stems words and ignores stop words, which the in-memory scorer does not.
+ *
+ * Entities without searchable fields keep the older behaviour of matching a
+ * literal substring of any String field.
+ */
+
+export const TEXT_INDEX_NAME = "searchable_text";
+
+/**
+ * Text index weights declared in a schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @returns {object} - { field: weight }, empty when nothing is searchable
+ */
+export const searchableFields = (schemaDefinition = {}) =>
+  Object.fromEntries(
+    Object.entries(schemaDefinition)
+      .filter(([, fieldConfig]) => fieldConfig?.searchable)
+      .map(([field, { searchable }]) => [
+        field,
+        typeof searchable === "number" ? searchable : 1,
+      ])
+  );
+
+/**
+ * Fields a search looks at: the searchable ones, or every String field when
+ * none are declared
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @returns {string[]}
+ */
+export const defaultSearchFields = (schemaDefinition = {}) => {
+  const searchable = Object.keys(searchableFields(schemaDefinition));
+  if (searchable.length > 0) return searchable;
+
+  return Object.entries(schemaDefinition)
+    .filter(([, fieldConfig]) => (fieldConfig?.type || "String") === "String")
+    .map(([field]) => field);
+};
+
+/**
+ * Weights to run a text search with, or null when a substring search has to
+ * be used instead. $text always looks at the whole index, so it is only used
+ * when every indexed field may be searched (see field read permissions).
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {string[]} fields - Fields the caller may search
+ * @returns {object|null} - { field: weight }
+ */
+export const textSearchWeights = (schemaDefinition, fields) => {
+  const weights = searchableFields(schemaDefinition);
+  const indexed = Object.keys(weights);
+  return indexed.length > 0 && indexed.every((field) => fields.includes(field))
+    ? weights
+    : null;
+};
+
+/**
+ * Lower-cased words of a text
+ * @param {*} text - Field value (arrays are searched element by element)
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  (Array.isArray(text) ? text.join(" ") : String(text ?? ""))
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Splits a search string the way MongoDB's $search does
+ * @param {string} search - Raw search text
+ * @returns {{ terms: string[], phrases: string[][], excluded: string[] }}
+ */
+export const parseSearch = (search) => {
+  const phrases = [];
+  const rest = String(search).replace(/"([^"]*)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) phrases.push(words);
+    return " ";
+  });
+
+  const terms = [];
+  const excluded = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-")) excluded.push(...tokenize(word.slice(1)));
+    else terms.push(...tokenize(word));
+  }
+
+  return { terms, phrases, excluded };
+};
+
+const containsPhrase = (tokens, phrase) =>
+  tokens.some((_, start) =>
+    phrase.every((word, offset) => tokens[start + offset] === word)
+  );
+
+/**
+ * In-memory counterpart of a ranked $text query
+ * @param {object} record - Stored record
+ * @param {object} weights - { field: weight } of the fields searched
+ * @param {object} parsed - Result of parseSearch
+ * @returns {number} - Relevance, 0 when the record does not match
+ */
+export const scoreRecord = (record, weights, { terms, phrases, excluded }) => {
+  const fields = Object.entries(weights).map(([field, weight]) => ({
+    weight,
+    tokens: tokenize(record[field]),
+  }));
+  const allTokens = fields.flatMap(({ tokens }) => tokens);
+
+  if (excluded.some((word) => allTokens.includes(word))) return 0;
+  if (!phrases.every((phrase) => containsPhrase(allTokens, phrase))) return 0;
+
+  // Phrase words count towards the score like plain terms do in MongoDB
+  const words = [...terms, ...phrases.flat()];
+  let score = 0;
+  for (const { weight, tokens } of fields) {
+    const hits = tokens.filter((token) => words.includes(token)).length;
+    if (hits > 0) score += (weight * hits) / tokens.length;
+  }
+  return score;
+};
+
+/**
+ * Literal, case-insensitive substring match on several fields
+ * @param {string[]} fields - Fields to look in
+ * @param {string} search - Raw search text
+ * @returns {object} - MongoDB query
+ */
+export const toMongoSubstringSearch = (fields, search) => ({
+  $or: fields.map((field) => ({
+    [field]: { $regex: escapeRegex(search), $options: "i" },
+  })),
+});
+
+export default {
+  TEXT_INDEX_NAME,
+  searchableFields,
+  defaultSearchFields,
+  textSearchWeights,
+  tokenize,
+  parseSearch,
+  scoreRecord,
+  toMongoSubstringSearch,
+};
@@ -0,0 +1,133 @@
+import { fieldType } from "./filters.js";
+
+/**
+ * Client-selectable sort order for entity list endpoints.
+ *
+ *   ?sort=-qty,name          qty descending, then name ascending
+ *   { "sort": ["-qty", "name"] } in a JSON query body
+ *
+ * Only scalar fields of backend.schema (plus _id, createdAt, updatedAt) can
+ * be sorted on. Both storage adapters order records the same way: missing
+ * values first when ascending, strings compared by code unit like MongoDB.
+ * `_id` is always appended as a tie-breaker so the order is total, which
+ * keeps pages stable and lets cursors (utils/cursor.js) point at one record.
+ */
+
+export const DEFAULT_SORT = [
+  { field: "createdAt", direction: -1, type: "Date" },
+  { field: "_id", direction: -1, type: "ObjectId" },
+];
+
+const SORTABLE_TYPES = ["String", "Number", "Date", "Boolean", "ObjectId"];
+
+const toList = (sort) =>
+  Array.isArray(sort)
+    ? sort
+    : String(sort)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+/**
+ * Validates a sort parameter against an entity schema
+ * @param {object} schemaDefinition - backend.schema of the entity
+ * @param {string|string[]} sort - "-field,field" or ["-field", "field"]
+ * @param {object} options
+ * @param {(field: string) => boolean} options.canSort - Extra per-field check (e.g. read permission)
+ * @returns {{ sort: object[], errors: string[] }} - [{ field, direction, type }]
+ */
+export const parseSort = (
+  schemaDefinition,
+  sort,
+  { canSort = () => true } = {}
+) => {
+  if (sort === undefined || sort === null || sort === "") {
+    return { sort: DEFAULT_SORT, errors: [] };
+  }
+
+  const parsed = [];
+  const errors = [];
+
+  for (const item of toList(sort)) {
+    if (typeof item !== "string") {
+      errors.push(`Invalid sort field: ${JSON.stringify(item)}`);
+      continue;
+    }
+
+    const direction = item.startsWith("-") ? -1 : 1;
+    const field = item.replace(/^[-+]/, "");
+    const type = fieldType(schemaDefinition, field);
+
+    if (!type || !canSort(field)) {
+      errors.push(`Unknown sort field: ${field}`);
+    } else if (!SORTABLE_TYPES.includes(type)) {
+      errors.push(`Cannot sort on ${type} field "${field}"`);
+    } else if (parsed.some((s) => s.field === field)) {
+      errors.push(`Duplicate sort field: ${field}`);
+    } else {
+      parsed.push({ field, direction, type });
+    }
+  }
+
+  if (parsed.length === 0) return { sort: DEFAULT_SORT, errors };
+
+  if (!parsed.some((s) => s.field === "_id")) {
+    const { direction } = parsed[parsed.length - 1];
+    parsed.push({ field: "_id", direction, type: "ObjectId" });
+  }
+  return { sort: parsed, errors };
+};
+
+/**
+ * @param {object[]} sort - Result of parseSort
+ * @returns {object[]} - The same fields in the opposite directions
+ */
+export const reverseSort = (sort) =>
+  sort.map((s) => ({ ...s, direction: -s.direction }));
+
+/**
+ * @param {object[]} sort - Result of parseSort
+ * @returns {object} - MongoDB sort document
+ */
+export const toMongoSort = (sort = DEFAULT_SORT) =>
+  Object.fromEntries(sort.map(({ field, direction }) => [field, direction]));
+
+const isMissing = (value) => value === undefined || value === null;
+
+const compareValues = (type, a, b) => {
+  // MongoDB treats missing and null as the lowest values
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) === isMissing(b) ? 0 : isMissing(a) ? -1 : 1;
+  }
+  if (type === "Date") {
+    a = new Date(a).getTime();
+    b = new Date(b).getTime();
+  } else if (type === "ObjectId") {
+    a = String(a);
+    b = String(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * In-memory counterpart of toMongoSort
+ * @param {object[]} sort - Result of parseSort
+ * @returns {(a: object, b: object) => number} - Comparator for Array#sort
+ */
+export const compareRecords =
+  (sort = DEFAULT_SORT) =>
+  (a, b) => {
+    for (const { field, direction, type } of sort) {
+      const result = compareValues(type, a[field], b[field]);
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+
+export default {
+  DEFAULT_SORT,
+  parseSort,
+  reverseSort,
+  toMongoSort,
+  compareRecords,
+};
@@ -0,0 +1,62 @@
+/**
+ * Optional row-level isolation declared per entity in schemaConfig.json:
+ *
+ *   "tenancy": { "scope": "owner" }                         -> ownerId = user id
+ *   "tenancy": { "scope": "tenant", "field": "companyId" }  -> user's tenant
+ *
+ * Records are stamped with the caller's id on create, and every read, update
+ * and delete only sees records carrying the same id. The field is managed by
+ * the server: values sent by clients are ignored.
+ */
+
+export const TENANCY_SCOPES = ["owner", "tenant"];
+
+const DEFAULT_FIELDS = { owner: "ownerId", tenant: "tenantId" };
+
+/**
+ * Resolved tenancy settings of an entity
+ * @param {object} config - Entity configuration
+ * @returns {{ scope: string, field: string } | null} - null when not isolated
+ */
+export const getTenancy = (config) => {
+  const scope = config?.tenancy?.scope;
+  if (!TENANCY_SCOPES.includes(scope)) return null;
+  return { scope, field: config.tenancy.field || DEFAULT_FIELDS[scope] };
+};
+
+/**
+ * Query restriction for the current user
+ * @param {object} config - Entity configuration
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {object|null} - e.g. { ownerId: "..." }, or null when not isolated
+ */
+export const tenantScope = (config, user) => {
+  const tenancy = getTenancy(config);
+  if (!tenancy) return null;
+
+  // Accounts without a tenant form a tenant of their own
+  const value =
+    tenancy.scope === "owner" ? user?.id : user?.tenantId || user?.id;
+  return { [tenancy.field]: String(value) };
+};
+
+/**
+ * Removes the tenancy field from client data so it cannot be forged
+ * @param {object} config - Entity configuration
+ * @param {object} data - Incoming record data
+ * @returns {object} - Data without the tenancy field
+ */
+export const withoutTenancyField = (config, data) => {
+  const tenancy = getTenancy(config);
+  if (!tenancy || !data || typeof data !== "object") return data;
+
+  const { [tenancy.field]: _ignored, ...rest } = data;
+  return rest;
+};
+
+export default {
+  TENANCY_SCOPES,
+  getTenancy,
+  tenantScope,
+  withoutTenancyField,
+};
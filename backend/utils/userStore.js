@@ -0,0 +1,137 @@
+import fs from "fs";
+import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
+
+/**
+ * Local user accounts, persisted to a JSON file next to the server.
+ * Password hashes never leave this module; every method returns public
+ * user objects ({ id, username, role, tenantId, createdAt }).
+ */
+
+export const USER_ROLES = ["admin", "user"];
+
+const SALT_ROUNDS = 10;
+
+const toPublic = ({ passwordHash, ...user }) => user;
+
+/**
+ * Creates a user store backed by a JSON file
+ * @param {string} filePath - Where the accounts are stored
+ * @returns {object} - User store
+ */
+export const createUserStore = (filePath) => {
+  let users = [];
+  // Lowercased usernames of accounts being created (password being hashed)
+  const pending = new Set();
+
+  try {
+    if (fs.existsSync(filePath)) {
+      users = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+  } catch (error) {
+    console.warn("⚠️ Could not load users:", error.message);
+  }
+
+  const save = () => {
+    try {
+      fs.writeFileSync(filePath, JSON.stringify(users, null, 2), "utf8");
+    } catch (error) {
+      console.warn("⚠️ Could not save users:", error.message);
+    }
+  };
+
+  const findByUsername = (username) =>
+    users.find(
+      (u) => u.username.toLowerCase() === String(username).toLowerCase()
+    );
+
+  return {
+    // Includes accounts still being created
+    count() {
+      return users.length + pending.size;
+    },
+
+    list() {
+      return users.map(toPublic);
+    },
+
+    findById(id) {
+      const user = users.find((u) => u.id === id);
+      return user ? toPublic(user) : null;
+    },
+
+    /**
+     * Adds an account. The username is taken and the account counted
+     * before the first await, so concurrent calls see each other.
+     * @param {object} data - { username, password, role, tenantId }
+     * @returns {Promise<object>} - The created user
+     */
+    async create({ username, password, role = "user", tenantId }) {
+      const errors = [];
+
+      if (typeof username !== "string" || !/^[\w.@-]{3,50}$/.test(username)) {
+        errors.push(
+          "username must be 3-50 characters (letters, digits, _ . @ -)"
+        );
+      } else if (
+        findByUsername(username) ||
+        pending.has(username.toLowerCase())
+      ) {
+        errors.push(`username "${username}" is already taken`);
+      }
+      if (typeof password !== "string" || password.length < 8) {
+        errors.push("password must be at least 8 characters");
+      }
+      if (!USER_ROLES.includes(role)) {
+        errors.push(`role must be one of: ${USER_ROLES.join(", ")}`);
+      }
+      if (
+        tenantId !== undefined &&
+        (typeof tenantId !== "string" || !/^[\w.-]{1,64}$/.test(tenantId))
+      ) {
+        errors.push(
+          "tenantId must be 1-64 characters (letters, digits, _ . -)"
+        );
+      }
+
+      if (errors.length > 0) {
+        const error = new Error("Validation error");
+        error.details = errors;
+        throw error;
+      }
+
+      const key = username.toLowerCase();
+      pending.add(key);
+      try {
+        const user = {
+          id: new mongoose.Types.ObjectId().toString(),
+          username,
+          role,
+          ...(tenantId !== undefined && { tenantId }),
+          passwordHash: await bcrypt.hash(password, SALT_ROUNDS),
+          createdAt: new Date().toISOString(),
+        };
+
+        users.push(user);
+        save();
+        return toPublic(user);
+      } finally {
+        pending.delete(key);
+      }
+    },
+
+    /**
+     * Checks a username/password pair
+     * @returns {Promise<object|null>} - The user, or null if they do not match
+     */
+    async verify(username, password) {
+      const user = findByUsername(username || "");
+      if (!user || typeof password !== "string") return null;
+
+      const matches = await bcrypt.compare(password, user.passwordHash);
+      return matches ? toPublic(user) : null;
+    },
+  };
+};
+
+export default { USER_ROLES, createUserStore };
@@ -1,8 +1,24 @@
-import React from "react";
+import React, { useState, useEffect } from "react";
 import DynamicFormSystem from "./components/DynamicFormSystem";
+import LoginScreen from "./components/LoginScreen";
 import { Toaster } from "react-hot-toast";
+import { authService } from "./services/auth";
+import { apiService } from "./services/api";
 
 function App() {
+  const [user, setUser] = useState(() => authService.getUser());
+  const [sessionMessage, setSessionMessage] = useState("");
+
+  // Back to the login screen on logout or when the API rejects the token
+  useEffect(
+    () =>
+      authService.onSessionEnd((reason) => {
+        setUser(null);
+        setSessionMessage(reason || "");
+      }),
+    []
+  );
+
   return (
     <div className="App">
       <Toaster
@@ -16,7 +32,17 @@ function App() {
           duration: 4000,
         }}
       />
-      <DynamicFormSystem />
+      {user ? (
+        <DynamicFormSystem user={user} onLogout={apiService.logout} />
+      ) : (
+        <LoginScreen
+          message={sessionMessage}
+          onLogin={(loggedInUser) => {
+            setSessionMessage("");
+            setUser(loggedInUser);
+          }}
+        />
+      )}
     </div>
   );
 }
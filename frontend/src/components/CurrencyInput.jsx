@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+import { formatCurrency, parseCurrency } from "../utils/fieldFormats";
+
+// Amount input for Number fields with a currency: typed in the locale's
+// notation, formatted once the field loses focus. The form keeps the number.
+const CurrencyInput = ({
+  value,
+  onChange,
+  currency,
+  locale,
+  placeholder,
+  required,
+  className = "",
+}) => {
+  const [text, setText] = useState(null);
+  const symbol =
+    new Intl.NumberFormat(locale, { style: "currency", currency })
+      .formatToParts(0)
+      .find((part) => part.type === "currency")?.value || currency;
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        inputMode="decimal"
+        value={text ?? formatCurrency(value, currency, locale)}
+        onFocus={() =>
+          setText(value === "" || value === undefined ? "" : String(value))
+        }
+        onChange={(e) => {
+          setText(e.target.value);
+          onChange(parseCurrency(e.target.value, locale));
+        }}
+        onBlur={() => setText(null)}
+        required={required}
+        placeholder={placeholder || formatCurrency(0, currency, locale)}
+        className={className}
+      />
+      <span className="absolute right-4 top-1/2 transform -translate-y-1/2 text-sm text-gray-500">
+        {symbol}
+      </span>
+    </div>
+  );
+};
+
+export default CurrencyInput;
@@ -10,13 +10,233 @@ import {
   User,
   Calendar,
   Hash,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  Link2,
+  Sigma,
+  Paperclip,
 } from "lucide-react";
+import { canAccess, canAccessField } from "../utils/permissions";
+import { searchableFields, highlightParts } from "../utils/search";
+import { refId, refLabel } from "../utils/relations";
+import { fileList, isImageFile } from "../utils/files";
+import {
+  formatCurrency,
+  formatDateTime,
+  formatTime,
+  htmlToText,
+} from "../utils/fieldFormats";
+import { fileUrl } from "../services/api";
+
+// Mirrors the backend: only scalar schema fields and timestamps can be sorted
+const SORTABLE_TYPES = ["String", "Number", "Date", "Boolean", "ObjectId"];
+const SYSTEM_SORT_FIELDS = ["_id", "createdAt", "updatedAt"];
+
+const DataTable = ({
+  config,
+  data,
+  role,
+  sort = [],
+  onSort,
+  search = "",
+  onEdit,
+  onDelete,
+}) => {
+  const columns = config.frontend.columns.filter((col) =>
+    canAccessField(config, col.accessor, "read", role)
+  );
+  const canEdit = canAccess(config, "update", role);
+  const canDelete = canAccess(config, "delete", role);
+  const searched = searchableFields(config);
+
+  // Marks the parts of a searched column that matched the current search
+  const highlight = (text, col) => {
+    if (!search.trim() || !searched.fields.includes(col.accessor)) return text;
+    return highlightParts(text, search, searched.wholeWords).map(
+      (part, index) =>
+        part.match ? (
+          <mark
+            key={index}
+            className="bg-yellow-200 text-inherit rounded px-0.5"
+          >
+            {part.text}
+          </mark>
+        ) : (
+          part.text
+        )
+    );
+  };
+
+  const isSortable = (col) => {
+    if (!onSort || col.sortable === false) return false;
+    if (SYSTEM_SORT_FIELDS.includes(col.accessor)) return true;
+    const fieldConfig = config.backend?.schema?.[col.accessor];
+    return (
+      Boolean(fieldConfig) &&
+      SORTABLE_TYPES.includes(fieldConfig.type || "String")
+    );
+  };
+
+  const renderSortIcon = (col) => {
+    const index = sort.findIndex((s) => s.field === col.accessor);
+    if (index === -1) {
+      return <ArrowUpDown size={12} className="text-gray-400" />;
+    }
+    const Icon = sort[index].direction === "desc" ? ArrowDown : ArrowUp;
+    return (
+      <span className="inline-flex items-center text-blue-600">
+        <Icon size={12} />
+        {sort.length > 1 && <span className="text-[10px]">{index + 1}</span>}
+      </span>
+    );
+  };
 
-const DataTable = ({ config, data, onEdit, onDelete }) => {
   // Format cell content based on type
   const formatCellValue = (value, col) => {
     if (value === null || value === undefined || value === "") return "-";
 
+    // Ref fields show the referenced records' display values
+    const fieldConfig = config.backend?.schema?.[col.accessor];
+    if (fieldConfig?.type === "Ref") {
+      const items = Array.isArray(value) ? value : [value];
+      return (
+        <span className="inline-flex flex-wrap gap-1">
+          {items.map((item) => (
+            <span
+              key={refId(item)}
+              title={refId(item)}
+              className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs font-medium"
+            >
+              <Link2 size={12} />
+              {typeof item === "object"
+                ? refLabel(item, fieldConfig.displayField)
+                : `${String(item).substring(0, 8)}...`}
+            </span>
+          ))}
+        </span>
+      );
+    }
+
+    // Images are shown as thumbnails, other files as links
+    if (fieldConfig?.type === "File") {
+      return (
+        <span className="inline-flex flex-wrap items-center gap-1">
+          {fileList(value).map((file) =>
+            isImageFile(file) ? (
+              <a
+                key={file.id}
+                href={fileUrl(file.id)}
+                target="_blank"
+                rel="noreferrer"
+              >
+                <img
+                  src={fileUrl(file.id)}
+                  alt={file.name}
+                  title={file.name}
+                  loading="lazy"
+                  className="h-10 w-10 rounded-lg border border-gray-200 object-cover"
+                />
+              </a>
+            ) : (
+              <a
+                key={file.id}
+                href={fileUrl(file.id)}
+                target="_blank"
+                rel="noreferrer"
+                title={file.name}
+                className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 text-xs font-medium hover:bg-gray-200"
+              >
+                <Paperclip size={12} />
+                {file.name.length > 20
+                  ? `${file.name.substring(0, 20)}...`
+                  : file.name}
+              </a>
+            )
+          )}
+        </span>
+      );
+    }
+
+    // Rich field types (see utils/fieldFormats.js)
+    const formField = config.frontend?.fields?.find(
+      (field) => field.name === col.accessor
+    );
+    if (fieldConfig?.format === "html") {
+      const text = htmlToText(value);
+      return (
+        <span title={text} className="text-gray-700">
+          {text.length > 50 ? `${text.substring(0, 50)}...` : text}
+        </span>
+      );
+    }
+    if (fieldConfig?.format === "color") {
+      return (
+        <span className="inline-flex items-center gap-2 font-mono text-xs">
+          <span
+            className="h-4 w-4 rounded border border-gray-300"
+            style={{ backgroundColor: value }}
+          />
+          {value}
+        </span>
+      );
+    }
+    if (fieldConfig?.format === "time") return formatTime(value);
+    if (
+      fieldConfig?.type === "Date" &&
+      (formField?.type === "datetime" || fieldConfig.timezone)
+    ) {
+      return formatDateTime(value, fieldConfig.timezone);
+    }
+    if (fieldConfig?.currency) {
+      return (
+        <span className="tabular-nums">
+          {formatCurrency(value, fieldConfig.currency, formField?.locale)}
+        </span>
+      );
+    }
+    if (
+      Array.isArray(value) &&
+      (formField?.type === "tags" || formField?.type === "multiselect")
+    ) {
+      const label = (item) => {
+        const option = formField.options?.find(
+          (opt) => (opt?.value ?? opt) === item
+        );
+        return option?.label ?? option ?? item;
+      };
+      return (
+        <span className="inline-flex flex-wrap gap-1">
+          {value.map((item) => (
+            <span
+              key={item}
+              className="px-2 py-0.5 rounded-full bg-indigo-50 text-indigo-700 text-xs font-medium"
+            >
+              {String(label(item))}
+            </span>
+          ))}
+        </span>
+      );
+    }
+
+    // Nested objects and lists are summarised; the form shows them in full
+    if (Array.isArray(value)) {
+      if (value.some((item) => item !== null && typeof item === "object")) {
+        return `${value.length} ${value.length === 1 ? "item" : "items"}`;
+      }
+      return value.join(", ");
+    }
+    if (typeof value === "object") {
+      const text = Object.values(value)
+        .filter((item) => item !== null && typeof item !== "object")
+        .join(", ");
+      return (
+        <span title={JSON.stringify(value)} className="text-gray-600">
+          {text.length > 50 ? `${text.substring(0, 50)}...` : text || "{…}"}
+        </span>
+      );
+    }
+
     // Handle boolean values
     if (typeof value === "boolean") {
       return (
@@ -40,7 +260,7 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
     if (typeof value === "string" && value.length > 50) {
       return (
         <span title={value} className="truncate max-w-xs">
-          {value.substring(0, 50)}...
+          {highlight(value.substring(0, 50), col)}...
         </span>
       );
     }
@@ -60,11 +280,16 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
       );
     }
 
+    if (typeof value === "string") return highlight(value, col);
+
     return value;
   };
 
   // Get column icon based on field name
   const getColumnIcon = (fieldName) => {
+    // Computed fields are stored, so they sort like any other column
+    if (config.backend?.schema?.[fieldName]?.computed !== undefined)
+      return <Sigma size={14} />;
     const field = fieldName.toLowerCase();
     if (field.includes("name") || field.includes("user"))
       return <User size={14} />;
@@ -83,15 +308,28 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
         <table className="w-full">
           <thead className="bg-gradient-to-r from-gray-50 to-gray-100 border-b border-gray-200">
             <tr>
-              {config.frontend.columns.map((col, idx) => (
+              {columns.map((col, idx) => (
                 <th
                   key={idx}
                   className="px-6 py-4 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider whitespace-nowrap"
                 >
-                  <div className="flex items-center gap-2">
-                    {getColumnIcon(col.accessor)}
-                    {col.header}
-                  </div>
+                  {isSortable(col) ? (
+                    <button
+                      type="button"
+                      onClick={(e) => onSort(col.accessor, e.shiftKey)}
+                      className="flex items-center gap-2 uppercase tracking-wider hover:text-blue-700 transition-colors"
+                      title="Sort (shift-click to sort by several columns)"
+                    >
+                      {getColumnIcon(col.accessor)}
+                      {col.header}
+                      {renderSortIcon(col)}
+                    </button>
+                  ) : (
+                    <div className="flex items-center gap-2">
+                      {getColumnIcon(col.accessor)}
+                      {col.header}
+                    </div>
+                  )}
                 </th>
               ))}
               <th className="px-6 py-4 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">
@@ -103,7 +341,7 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
             {data.length === 0 ? (
               <tr>
                 <td
-                  colSpan={config.frontend.columns.length + 1}
+                  colSpan={columns.length + 1}
                   className="px-6 py-16 text-center"
                 >
                   <div className="flex flex-col items-center justify-center gap-3">
@@ -125,12 +363,12 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
             ) : (
               data.map((item, index) => (
                 <tr
-                  key={item.id || index}
+                  key={item._id || item.id || index}
                   className={`group hover:bg-blue-50/50 transition-all duration-200 ${
                     index % 2 === 0 ? "bg-white" : "bg-gray-50/50"
                   }`}
                 >
-                  {config.frontend.columns.map((col, colIndex) => (
+                  {columns.map((col, colIndex) => (
                     <td
                       key={colIndex}
                       className="px-6 py-4 text-sm font-medium text-gray-900 first:font-semibold"
@@ -145,32 +383,36 @@ const DataTable = ({ config, data, onEdit, onDelete }) => {
                   ))}
                   <td className="px-6 py-4">
                     <div className="flex items-center justify-end gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                      <button
-                        onClick={() => onEdit(item)}
-                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 hover:text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg transition-all duration-200"
-                        title="Edit"
-                      >
-                        <Edit2 size={14} />
-                        <span className="hidden sm:inline">Edit</span>
-                      </button>
-                      <button
-                        onClick={() => {
-                          if (
-                            window.confirm(
-                              `Are you sure you want to delete this ${
-                                config.frontend.entityName || "record"
-                              }?`
-                            )
-                          ) {
-                            onDelete(item.id);
-                          }
-                        }}
-                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-red-600 hover:text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition-all duration-200"
-                        title="Delete"
-                      >
-                        <Trash2 size={14} />
-                        <span className="hidden sm:inline">Delete</span>
-                      </button>
+                      {canEdit && (
+                        <button
+                          onClick={() => onEdit(item)}
+                          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-blue-600 hover:text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg transition-all duration-200"
+                          title="Edit"
+                        >
+                          <Edit2 size={14} />
+                          <span className="hidden sm:inline">Edit</span>
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          onClick={() => {
+                            if (
+                              window.confirm(
+                                `Are you sure you want to delete this ${
+                                  config.frontend.entityName || "record"
+                                }?`
+                              )
+                            ) {
+                              onDelete(item._id || item.id);
+                            }
+                          }}
+                          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-red-600 hover:text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition-all duration-200"
+                          title="Delete"
+                        >
+                          <Trash2 size={14} />
+                          <span className="hidden sm:inline">Delete</span>
+                        </button>
+                      )}
                       <div className="relative group/more">
                         <button className="inline-flex items-center justify-center w-8 h-8 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors">
                           <MoreVertical size={16} />
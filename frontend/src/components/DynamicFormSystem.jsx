@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import {
   Search,
   ChevronDown,
@@ -13,15 +19,26 @@ import {
   ExternalLink,
   Server,
   Database as DbIcon,
+  LogOut,
+  User,
+  List,
+  Infinity as InfinityIcon,
 } from "lucide-react";
 import { toast } from "react-hot-toast";
 import { apiService } from "../services/api";
+import { notificationService } from "../services/notification";
 import { DEFAULT_SCHEMA } from "../constants/schema";
+import { canAccess, canAccessField, writableData } from "../utils/permissions";
+import { columnFields } from "../utils/projection";
+import { expandableFields } from "../utils/relations";
+import { isFieldVisible, isFieldRequired } from "../utils/conditions";
+import { previewComputed } from "../utils/expressions";
+import { resolveEntity } from "../utils/formDerivation";
 import SchemaManager from "./SchemaManager";
 import DataTable from "./DataTable";
 import EntityForm from "./EntityForm";
 
-const DynamicFormSystem = () => {
+const DynamicFormSystem = ({ user, onLogout }) => {
   const [schema, setSchema] = useState(() => {
     const stored = localStorage.getItem("dynamicSchema");
     return stored ? JSON.parse(stored) : DEFAULT_SCHEMA;
@@ -34,6 +51,13 @@ const DynamicFormSystem = () => {
   const [formData, setFormData] = useState({});
   const [searchTerm, setSearchTerm] = useState("");
   const [currentPage, setCurrentPage] = useState(1);
+  // [{ field, direction: "asc" | "desc" }], first entry sorts first
+  const [sort, setSort] = useState([]);
+  // "pages" (numbered pages) or "infinite" (cursor-based "load more")
+  const [paginationMode, setPaginationMode] = useState("pages");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [backendStatus, setBackendStatus] = useState({
@@ -48,7 +72,23 @@ const DynamicFormSystem = () => {
     totalPages: 1,
   });
 
+  // The schema holds overrides only; forms and tables use the fields and
+  // columns derived from backend.schema
+  const entityConfig = useMemo(
+    () => resolveEntity(schema?.record?.[selectedEntity]),
+    [schema, selectedEntity]
+  );
+
   const itemsPerPage = 10;
+  const sortParam = sort
+    .map((s) => (s.direction === "desc" ? "-" : "") + s.field)
+    .join(",");
+  const tableFields = columnFields(entityConfig, user.role);
+  const fieldsParam = tableFields.join(",");
+  // Ref columns are expanded so the table can show their display values
+  const expandParam = expandableFields(entityConfig, user.role)
+    .filter((field) => tableFields.includes(field))
+    .join(",");
 
   // Check backend connection
   const checkBackendConnection = useCallback(async () => {
@@ -91,17 +131,24 @@ const DynamicFormSystem = () => {
     }
 
     setIsLoading(true);
+    setNextCursor(null);
     try {
-      const params = {
-        page: currentPage,
-        limit: itemsPerPage,
-        search: searchTerm,
-      };
+      const params =
+        paginationMode === "infinite"
+          ? { paginate: "cursor", limit: itemsPerPage, search: searchTerm }
+          : { page: currentPage, limit: itemsPerPage, search: searchTerm };
+      if (sortParam) params.sort = sortParam;
+      if (fieldsParam) params.fields = fieldsParam;
+      if (expandParam) params.expand = expandParam;
 
       const response = await apiService.getEntities(selectedEntity, params);
 
       if (response.success) {
         setData(response.data || []);
+        if (paginationMode === "infinite") {
+          setNextCursor(response.pagination?.nextCursor || null);
+          return;
+        }
         setPagination(
           response.pagination || {
             total: response.data?.length || 0,
@@ -121,16 +168,95 @@ const DynamicFormSystem = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [selectedEntity, currentPage, searchTerm, itemsPerPage]);
+  }, [
+    selectedEntity,
+    currentPage,
+    searchTerm,
+    sortParam,
+    fieldsParam,
+    expandParam,
+    paginationMode,
+    itemsPerPage,
+  ]);
 
   // Auto-refresh data when dependencies change
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
+  // Appends the page after `nextCursor` (infinite scroll mode)
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const params = { cursor: nextCursor, limit: itemsPerPage };
+      if (searchTerm) params.search = searchTerm;
+      if (sortParam) params.sort = sortParam;
+      if (fieldsParam) params.fields = fieldsParam;
+      if (expandParam) params.expand = expandParam;
+
+      const response = await apiService.getEntities(selectedEntity, params);
+
+      if (response.success) {
+        setData((prev) => [...prev, ...(response.data || [])]);
+        setNextCursor(response.pagination?.nextCursor || null);
+      } else {
+        toast.error(response.error || "Failed to load more records");
+      }
+    } catch (error) {
+      console.error("Error loading more data:", error);
+      toast.error(error.message || "Failed to load more records");
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [
+    selectedEntity,
+    nextCursor,
+    isLoadingMore,
+    searchTerm,
+    sortParam,
+    fieldsParam,
+    expandParam,
+    itemsPerPage,
+  ]);
+
+  // Loads the next page as soon as the "Load more" button scrolls into view
+  useEffect(() => {
+    const target = loadMoreRef.current;
+    if (!target || paginationMode !== "infinite") return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) loadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [paginationMode, loadMore, isLoading]);
+
+  // Cycles a column through ascending, descending and unsorted. With
+  // `multi` (shift-click) the other sorted columns are kept.
+  const handleSort = (field, multi) => {
+    setSort((prev) => {
+      const current = prev.find((s) => s.field === field);
+      const next = !current
+        ? { field, direction: "asc" }
+        : current.direction === "asc"
+        ? { field, direction: "desc" }
+        : null;
+
+      if (!multi) return next ? [next] : [];
+      if (!current) return [...prev, next];
+      return prev.map((s) => (s.field === field ? next : s)).filter(Boolean);
+    });
+    setCurrentPage(1);
+  };
+
   // Get current entity config
   const getCurrentConfig = () => {
-    return schema?.record?.[selectedEntity] || null;
+    return entityConfig;
   };
 
   const handleFormSubmit = async (e) => {
@@ -139,15 +265,41 @@ const DynamicFormSystem = () => {
 
     setIsRefreshing(true);
     try {
-      // Prepare data
-      const dataToSend = { ...formData };
+      // Prepare data (fields the user may not write, computed fields and
+      // fields hidden by a showIf rule are left out)
       const config = getCurrentConfig();
+      const backendSchema = config.backend?.schema || {};
+      const record = {
+        ...formData,
+        ...previewComputed(backendSchema, formData),
+      };
+      const leftOut = (config.frontend?.fields || [])
+        .filter((field) => !isFieldVisible(field, record))
+        .map((field) => field.name)
+        .concat(
+          Object.keys(backendSchema).filter(
+            (field) => backendSchema[field]?.computed !== undefined
+          )
+        );
+      const dataToSend = Object.fromEntries(
+        Object.entries(writableData(config, formData, user.role)).filter(
+          ([field]) => !leftOut.includes(field)
+        )
+      );
 
-      // Validate required fields
+      // Validate required fields the user is able to fill in
       if (config?.backend?.schema) {
+        const conditionallyRequired = (config.frontend?.fields || [])
+          .filter(
+            (field) =>
+              field.requiredIf !== undefined && isFieldRequired(field, record)
+          )
+          .map((field) => field.name);
         const requiredFields = Object.entries(config.backend.schema)
           .filter(([_, fieldConfig]) => fieldConfig.required)
-          .map(([fieldName]) => fieldName);
+          .map(([fieldName]) => fieldName)
+          .concat(conditionallyRequired)
+          .filter((field) => canAccessField(config, field, "write", user.role));
 
         const missingFields = requiredFields.filter(
           (field) => dataToSend[field] === undefined || dataToSend[field] === ""
@@ -202,10 +354,28 @@ const DynamicFormSystem = () => {
     setIsFormOpen(false);
   };
 
-  const handleEdit = (item) => {
-    setEditingItem(item);
-    setFormData(item);
-    setIsFormOpen(true);
+  // Table rows only hold the displayed columns, so the full record is
+  // loaded before it is edited (with references expanded for their labels)
+  const handleEdit = async (item) => {
+    try {
+      const expand = expandableFields(getCurrentConfig(), user.role).join(",");
+      const response = await apiService.getEntity(
+        selectedEntity,
+        item._id || item.id,
+        expand ? { expand } : {}
+      );
+      if (!response.success) {
+        toast.error(response.error || "Failed to load record");
+        return;
+      }
+
+      setEditingItem(response.data);
+      setFormData(response.data);
+      setIsFormOpen(true);
+    } catch (error) {
+      console.error("Error loading record:", error);
+      toast.error(error.message || "Failed to load record");
+    }
   };
 
   const handleDelete = async (id) => {
@@ -224,7 +394,12 @@ const DynamicFormSystem = () => {
       }
     } catch (error) {
       console.error("Error deleting data:", error);
-      toast.error(error.message || "Failed to delete record");
+      // 409: other records still reference this one (onDelete "restrict")
+      if (error.status === 409 && error.data?.details) {
+        toast.error(`${error.message}: ${error.data.details.join("; ")}`);
+      } else {
+        toast.error(error.message || "Failed to delete record");
+      }
     }
   };
 
@@ -252,10 +427,12 @@ const DynamicFormSystem = () => {
   const syncFromBackend = async () => {
     setIsRefreshing(true);
     try {
-      const response = await apiService.getSchema();
+      // As stored, so the schema editor keeps only the overrides
+      const response = await apiService.getSchema({ raw: true });
       if (response.success) {
         setSchema(response.data);
         localStorage.setItem("dynamicSchema", JSON.stringify(response.data));
+        setSort([]);
 
         // Auto-select first entity
         const entities = Object.keys(response.data.record);
@@ -363,6 +540,23 @@ const DynamicFormSystem = () => {
                 <Settings size={18} />
                 Edit Schema
               </button>
+
+              <div className="flex items-center gap-2 pl-3 border-l border-gray-200">
+                <span className="flex items-center gap-1.5 text-sm text-gray-700">
+                  <User size={16} className="text-gray-500" />
+                  {user.username}
+                  <span className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">
+                    {user.role}
+                  </span>
+                </span>
+                <button
+                  onClick={onLogout}
+                  className="flex items-center gap-2 px-4 py-2.5 bg-gray-100 text-gray-700 rounded-xl font-medium hover:bg-gray-200 transition-colors"
+                  title="Sign out"
+                >
+                  <LogOut size={18} />
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -397,6 +591,7 @@ const DynamicFormSystem = () => {
                 setSelectedEntity(e.target.value);
                 setCurrentPage(1);
                 setSearchTerm("");
+                setSort([]);
               }}
               className="w-full px-5 py-3 pr-12 bg-gradient-to-r from-gray-50 to-white border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all appearance-none font-medium text-gray-800 text-lg"
             >
@@ -463,6 +658,35 @@ const DynamicFormSystem = () => {
                 </div>
 
                 <div className="flex items-center gap-4">
+                  {/* Pagination mode */}
+                  <div className="flex items-center bg-gray-100 rounded-xl p-1">
+                    {[
+                      { mode: "pages", label: "Pages", icon: List },
+                      {
+                        mode: "infinite",
+                        label: "Infinite scroll",
+                        icon: InfinityIcon,
+                      },
+                    ].map(({ mode, label, icon }) => (
+                      <button
+                        key={mode}
+                        onClick={() => {
+                          setPaginationMode(mode);
+                          setCurrentPage(1);
+                        }}
+                        title={label}
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                          paginationMode === mode
+                            ? "bg-white text-blue-700 shadow"
+                            : "text-gray-600 hover:text-gray-800"
+                        }`}
+                      >
+                        {React.createElement(icon, { size: 16 })}
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+
                   {/* Search */}
                   <div className="relative">
                     <Search
@@ -481,14 +705,16 @@ const DynamicFormSystem = () => {
                     />
                   </div>
 
-                  <button
-                    onClick={() => setIsFormOpen(true)}
-                    disabled={isLoading}
-                    className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg hover:scale-[1.02] transition-all disabled:opacity-50"
-                  >
-                    <Plus size={18} />
-                    Add New
-                  </button>
+                  {canAccess(config, "create", user.role) && (
+                    <button
+                      onClick={() => setIsFormOpen(true)}
+                      disabled={isLoading}
+                      className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg hover:scale-[1.02] transition-all disabled:opacity-50"
+                    >
+                      <Plus size={18} />
+                      Add New
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -511,12 +737,45 @@ const DynamicFormSystem = () => {
                   <DataTable
                     config={config}
                     data={data}
+                    role={user.role}
+                    sort={sort}
+                    onSort={handleSort}
+                    search={searchTerm}
                     onEdit={handleEdit}
                     onDelete={handleDelete}
                   />
 
+                  {/* Load more (infinite scroll) */}
+                  {paginationMode === "infinite" && data.length > 0 && (
+                    <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex flex-col sm:flex-row justify-between items-center gap-4">
+                      <div className="text-sm text-gray-600">
+                        Showing{" "}
+                        <span className="font-semibold">{data.length}</span>{" "}
+                        records
+                      </div>
+
+                      {nextCursor ? (
+                        <button
+                          ref={loadMoreRef}
+                          onClick={loadMore}
+                          disabled={isLoadingMore}
+                          className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {isLoadingMore && (
+                            <Loader2 className="animate-spin" size={16} />
+                          )}
+                          Load more
+                        </button>
+                      ) : (
+                        <span className="text-sm text-gray-500">
+                          All records loaded
+                        </span>
+                      )}
+                    </div>
+                  )}
+
                   {/* Pagination */}
-                  {pagination.totalPages > 1 && (
+                  {paginationMode === "pages" && pagination.totalPages > 1 && (
                     <div className="px-6 py-4 bg-gray-50 border-t border-gray-200">
                       <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
                         <div className="text-sm text-gray-600">
@@ -635,6 +894,7 @@ const DynamicFormSystem = () => {
           formData={formData}
           editingItem={editingItem}
           selectedEntity={selectedEntity}
+          role={user.role}
           onFormSubmit={handleFormSubmit}
           onInputChange={setFormData}
           onClose={resetForm}
@@ -650,6 +910,7 @@ const DynamicFormSystem = () => {
           onUpdate={(newSchema) => {
             setSchema(newSchema);
             localStorage.setItem("dynamicSchema", JSON.stringify(newSchema));
+            setSort([]);
 
             // Auto-select first entity after schema update
             const entities = Object.keys(newSchema.record || {});
@@ -664,12 +925,8 @@ const DynamicFormSystem = () => {
             resetToDefault();
             setIsSchemaEditorOpen(false);
           }}
-          showNotification={(message, type) => {
-            if (type === "success") toast.success(message);
-            else if (type === "error") toast.error(message);
-            else if (type === "warning") toast.warning(message);
-            else toast(message);
-          }}
+          setSelectedEntity={setSelectedEntity}
+          showNotification={notificationService}
           checkBackendConnection={checkBackendConnection}
         />
       )}
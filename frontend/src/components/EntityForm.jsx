@@ -1,16 +1,28 @@
-import React from "react";
-import { Save, X } from "lucide-react";
+import React, { useState, useRef } from "react";
+import { Save, X, ArrowLeft, ArrowRight, AlertCircle } from "lucide-react";
 import FormField from "./FormField";
+import NestedFields from "./NestedFields";
+import WizardProgress from "./WizardProgress";
+import FormReview from "./FormReview";
+import { NESTED_TYPES, formSteps } from "../utils/forms";
+import { isFieldVisible, isFieldRequired } from "../utils/conditions";
+import { canAccessField } from "../utils/permissions";
+import { previewComputed } from "../utils/expressions";
 
 const EntityForm = ({
   config,
   formData,
   editingItem,
   selectedEntity,
+  role,
   onFormSubmit,
   onInputChange,
   onClose,
 }) => {
+  const [step, setStep] = useState(0);
+  const [stepErrors, setStepErrors] = useState([]);
+  const formRef = useRef(null);
+
   const handleInputChange = (fieldName, value) => {
     onInputChange((prev) => ({
       ...prev,
@@ -18,6 +30,125 @@ const EntityForm = ({
     }));
   };
 
+  // Computed fields are previewed from the current input; rules see the
+  // previewed values too
+  const schema = config.backend?.schema || {};
+  const computed = previewComputed(schema, formData);
+  const record = { ...formData, ...computed };
+  const isComputed = (field) => schema[field.name]?.computed !== undefined;
+
+  const computedValue = (field) => {
+    const value = computed[field.name];
+    if (value === null || value === undefined) return "";
+    // Date inputs only take the date part
+    return field.type === "date" ? String(value).substring(0, 10) : value;
+  };
+
+  const isReadOnly = (field) =>
+    isComputed(field) || !canAccessField(config, field.name, "write", role);
+
+  const shownFields = (fields) =>
+    fields
+      .filter((field) => canAccessField(config, field.name, "read", role))
+      .filter((field) => isFieldVisible(field, record));
+
+  // Wizard forms (frontend.steps) show one step at a time, then a review
+  // page; steps whose fields are all hidden are skipped
+  const steps = (formSteps(config) || [])
+    .map((s) => ({ ...s, fields: shownFields(s.fields) }))
+    .filter((s) => s.fields.length > 0);
+  const isWizard = steps.length > 0;
+  const isReview = isWizard && step >= steps.length;
+
+  const isBlank = (value) =>
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0);
+
+  // Required fields of a step the user still has to fill in
+  const missingFields = (fields) =>
+    fields
+      .filter((field) => !isReadOnly(field))
+      .filter(
+        (field) =>
+          isFieldRequired(field, record) || schema[field.name]?.required
+      )
+      .filter((field) => isBlank(formData[field.name]))
+      .map((field) => field.name);
+
+  const goToStep = (index) => {
+    setStepErrors([]);
+    setStep(index);
+  };
+
+  const nextStep = () => {
+    if (formRef.current && !formRef.current.reportValidity()) return;
+    const missing = missingFields(steps[step].fields);
+    if (missing.length > 0) {
+      setStepErrors(missing);
+      return;
+    }
+    goToStep(step + 1);
+  };
+
+  // Enter and the primary button move through the steps; only the review
+  // page submits
+  const handleSubmit = (e) => {
+    if (isWizard && !isReview) {
+      e.preventDefault();
+      nextStep();
+      return;
+    }
+    onFormSubmit(e);
+  };
+
+  const renderField = (field) => {
+    const readOnly = isReadOnly(field);
+
+    return (
+      <div key={field.name}>
+        <label className="mb-2 block text-sm font-medium text-gray-700">
+          {field.label}
+          {isFieldRequired(field, record) && !readOnly && (
+            <span className="ml-1 text-red-500">*</span>
+          )}
+          {readOnly && (
+            <span className="ml-2 text-xs font-normal text-gray-400">
+              {isComputed(field) ? "(computed)" : "(read-only)"}
+            </span>
+          )}
+        </label>
+
+        {NESTED_TYPES.includes(field.type) ? (
+          <NestedFields
+            field={field}
+            value={formData[field.name]}
+            onChange={handleInputChange}
+            disabled={readOnly}
+          />
+        ) : (
+          <FormField
+            field={field}
+            value={
+              isComputed(field)
+                ? computedValue(field)
+                : formData[field.name] || ""
+            }
+            onChange={handleInputChange}
+            disabled={readOnly}
+            hasError={stepErrors.includes(field.name)}
+            reference={config.backend?.schema?.[field.name]}
+            entity={selectedEntity}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const fieldLabel = (name) =>
+    config.frontend.fields.find((field) => field.name === name)?.label || name;
+
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 backdrop-blur-sm px-4">
       <div className="w-full max-w-2xl overflow-hidden rounded-3xl bg-white shadow-2xl animate-fadeIn">
@@ -28,7 +159,11 @@ const EntityForm = ({
               {editingItem ? "Edit" : "Add New"} {selectedEntity.slice(0, -1)}
             </h3>
             <p className="text-sm text-gray-500 mt-1">
-              Fill in the details below
+              {!isWizard
+                ? "Fill in the details below"
+                : isReview
+                ? "Review the details before saving"
+                : `Step ${step + 1} of ${steps.length}: ${steps[step].title}`}
             </p>
           </div>
 
@@ -40,39 +175,86 @@ const EntityForm = ({
           </button>
         </div>
 
+        {/* Progress */}
+        {isWizard && (
+          <div className="border-b px-8 py-4">
+            <WizardProgress
+              titles={[...steps.map((s) => s.title), "Review"]}
+              current={step}
+              onSelect={goToStep}
+            />
+          </div>
+        )}
+
         {/* Form */}
-        <form onSubmit={onFormSubmit} className="px-8 py-6 space-y-5">
-          {config.frontend.fields.map((field) => (
-            <div key={field.name}>
-              <label className="mb-2 block text-sm font-medium text-gray-700">
-                {field.label}
-                {field.required && <span className="ml-1 text-red-500">*</span>}
-              </label>
-
-              <FormField
-                field={field}
-                value={formData[field.name] || ""}
-                onChange={handleInputChange}
-              />
+        <form
+          ref={formRef}
+          onSubmit={handleSubmit}
+          className="px-8 py-6 space-y-5 max-h-[70vh] overflow-y-auto"
+        >
+          {!isWizard ? (
+            shownFields(config.frontend.fields).map(renderField)
+          ) : isReview ? (
+            <FormReview
+              steps={steps}
+              record={record}
+              schema={schema}
+              onEditStep={goToStep}
+            />
+          ) : (
+            <>
+              {steps[step].description && (
+                <p className="text-sm text-gray-500">
+                  {steps[step].description}
+                </p>
+              )}
+              {steps[step].fields.map(renderField)}
+            </>
+          )}
+
+          {stepErrors.length > 0 && (
+            <div className="flex items-start gap-2 rounded-xl bg-red-50 px-4 py-3 text-sm text-red-700">
+              <AlertCircle size={16} className="mt-0.5 shrink-0" />
+              Please fill in: {stepErrors.map(fieldLabel).join(", ")}
             </div>
-          ))}
+          )}
 
           {/* Actions */}
           <div className="flex flex-col-reverse sm:flex-row gap-4 pt-6">
-            <button
-              type="button"
-              onClick={onClose}
-              className="flex-1 rounded-xl border border-gray-300 px-6 py-3 text-sm font-semibold text-gray-700 hover:bg-gray-50 transition"
-            >
-              Cancel
-            </button>
+            {isWizard && step > 0 ? (
+              <button
+                type="button"
+                onClick={() => goToStep(step - 1)}
+                className="flex-1 inline-flex items-center justify-center gap-2 rounded-xl border border-gray-300 px-6 py-3 text-sm font-semibold text-gray-700 hover:bg-gray-50 transition"
+              >
+                <ArrowLeft size={18} />
+                Back
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 rounded-xl border border-gray-300 px-6 py-3 text-sm font-semibold text-gray-700 hover:bg-gray-50 transition"
+              >
+                Cancel
+              </button>
+            )}
 
             <button
               type="submit"
               className="flex-1 inline-flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 px-6 py-3 text-sm font-semibold text-white shadow-lg hover:shadow-xl hover:-translate-y-0.5 transition-all"
             >
-              <Save size={18} />
-              {editingItem ? "Update" : "Create"}
+              {isWizard && !isReview ? (
+                <>
+                  Next
+                  <ArrowRight size={18} />
+                </>
+              ) : (
+                <>
+                  <Save size={18} />
+                  {editingItem ? "Update" : "Create"}
+                </>
+              )}
             </button>
           </div>
         </form>
@@ -0,0 +1,161 @@
+import React, { useRef, useState } from "react";
+import { Upload, X, Loader2, Paperclip, AlertCircle } from "lucide-react";
+import { apiService, fileUrl } from "../services/api";
+import {
+  DEFAULT_MAX_SIZE,
+  fileList,
+  isImageFile,
+  matchesAccept,
+  formatFileSize,
+} from "../utils/files";
+
+// Upload control for File fields ("file" and "image" form types). Files are
+// uploaded as soon as they are picked; the field keeps the returned
+// metadata and the record is saved with it like any other value.
+const FileUpload = ({
+  entity,
+  field,
+  fileConfig = {},
+  value,
+  onChange,
+  disabled = false,
+}) => {
+  const inputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState("");
+
+  const many = Boolean(fileConfig.many);
+  const maxSize = fileConfig.maxSize ?? DEFAULT_MAX_SIZE;
+  const accept =
+    fileConfig.accept || (field.type === "image" ? ["image/*"] : undefined);
+  const files = fileList(value);
+
+  const handleFiles = async (picked) => {
+    setError("");
+    const uploaded = [];
+    setIsUploading(true);
+    try {
+      for (const file of picked) {
+        if (!matchesAccept(file.type, accept)) {
+          throw new Error(`${file.name}: file type is not allowed`);
+        }
+        if (file.size > maxSize) {
+          throw new Error(
+            `${file.name}: larger than ${formatFileSize(maxSize)}`
+          );
+        }
+        const response = await apiService.uploadFile(entity, field.name, file);
+        uploaded.push(response.data);
+      }
+    } catch (uploadError) {
+      setError(uploadError.message || "Upload failed");
+    } finally {
+      setIsUploading(false);
+      if (inputRef.current) inputRef.current.value = "";
+    }
+
+    if (uploaded.length === 0) return;
+    onChange(field.name, many ? [...files, ...uploaded] : uploaded[0]);
+  };
+
+  const remove = (id) =>
+    onChange(field.name, many ? files.filter((f) => f.id !== id) : "");
+
+  return (
+    <div className="space-y-2">
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {files.map((file) =>
+            isImageFile(file) ? (
+              <div key={file.id} className="relative">
+                <a href={fileUrl(file.id)} target="_blank" rel="noreferrer">
+                  <img
+                    src={fileUrl(file.id)}
+                    alt={file.name}
+                    title={file.name}
+                    className="h-20 w-20 rounded-xl border border-gray-200 object-cover"
+                  />
+                </a>
+                {!disabled && (
+                  <button
+                    type="button"
+                    onClick={() => remove(file.id)}
+                    className="absolute -right-2 -top-2 rounded-full bg-white p-0.5 text-gray-500 shadow hover:text-red-600"
+                  >
+                    <X size={14} />
+                  </button>
+                )}
+              </div>
+            ) : (
+              <span
+                key={file.id}
+                className="inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-gray-100 text-gray-700 text-sm"
+              >
+                <Paperclip size={12} />
+                <a
+                  href={fileUrl(file.id)}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="hover:underline"
+                >
+                  {file.name}
+                </a>
+                <span className="text-xs text-gray-400">
+                  {formatFileSize(file.size)}
+                </span>
+                {!disabled && (
+                  <button
+                    type="button"
+                    onClick={() => remove(file.id)}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <X size={12} />
+                  </button>
+                )}
+              </span>
+            )
+          )}
+        </div>
+      )}
+
+      {!disabled && (many || files.length === 0) && (
+        <label
+          className={`flex items-center justify-center gap-2 w-full px-4 py-3 border-2 border-dashed rounded-xl text-sm transition ${
+            isUploading
+              ? "border-gray-200 text-gray-400"
+              : "border-gray-300 text-gray-600 cursor-pointer hover:border-blue-400 hover:text-blue-600"
+          }`}
+        >
+          {isUploading ? (
+            <Loader2 size={16} className="animate-spin" />
+          ) : (
+            <Upload size={16} />
+          )}
+          {isUploading
+            ? "Uploading..."
+            : `Choose ${field.type === "image" ? "image" : "file"}${
+                many ? "s" : ""
+              } (max ${formatFileSize(maxSize)})`}
+          <input
+            ref={inputRef}
+            type="file"
+            accept={accept?.join(",")}
+            multiple={many}
+            disabled={isUploading}
+            onChange={(e) => handleFiles(Array.from(e.target.files || []))}
+            className="hidden"
+          />
+        </label>
+      )}
+
+      {error && (
+        <p className="flex items-center gap-1 text-sm text-red-600">
+          <AlertCircle size={14} />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FileUpload;
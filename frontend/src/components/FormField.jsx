@@ -16,7 +16,17 @@ import {
   FileText,
   DollarSign,
   Percent,
+  Clock,
+  Palette,
 } from "lucide-react";
+import ReferencePicker from "./ReferencePicker";
+import OptionsPicker from "./OptionsPicker";
+import FileUpload from "./FileUpload";
+import TagInput from "./TagInput";
+import RichTextEditor from "./RichTextEditor";
+import CurrencyInput from "./CurrencyInput";
+import { toDateTimeInput, fromDateTimeInput } from "../utils/fieldFormats";
+import { useFieldOptions } from "../utils/optionSources";
 
 const FormField = ({
   field,
@@ -24,11 +34,16 @@ const FormField = ({
   onChange,
   onBlur,
   hasError,
+  disabled = false,
+  reference,
+  entity,
   className = "",
   ...props
 }) => {
   const [showPassword, setShowPassword] = useState(false);
   const [isFocused, setIsFocused] = useState(false);
+  // Static `options`, or those of the field's optionsSource
+  const { options } = useFieldOptions(field);
 
   const handleChange = (e) => {
     const newValue =
@@ -120,7 +135,185 @@ const FormField = ({
           </div>
         );
 
+      // Array fields: a fixed set of options, or free-form tags
+      case "multiselect": {
+        const selected = Array.isArray(value) ? value : [];
+        const toggle = (optionValue) =>
+          onChange(
+            field.name,
+            selected.includes(optionValue)
+              ? selected.filter((v) => v !== optionValue)
+              : [...selected, optionValue]
+          );
+        return (
+          <div className="flex flex-wrap gap-2">
+            {options.map((opt) => {
+              const optionValue = opt.value ?? opt;
+              const isSelected = selected.includes(optionValue);
+              return (
+                <button
+                  key={optionValue}
+                  type="button"
+                  onClick={() => toggle(optionValue)}
+                  className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full border text-sm transition ${
+                    isSelected
+                      ? "border-blue-500 bg-blue-50 text-blue-700"
+                      : "border-gray-300 text-gray-600 hover:border-blue-300"
+                  }`}
+                >
+                  {isSelected && <Check size={14} />}
+                  {opt.label ?? opt}
+                </button>
+              );
+            })}
+          </div>
+        );
+      }
+
+      case "tags":
+        return (
+          <TagInput
+            value={value}
+            onChange={(newValue) => onChange(field.name, newValue)}
+            placeholder={field.placeholder}
+            disabled={disabled}
+          />
+        );
+
+      case "richtext":
+        return (
+          <RichTextEditor
+            value={value}
+            onChange={(newValue) => onChange(field.name, newValue)}
+            placeholder={field.placeholder}
+            disabled={disabled}
+          />
+        );
+
+      case "color":
+        return (
+          <div className="relative flex items-center gap-3">
+            <input
+              type="color"
+              value={value || "#000000"}
+              onChange={handleChange}
+              className="h-12 w-14 cursor-pointer rounded-xl border border-gray-300 bg-white p-1"
+            />
+            <input
+              type="text"
+              value={value || ""}
+              onChange={handleChange}
+              required={field.required}
+              pattern="#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})"
+              placeholder="#rrggbb"
+              className={`${baseInputClasses} font-mono`}
+            />
+            <Palette
+              className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 pointer-events-none"
+              size={20}
+            />
+          </div>
+        );
+
+      case "time":
+        return (
+          <div className="relative">
+            <input
+              type="time"
+              value={value || ""}
+              onChange={handleChange}
+              required={field.required}
+              step={field.step}
+              className={`${baseInputClasses} cursor-text`}
+            />
+            <Clock
+              className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 pointer-events-none"
+              size={20}
+            />
+          </div>
+        );
+
+      // Shown in the Date field's timezone when it has one, otherwise in
+      // the browser's (see utils/fieldFormats.js)
+      case "datetime":
+        return (
+          <div className="space-y-1">
+            <div className="relative">
+              <input
+                type="datetime-local"
+                value={toDateTimeInput(value, reference?.timezone)}
+                onChange={(e) =>
+                  onChange(
+                    field.name,
+                    fromDateTimeInput(e.target.value, reference?.timezone)
+                  )
+                }
+                required={field.required}
+                className={`${baseInputClasses} cursor-text`}
+              />
+              <Calendar
+                className="absolute right-4 top-1/2 transform -translate-y-1/2 text-gray-400 pointer-events-none"
+                size={20}
+              />
+            </div>
+            <p className="text-xs text-gray-400">
+              {reference?.timezone ||
+                Intl.DateTimeFormat().resolvedOptions().timeZone}
+            </p>
+          </div>
+        );
+
+      case "currency":
+        return (
+          <CurrencyInput
+            value={value}
+            onChange={(newValue) => onChange(field.name, newValue)}
+            currency={reference?.currency || field.currency || "USD"}
+            locale={field.locale}
+            placeholder={field.placeholder}
+            required={field.required}
+            className={baseInputClasses}
+          />
+        );
+
+      // `reference` is the File field's backend.schema config here
+      case "file":
+      case "image":
+        return (
+          <FileUpload
+            entity={entity}
+            field={field}
+            fileConfig={reference}
+            value={value}
+            onChange={onChange}
+            disabled={disabled}
+          />
+        );
+
+      // `reference` is the Ref field's backend.schema config
+      case "lookup":
+        return (
+          <ReferencePicker
+            entity={reference?.ref}
+            many={reference?.many}
+            displayField={reference?.displayField}
+            value={value}
+            onChange={(newValue) => onChange(field.name, newValue)}
+            placeholder={field.placeholder}
+          />
+        );
+
       case "dropdown":
+        if (field.optionsSource) {
+          return (
+            <OptionsPicker
+              field={field}
+              value={value}
+              onChange={(newValue) => onChange(field.name, newValue)}
+              disabled={disabled}
+            />
+          );
+        }
         return (
           <div className="relative">
             <select
@@ -180,7 +373,7 @@ const FormField = ({
               {field.label}
             </p>
             <div className="flex flex-wrap gap-4">
-              {field.options?.map((option) => (
+              {options.map((option) => (
                 <label
                   key={option.value}
                   className="flex items-center gap-2 cursor-pointer group"
@@ -353,7 +546,9 @@ const FormField = ({
 
   return (
     <div className="space-y-1.5">
-      {renderField()}
+      <fieldset disabled={disabled} className="contents">
+        {renderField()}
+      </fieldset>
 
       {/* Field hint/description */}
       {field.description && (
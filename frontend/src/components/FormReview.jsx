@@ -0,0 +1,107 @@
+import React from "react";
+import { Edit2 } from "lucide-react";
+import { refLabel } from "../utils/relations";
+import { fileList } from "../utils/files";
+import {
+  formatCurrency,
+  formatDateTime,
+  formatTime,
+  htmlToText,
+} from "../utils/fieldFormats";
+
+const isEmptyValue = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const isObject = (value) => value !== null && typeof value === "object";
+
+const optionLabel = (field, value) => {
+  const option = (field.options || []).find(
+    (opt) => (opt?.value ?? opt) === value
+  );
+  return option?.label ?? value;
+};
+
+// Readable value of a field for the review page
+const displayValue = (field, value, reference) => {
+  if (isEmptyValue(value)) return "—";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (field.type === "password") return "••••••••";
+
+  if (field.type === "richtext") return htmlToText(value) || "—";
+  if (field.type === "time") return formatTime(value);
+  if (field.type === "datetime") {
+    return formatDateTime(value, reference?.timezone);
+  }
+  if (field.type === "currency") {
+    return formatCurrency(
+      value,
+      reference?.currency || field.currency || "USD",
+      field.locale
+    );
+  }
+  if (reference?.type === "File") {
+    return fileList(value)
+      .map((file) => file.name)
+      .join(", ");
+  }
+  if (reference?.type === "Ref") {
+    return (Array.isArray(value) ? value : [value])
+      .map((item) =>
+        isObject(item) ? refLabel(item, reference.displayField) : item
+      )
+      .join(", ");
+  }
+  if (Array.isArray(value)) {
+    return value.some(isObject)
+      ? `${value.length} ${value.length === 1 ? "item" : "items"}`
+      : value.map((item) => optionLabel(field, item)).join(", ");
+  }
+  if (isObject(value)) {
+    return (
+      Object.values(value)
+        .filter((item) => !isEmptyValue(item) && !isObject(item))
+        .join(", ") || "—"
+    );
+  }
+  if (field.type === "date") return new Date(value).toLocaleDateString();
+  return String(optionLabel(field, value));
+};
+
+// Last page of a wizard form: every step's values before submitting
+const FormReview = ({ steps, record, schema = {}, onEditStep }) => (
+  <div className="space-y-6">
+    {steps.map((step, index) => (
+      <section key={index}>
+        <div className="mb-2 flex items-center justify-between">
+          <h4 className="text-sm font-semibold text-gray-900">{step.title}</h4>
+          <button
+            type="button"
+            onClick={() => onEditStep(index)}
+            className="inline-flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+          >
+            <Edit2 size={12} />
+            Edit
+          </button>
+        </div>
+        <dl className="divide-y divide-gray-100 rounded-xl border border-gray-200">
+          {step.fields.map((field) => (
+            <div
+              key={field.name}
+              className="grid grid-cols-3 gap-4 px-4 py-2.5 text-sm"
+            >
+              <dt className="text-gray-500">{field.label}</dt>
+              <dd className="col-span-2 break-words text-gray-900">
+                {displayValue(field, record[field.name], schema[field.name])}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </section>
+    ))}
+  </div>
+);
+
+export default FormReview;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from "react";
+import { Database, LogIn, UserPlus, Loader2, AlertCircle } from "lucide-react";
+import { apiService } from "../services/api";
+
+const LoginScreen = ({ onLogin, message }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [needsSetup, setNeedsSetup] = useState(false);
+
+  // A fresh backend has no accounts yet: offer to create the admin
+  useEffect(() => {
+    apiService
+      .getAuthStatus()
+      .then((response) => setNeedsSetup(Boolean(response.data?.needsSetup)))
+      .catch(() => setNeedsSetup(false));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsSubmitting(true);
+
+    try {
+      const response = needsSetup
+        ? await apiService.setupAdmin(username, password)
+        : await apiService.login(username, password);
+      onLogin(response.data.user);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join(", ") : err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 via-white to-blue-50 px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md bg-white rounded-2xl shadow-xl p-8 space-y-6"
+      >
+        <div className="flex items-center gap-3">
+          <Database className="text-blue-500" size={32} />
+          <div>
+            <h1 className="text-2xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">
+              Dynamic Form System
+            </h1>
+            <p className="text-gray-600 text-sm">
+              {needsSetup
+                ? "Create the administrator account to get started"
+                : "Sign in to continue"}
+            </p>
+          </div>
+        </div>
+
+        {(error || message) && (
+          <div className="flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+            <AlertCircle size={16} className="mt-0.5 shrink-0" />
+            {error || message}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Username
+            </label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+              autoFocus
+              className="w-full px-4 py-2.5 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={needsSetup ? "new-password" : "current-password"}
+              minLength={needsSetup ? 8 : undefined}
+              required
+              className="w-full px-4 py-2.5 border-2 border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full flex items-center justify-center gap-2 px-5 py-3 bg-gradient-to-r from-blue-600 to-indigo-700 text-white rounded-xl font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          {isSubmitting ? (
+            <Loader2 size={18} className="animate-spin" />
+          ) : needsSetup ? (
+            <UserPlus size={18} />
+          ) : (
+            <LogIn size={18} />
+          )}
+          {needsSetup ? "Create Account" : "Sign In"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
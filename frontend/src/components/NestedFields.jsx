@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, Plus, Trash2 } from "lucide-react";
+import FormField from "./FormField";
+import { NESTED_TYPES } from "../utils/forms";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The sub-fields of one nested object
+const SubFields = ({ fields, value, onChange, disabled }) => {
+  const record = isObject(value) ? value : {};
+  const setField = (name, fieldValue) =>
+    onChange({ ...record, [name]: fieldValue });
+
+  return (
+    <div className="space-y-4">
+      {fields.map((sub) => (
+        <div key={sub.name}>
+          <label className="mb-2 block text-sm font-medium text-gray-700">
+            {sub.label}
+            {sub.required && !disabled && (
+              <span className="ml-1 text-red-500">*</span>
+            )}
+          </label>
+
+          {NESTED_TYPES.includes(sub.type) ? (
+            <NestedFields
+              field={sub}
+              value={record[sub.name]}
+              onChange={setField}
+              disabled={disabled}
+            />
+          ) : (
+            <FormField
+              field={sub}
+              value={record[sub.name] ?? ""}
+              onChange={setField}
+              disabled={disabled}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const NestedFields = ({ field, value, onChange, disabled = false }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  const fields = field.fields || [];
+  const rows = Array.isArray(value) ? value : [];
+  const isRepeater = field.type === "repeater";
+
+  const update = (next) => onChange(field.name, next);
+  const updateRow = (index, row) =>
+    update(rows.map((item, i) => (i === index ? row : item)));
+  const removeRow = (index) => update(rows.filter((_, i) => i !== index));
+
+  const summary = isRepeater
+    ? `${rows.length} ${rows.length === 1 ? "item" : "items"}`
+    : `${fields.length} ${fields.length === 1 ? "field" : "fields"}`;
+
+  return (
+    <div className="rounded-xl border border-gray-200 bg-gray-50/60">
+      <button
+        type="button"
+        onClick={() => setCollapsed(!collapsed)}
+        className="w-full flex items-center gap-2 px-4 py-3 text-left text-sm text-gray-600 hover:text-gray-900"
+      >
+        {collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+        <span>{summary}</span>
+      </button>
+
+      {!collapsed && (
+        <div className="px-4 pb-4">
+          {!isRepeater ? (
+            <SubFields
+              fields={fields}
+              value={value}
+              onChange={update}
+              disabled={disabled}
+            />
+          ) : (
+            <div className="space-y-3">
+              {rows.map((row, index) => (
+                <div
+                  key={index}
+                  className="rounded-xl border border-gray-200 bg-white p-4"
+                >
+                  <div className="mb-3 flex items-center justify-between">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+                      {field.itemLabel || "Item"} {index + 1}
+                    </span>
+                    {!disabled && (
+                      <button
+                        type="button"
+                        onClick={() => removeRow(index)}
+                        title="Remove"
+                        className="rounded-lg p-1.5 text-gray-400 hover:bg-red-50 hover:text-red-600 transition"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                  <SubFields
+                    fields={fields}
+                    value={row}
+                    onChange={(next) => updateRow(index, next)}
+                    disabled={disabled}
+                  />
+                </div>
+              ))}
+
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => update([...rows, {}])}
+                  className="inline-flex items-center gap-2 rounded-xl border border-dashed border-gray-300 px-4 py-2 text-sm font-medium text-gray-600 hover:border-blue-400 hover:text-blue-600 transition"
+                >
+                  <Plus size={16} />
+                  Add {(field.itemLabel || "item").toLowerCase()}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NestedFields;
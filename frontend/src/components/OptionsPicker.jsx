@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from "react";
+import { Search, X, Loader2, ChevronDown } from "lucide-react";
+import { loadOptions, useFieldOptions } from "../utils/optionSources";
+
+// Dropdown for fields with an optionsSource: options are searched as the
+// user types; the field keeps the option's value.
+const OptionsPicker = ({ field, value, onChange, disabled = false }) => {
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedLabel, setSelectedLabel] = useState("");
+  const { options, isLoading } = useFieldOptions(field, isOpen ? query : "");
+
+  const hasValue = value !== undefined && value !== null && value !== "";
+  const known = options.find((opt) => String(opt.value) === String(value));
+
+  // Label of a value set before the options were loaded (e.g. when editing)
+  useEffect(() => {
+    if (!hasValue || known) return;
+    let cancelled = false;
+    loadOptions(field.optionsSource, { values: [String(value)] })
+      .then((found) => {
+        if (!cancelled) setSelectedLabel(found[0]?.label ?? String(value));
+      })
+      .catch(() => !cancelled && setSelectedLabel(String(value)));
+    return () => {
+      cancelled = true;
+    };
+  }, [field.optionsSource, value, hasValue, known]);
+
+  const select = (option) => {
+    onChange(option.value);
+    setSelectedLabel(option.label);
+    setQuery("");
+    setIsOpen(false);
+  };
+
+  const label = known?.label ?? selectedLabel;
+
+  return (
+    <div className="relative">
+      <div className="w-full min-h-[50px] px-3 py-2 border border-gray-300 rounded-xl bg-white flex items-center gap-2 focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500/30">
+        <Search size={16} className="text-gray-400" />
+        <input
+          type="text"
+          value={isOpen ? query : hasValue ? label : ""}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+          disabled={disabled}
+          placeholder={
+            isOpen && hasValue
+              ? label
+              : field.placeholder || `Select ${field.label.toLowerCase()}...`
+          }
+          className="flex-1 py-1 bg-transparent focus:outline-none text-gray-900 placeholder-gray-400"
+        />
+        {hasValue && !disabled ? (
+          <button
+            type="button"
+            onClick={() => onChange("")}
+            className="text-gray-400 hover:text-gray-700"
+          >
+            <X size={16} />
+          </button>
+        ) : (
+          <ChevronDown size={18} className="text-gray-400" />
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="absolute z-20 mt-1 w-full max-h-60 overflow-y-auto bg-white border border-gray-200 rounded-xl shadow-lg">
+          {isLoading && options.length === 0 ? (
+            <div className="px-4 py-3 flex items-center gap-2 text-sm text-gray-500">
+              <Loader2 size={14} className="animate-spin" />
+              Loading options...
+            </div>
+          ) : options.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">
+              No matching options
+            </div>
+          ) : (
+            options.map((option) => (
+              <button
+                key={String(option.value)}
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(option)}
+                className={`w-full px-4 py-2 text-left text-sm hover:bg-blue-50 ${
+                  String(option.value) === String(value)
+                    ? "font-medium text-blue-700"
+                    : "text-gray-700"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OptionsPicker;
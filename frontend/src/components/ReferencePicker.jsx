@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from "react";
+import { Search, X, Loader2, Link2 } from "lucide-react";
+import { apiService } from "../services/api";
+import { refId, refLabel } from "../utils/relations";
+
+// Searchable picker for Ref fields. Selected records are kept as
+// { _id, [displayField] } so their labels can be shown; the backend only
+// stores the ids.
+const ReferencePicker = ({
+  entity,
+  many = false,
+  displayField = "name",
+  value,
+  onChange,
+  placeholder,
+}) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const selected = (many ? value || [] : value ? [value] : []).filter((item) =>
+    refId(item)
+  );
+
+  // Search the referenced entity while the list is open
+  useEffect(() => {
+    if (!isOpen || !entity) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const response = await apiService.getEntities(entity, {
+          search: query,
+          limit: 10,
+        });
+        if (!cancelled) setResults(response.success ? response.data : []);
+      } catch (error) {
+        console.error(`Error searching ${entity}:`, error);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [entity, query, isOpen]);
+
+  const select = (record) => {
+    const item = { _id: record._id, [displayField]: record[displayField] };
+    if (!many) {
+      onChange(item);
+      setIsOpen(false);
+    } else if (!selected.some((s) => refId(s) === record._id)) {
+      onChange([...selected, item]);
+    }
+    setQuery("");
+  };
+
+  const remove = (id) =>
+    onChange(many ? selected.filter((s) => refId(s) !== id) : "");
+
+  return (
+    <div className="relative">
+      <div className="w-full min-h-[50px] px-3 py-2 border border-gray-300 rounded-xl bg-white flex flex-wrap items-center gap-2 focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500/30">
+        {selected.map((item) => (
+          <span
+            key={refId(item)}
+            title={refId(item)}
+            className="inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-blue-50 text-blue-700 text-sm"
+          >
+            <Link2 size={12} />
+            {refLabel(item, displayField)}
+            <button
+              type="button"
+              onClick={() => remove(refId(item))}
+              className="text-blue-400 hover:text-blue-700"
+            >
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+
+        {(many || selected.length === 0) && (
+          <div className="flex-1 min-w-[120px] flex items-center gap-2">
+            <Search size={16} className="text-gray-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onFocus={() => setIsOpen(true)}
+              onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+              placeholder={placeholder || `Search ${entity}...`}
+              className="flex-1 py-1 bg-transparent focus:outline-none text-gray-900 placeholder-gray-400"
+            />
+          </div>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="absolute z-20 mt-1 w-full max-h-60 overflow-y-auto bg-white border border-gray-200 rounded-xl shadow-lg">
+          {isLoading ? (
+            <div className="px-4 py-3 flex items-center gap-2 text-sm text-gray-500">
+              <Loader2 size={14} className="animate-spin" />
+              Searching...
+            </div>
+          ) : results.length === 0 ? (
+            <div className="px-4 py-3 text-sm text-gray-500">
+              No matching {entity}
+            </div>
+          ) : (
+            results.map((record) => (
+              <button
+                key={record._id}
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(record)}
+                className="w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-blue-50 flex items-center justify-between"
+              >
+                {refLabel(record, displayField)}
+                <span className="font-mono text-xs text-gray-400">
+                  {String(record._id).substring(0, 8)}
+                </span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReferencePicker;
@@ -0,0 +1,86 @@
+import React, { useEffect, useRef } from "react";
+import {
+  Bold,
+  Italic,
+  Underline,
+  List,
+  ListOrdered,
+  Link2,
+  Eraser,
+} from "lucide-react";
+import { sanitizeHtml } from "../utils/fieldFormats";
+
+const TOOLS = [
+  { command: "bold", icon: Bold, title: "Bold" },
+  { command: "italic", icon: Italic, title: "Italic" },
+  { command: "underline", icon: Underline, title: "Underline" },
+  { command: "insertUnorderedList", icon: List, title: "Bulleted list" },
+  { command: "insertOrderedList", icon: ListOrdered, title: "Numbered list" },
+  { command: "createLink", icon: Link2, title: "Link" },
+  { command: "removeFormat", icon: Eraser, title: "Clear formatting" },
+];
+
+// Editor for String fields with "format": "html". Markup is sanitised
+// before it is shown and on every change; the server sanitises it again.
+const RichTextEditor = ({ value, onChange, placeholder, disabled = false }) => {
+  const editorRef = useRef(null);
+  const lastValue = useRef(null);
+
+  // Only replace the content when the value changed from outside, so the
+  // caret stays put while typing
+  useEffect(() => {
+    if (!editorRef.current || value === lastValue.current) return;
+    editorRef.current.innerHTML = sanitizeHtml(value);
+    lastValue.current = value;
+  }, [value]);
+
+  const emit = () => {
+    const html = sanitizeHtml(editorRef.current.innerHTML);
+    // An editor left with only an empty line counts as empty
+    const next = editorRef.current.textContent.trim() === "" ? "" : html;
+    lastValue.current = next;
+    onChange(next);
+  };
+
+  const run = (command) => {
+    let argument;
+    if (command === "createLink") {
+      argument = window.prompt("Link URL", "https://");
+      if (!argument) return;
+    }
+    editorRef.current.focus();
+    document.execCommand(command, false, argument);
+    emit();
+  };
+
+  return (
+    <div className="rounded-xl border border-gray-300 bg-white focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500/30">
+      {!disabled && (
+        <div className="flex flex-wrap gap-1 border-b border-gray-200 px-2 py-1.5">
+          {TOOLS.map((tool) => (
+            <button
+              key={tool.command}
+              type="button"
+              title={tool.title}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => run(tool.command)}
+              className="rounded-lg p-1.5 text-gray-500 hover:bg-gray-100 hover:text-gray-800"
+            >
+              {React.createElement(tool.icon, { size: 16 })}
+            </button>
+          ))}
+        </div>
+      )}
+      <div
+        ref={editorRef}
+        contentEditable={!disabled}
+        suppressContentEditableWarning
+        onInput={emit}
+        data-placeholder={placeholder || "Write something..."}
+        className="prose-sm min-h-[120px] max-h-80 overflow-y-auto px-4 py-3 text-gray-900 focus:outline-none empty:before:text-gray-400 empty:before:content-[attr(data-placeholder)] [&_ol]:list-decimal [&_ol]:pl-6 [&_ul]:list-disc [&_ul]:pl-6 [&_a]:text-blue-600 [&_a]:underline"
+      />
+    </div>
+  );
+};
+
+export default RichTextEditor;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  History,
+  RotateCcw,
+  GitCompare,
+  RefreshCw,
+  Loader2,
+  X,
+} from "lucide-react";
+import { apiService } from "../services/api";
+
+const CHANGE_STYLES = {
+  added: "bg-green-50 text-green-800 border-green-200",
+  removed: "bg-red-50 text-red-800 border-red-200",
+  changed: "bg-amber-50 text-amber-800 border-amber-200",
+};
+
+const formatValue = (value) =>
+  value === undefined ? "" : JSON.stringify(value);
+
+const SchemaHistory = ({ onRollback, showNotification }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [diff, setDiff] = useState(null);
+
+  const loadVersions = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await apiService.getSchemaVersions();
+      setVersions(response.data || []);
+    } catch (error) {
+      showNotification.error(`Failed to load history: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const showDiff = async (version) => {
+    try {
+      const response = await apiService.getSchemaDiff(version - 1, version);
+      setDiff({ from: response.from, to: response.to, ...response.data });
+    } catch (error) {
+      showNotification.error(`Failed to load diff: ${error.message}`);
+    }
+  };
+
+  // The rollback migrates records back too; a dry run shows how first
+  const rollback = async (version) => {
+    setRollingBack(version);
+    try {
+      const preview = await apiService.rollbackSchema(version, {
+        migrate: "dry-run",
+      });
+      const { entities, warnings } = preview.migration;
+      const changes = [
+        ...Object.entries(entities).map(
+          ([entity, operations]) =>
+            `${entity}: ${operations
+              .map((op) => `${op.op} (${op.affected} records)`)
+              .join(", ")}`
+        ),
+        ...warnings,
+      ];
+      const question = `Roll back the schema to version ${version}?`;
+      if (
+        !confirm(
+          changes.length > 0 ? `${question}\n\n${changes.join("\n")}` : question
+        )
+      ) {
+        return;
+      }
+
+      const response = await apiService.rollbackSchema(version, {
+        migrate: "apply",
+      });
+      showNotification.success(
+        `✅ Rolled back to version ${version} (now version ${response.version})`
+      );
+      onRollback(response.data);
+      setDiff(null);
+      loadVersions();
+    } catch (error) {
+      showNotification.error(`Rollback failed: ${error.message}`);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const latestVersion = versions[0]?.version;
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between px-4 py-3 bg-gray-50 border-b border-gray-200 rounded-t-lg">
+        <div className="flex items-center gap-2 font-semibold text-gray-800">
+          <History size={18} />
+          Version History
+        </div>
+        <button
+          onClick={loadVersions}
+          disabled={isLoading}
+          className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          title="Reload history"
+        >
+          <RefreshCw size={16} className={isLoading ? "animate-spin" : ""} />
+        </button>
+      </div>
+
+      {isLoading && versions.length === 0 ? (
+        <div className="p-6 flex justify-center">
+          <Loader2 className="animate-spin text-purple-500" size={24} />
+        </div>
+      ) : versions.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">
+          No versions recorded yet (is the backend connected?)
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 max-h-64 overflow-y-auto">
+          {versions.map((v) => (
+            <li key={v.version} className="px-4 py-3 flex items-start gap-3">
+              <span className="mt-0.5 px-2 py-0.5 rounded bg-purple-100 text-purple-800 text-xs font-bold">
+                v{v.version}
+              </span>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm text-gray-800 truncate">
+                  {v.message || (
+                    <span className="text-gray-400">No message</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {v.author} · {new Date(v.timestamp).toLocaleString()}
+                  {v.rolledBackFrom && ` · rollback of v${v.rolledBackFrom}`}
+                  {v.migration === "applied" && " · records migrated"}
+                  {v.migration === "pending" && " · records not migrated"}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {v.summary.totalChanges} change
+                  {v.summary.totalChanges === 1 ? "" : "s"}
+                  {v.summary.entitiesAdded.length > 0 &&
+                    ` · +${v.summary.entitiesAdded.join(", +")}`}
+                  {v.summary.entitiesRemoved.length > 0 &&
+                    ` · -${v.summary.entitiesRemoved.join(", -")}`}
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => showDiff(v.version)}
+                  className="inline-flex items-center gap-1 px-2 py-1 text-xs text-blue-700 bg-blue-50 hover:bg-blue-100 rounded"
+                >
+                  <GitCompare size={12} />
+                  Diff
+                </button>
+                {v.version !== latestVersion && (
+                  <button
+                    onClick={() => rollback(v.version)}
+                    disabled={rollingBack !== null}
+                    className="inline-flex items-center gap-1 px-2 py-1 text-xs text-orange-700 bg-orange-50 hover:bg-orange-100 rounded disabled:opacity-50"
+                  >
+                    <RotateCcw
+                      size={12}
+                      className={
+                        rollingBack === v.version ? "animate-spin" : ""
+                      }
+                    />
+                    Rollback
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Diff View */}
+      {diff && (
+        <div className="border-t border-gray-200 p-4 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-semibold text-gray-800">
+              Changes from v{diff.from} to v{diff.to}
+            </span>
+            <button
+              onClick={() => setDiff(null)}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X size={16} />
+            </button>
+          </div>
+          {diff.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">No changes</p>
+          ) : (
+            <ul className="space-y-1 max-h-48 overflow-y-auto">
+              {diff.changes.map((change, idx) => (
+                <li
+                  key={idx}
+                  className={`px-3 py-2 border rounded text-xs font-mono break-all ${
+                    CHANGE_STYLES[change.type]
+                  }`}
+                >
+                  <span className="font-semibold uppercase mr-2">
+                    {change.type}
+                  </span>
+                  {change.path || "(root)"}
+                  {change.type === "changed" && (
+                    <div className="mt-1">
+                      {formatValue(change.before)} → {formatValue(change.after)}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchemaHistory;
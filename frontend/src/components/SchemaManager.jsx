@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   Save,
   X,
@@ -7,8 +7,14 @@ import {
   RefreshCw,
   Database,
   AlertCircle,
+  AlertTriangle,
+  CheckCircle,
+  History,
+  Wand2,
 } from "lucide-react";
 import { apiService } from "../services/api";
+import { resolveFrontend } from "../utils/formDerivation";
+import SchemaHistory from "./SchemaHistory";
 
 const SchemaManager = ({
   schema,
@@ -23,6 +29,58 @@ const SchemaManager = ({
   const [jsonError, setJsonError] = useState("");
   const [isUpdating, setIsUpdating] = useState(false);
   const [backendAvailable, setBackendAvailable] = useState(true);
+  const [changeMessage, setChangeMessage] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const [migrateRecords, setMigrateRecords] = useState(false);
+  const [migrationPreview, setMigrationPreview] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [showGenerated, setShowGenerated] = useState(false);
+
+  // Forms and tables the edited schema generates: fields and columns
+  // derived from backend.schema with the frontend overrides applied
+  const generated = useMemo(() => {
+    if (!showGenerated) return null;
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonInput);
+    } catch {
+      return null;
+    }
+    return Object.entries(parsed?.record || {}).map(([entityName, config]) => {
+      const overrides = config?.frontend?.fields;
+      const { fields, columns } = resolveFrontend(config);
+      return {
+        entityName,
+        fields,
+        columns,
+        overridden: new Set(
+          Array.isArray(overrides) ? overrides.map((field) => field?.name) : []
+        ),
+      };
+    });
+  }, [jsonInput, showGenerated]);
+
+  // Validate on the server while editing, once the JSON parses
+  useEffect(() => {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonInput);
+    } catch {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.validateSchema(parsed);
+        setValidation(response.data);
+      } catch {
+        // Backend unavailable: the checks in handleSchemaUpdate still apply
+        setValidation(null);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [jsonInput]);
 
   const handleSchemaUpdate = async () => {
     setIsUpdating(true);
@@ -45,20 +103,37 @@ const SchemaManager = ({
         if (!config.backend || !config.backend.schema) {
           throw new Error(`Missing backend schema for entity: ${entityName}`);
         }
-        if (!config.frontend || !config.frontend.fields) {
-          throw new Error(`Missing frontend fields for entity: ${entityName}`);
-        }
       }
 
       // Update backend schema
       try {
-        const response = await apiService.updateSchema(parsed);
+        const response = await apiService.updateSchema(parsed, {
+          message: changeMessage.trim() || undefined,
+          migrate: migrateRecords ? "apply" : undefined,
+        });
 
         if (response.success) {
-          showNotification.success("✅ Backend schema updated successfully!");
+          showNotification.success(
+            `✅ Backend schema updated (version ${response.version})`
+          );
           setBackendAvailable(true);
         }
       } catch (backendError) {
+        // Rejected by the server's schema validation: nothing is applied
+        if (backendError.status === 400) {
+          setValidation({
+            valid: false,
+            errors: backendError.data?.details || [backendError.message],
+            warnings: backendError.data?.warnings || [],
+          });
+          throw new Error(backendError.message);
+        }
+
+        // Permissions live in the schema, so only admins may change it
+        if (backendError.status === 403) {
+          throw new Error("Only admins can change the schema");
+        }
+
         setBackendAvailable(false);
         showNotification.warning(
           "⚠️ Backend unavailable, updating frontend only"
@@ -89,6 +164,23 @@ const SchemaManager = ({
     }
   };
 
+  // Dry run: shows how existing records would be migrated, changes nothing
+  const previewMigration = async () => {
+    setIsUpdating(true);
+    setJsonError("");
+    try {
+      const parsed = JSON.parse(jsonInput);
+      const response = await apiService.updateSchema(parsed, {
+        migrate: "dry-run",
+      });
+      setMigrationPreview(response.migration);
+    } catch (error) {
+      setJsonError(`❌ Error: ${error.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -176,6 +268,28 @@ const SchemaManager = ({
                 className="hidden"
               />
             </label>
+            <button
+              onClick={() => setShowHistory((v) => !v)}
+              className={`flex items-center gap-2 px-4 py-3 rounded-lg transition-colors ${
+                showHistory
+                  ? "bg-purple-600 text-white hover:bg-purple-700"
+                  : "bg-purple-100 text-purple-700 hover:bg-purple-200"
+              }`}
+            >
+              <History size={18} />
+              History
+            </button>
+            <button
+              onClick={() => setShowGenerated((v) => !v)}
+              className={`flex items-center gap-2 px-4 py-3 rounded-lg transition-colors ${
+                showGenerated
+                  ? "bg-purple-600 text-white hover:bg-purple-700"
+                  : "bg-purple-100 text-purple-700 hover:bg-purple-200"
+              }`}
+            >
+              <Wand2 size={18} />
+              Generated Forms
+            </button>
             <button
               onClick={onReset}
               className="flex items-center gap-2 px-4 py-3 bg-orange-100 text-orange-700 rounded-lg hover:bg-orange-200 transition-colors"
@@ -184,6 +298,70 @@ const SchemaManager = ({
             </button>
           </div>
 
+          {/* Version History */}
+          {showHistory && (
+            <SchemaHistory
+              showNotification={showNotification}
+              onRollback={(restored) => {
+                setJsonInput(JSON.stringify(restored, null, 2));
+                setJsonError("");
+                onUpdate(restored);
+              }}
+            />
+          )}
+
+          {/* Generated Forms */}
+          {showGenerated && (
+            <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm space-y-4">
+              {!generated ? (
+                <p className="text-gray-600">
+                  Fix the JSON to see the generated forms.
+                </p>
+              ) : generated.length === 0 ? (
+                <p className="text-gray-600">No entities defined.</p>
+              ) : (
+                generated.map(({ entityName, fields, columns, overridden }) => (
+                  <div key={entityName}>
+                    <div className="font-semibold text-gray-800 mb-2">
+                      {entityName}
+                    </div>
+                    <div className="flex flex-wrap gap-1.5">
+                      {fields.map((field, idx) => (
+                        <span
+                          key={field?.name ?? idx}
+                          className={`px-2 py-0.5 rounded-full border text-xs ${
+                            overridden.has(field?.name)
+                              ? "bg-purple-50 border-purple-200 text-purple-800"
+                              : "bg-white border-gray-200 text-gray-700"
+                          }`}
+                        >
+                          {field?.label || field?.name}
+                          {field?.required && " *"}{" "}
+                          <span className="text-gray-400">
+                            {field?.type || "text"}
+                          </span>
+                        </span>
+                      ))}
+                      {fields.length === 0 && (
+                        <span className="text-gray-500">No form fields</span>
+                      )}
+                    </div>
+                    <div className="mt-2 text-xs text-gray-500">
+                      Columns:{" "}
+                      {columns
+                        .map((column) => column?.header || column?.accessor)
+                        .join(", ") || "none"}
+                    </div>
+                  </div>
+                ))
+              )}
+              <p className="text-xs text-gray-500">
+                Fields come from backend.schema; highlighted ones are overridden
+                in frontend.fields.
+              </p>
+            </div>
+          )}
+
           {/* JSON Editor */}
           <div>
             <div className="flex justify-between items-center mb-2">
@@ -199,6 +377,7 @@ const SchemaManager = ({
               onChange={(e) => {
                 setJsonInput(e.target.value);
                 setJsonError("");
+                setValidation(null);
               }}
               className="w-full h-96 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all font-mono text-sm"
               placeholder="Paste your JSON schema here..."
@@ -217,11 +396,121 @@ const SchemaManager = ({
             </div>
           )}
 
+          {/* Server-side Schema Validation */}
+          {validation && (
+            <div className="space-y-2">
+              {validation.errors.length > 0 && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <div className="flex items-center gap-2 text-red-700 mb-2">
+                    <AlertCircle size={18} />
+                    <span className="font-medium">
+                      {validation.errors.length} error
+                      {validation.errors.length === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                  <ul className="list-disc ml-6 text-red-600 text-sm space-y-1">
+                    {validation.errors.map((message, idx) => (
+                      <li key={idx}>{message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {validation.warnings.length > 0 && (
+                <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-center gap-2 text-amber-700 mb-2">
+                    <AlertTriangle size={18} />
+                    <span className="font-medium">
+                      {validation.warnings.length} warning
+                      {validation.warnings.length === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                  <ul className="list-disc ml-6 text-amber-700 text-sm space-y-1">
+                    {validation.warnings.map((message, idx) => (
+                      <li key={idx}>{message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {validation.valid && validation.warnings.length === 0 && (
+                <div className="flex items-center gap-2 px-4 py-3 bg-green-50 border border-green-200 rounded-lg text-green-700 text-sm">
+                  <CheckCircle size={18} />
+                  Schema is valid
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Change Description */}
+          <input
+            type="text"
+            value={changeMessage}
+            onChange={(e) => setChangeMessage(e.target.value)}
+            placeholder="Describe this change (saved in version history)"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all text-sm"
+          />
+
+          {/* Data Migration */}
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={migrateRecords}
+                onChange={(e) => setMigrateRecords(e.target.checked)}
+              />
+              Migrate existing records to the new schema
+            </label>
+            <button
+              onClick={previewMigration}
+              disabled={isUpdating}
+              className="px-3 py-1 rounded bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+            >
+              Preview Migration
+            </button>
+          </div>
+
+          {migrationPreview && (
+            <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm space-y-2">
+              {Object.keys(migrationPreview.entities).length === 0 ? (
+                <p className="text-gray-600">No records need migrating.</p>
+              ) : (
+                Object.entries(migrationPreview.entities).map(
+                  ([entity, operations]) => (
+                    <div key={entity}>
+                      <div className="font-semibold text-gray-800">
+                        {entity}
+                      </div>
+                      <ul className="ml-4 list-disc text-gray-700">
+                        {operations.map((op, idx) => (
+                          <li key={idx}>
+                            {op.op === "rename"
+                              ? `rename ${op.from} → ${op.to}`
+                              : op.op === "cast"
+                              ? `cast ${op.field}: ${op.from} → ${op.to}`
+                              : `${op.op} ${op.field}`}{" "}
+                            <span className="text-gray-500">
+                              ({op.affected} affected
+                              {op.failed > 0 && `, ${op.failed} failed`})
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )
+                )
+              )}
+              {migrationPreview.warnings.map((warning, idx) => (
+                <p key={idx} className="text-amber-700">
+                  ⚠️ {warning}
+                </p>
+              ))}
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-3 pt-4">
             <button
               onClick={handleSchemaUpdate}
-              disabled={isUpdating}
+              disabled={isUpdating || validation?.valid === false}
               className="flex-1 flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all transform hover:-translate-y-0.5 disabled:opacity-50"
             >
               {isUpdating ? (
@@ -248,6 +537,10 @@ const SchemaManager = ({
               <ul className="text-sm text-blue-800 space-y-1">
                 <li>✅ Upload JSON file or paste schema directly</li>
                 <li>✅ Frontend forms & tables regenerate automatically</li>
+                <li>
+                  ✅ Fields & columns come from backend.schema; frontend only
+                  overrides them
+                </li>
                 <li>✅ Backend routes & models update in real-time</li>
                 <li>✅ All entity relationships maintained automatically</li>
               </ul>
@@ -264,16 +557,13 @@ const SchemaManager = ({
       "route": "/api/entity",
       "backend": {
         "schema": {
-          "field": { "type": "String", "required": true }
+          "field": { "type": "String", "required": true, "label": "Field" },
+          "notes": { "type": "String" }
         }
       },
       "frontend": {
-        "fields": [
-          { "name": "field", "label": "Field", "type": "text" }
-        ],
-        "columns": [
-          { "header": "Field", "accessor": "field" }
-        ]
+        "fields": [{ "name": "notes", "type": "textarea" }],
+        "columns": [{ "accessor": "notes", "hidden": true }]
       }
     }
   }
@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { X, Tag } from "lucide-react";
+
+// Free-form list of values for Array fields: Enter or a comma adds the
+// typed tag, Backspace in the empty input removes the last one
+const TagInput = ({ value, onChange, placeholder, disabled = false }) => {
+  const [text, setText] = useState("");
+  const tags = Array.isArray(value) ? value : [];
+
+  const add = (raw) => {
+    const next = raw
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter((tag) => tag && !tags.includes(tag));
+    if (next.length > 0) onChange([...tags, ...new Set(next)]);
+    setText("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      add(text);
+    } else if (e.key === "Backspace" && text === "" && tags.length > 0) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="w-full min-h-[50px] px-3 py-2 border border-gray-300 rounded-xl bg-white flex flex-wrap items-center gap-2 focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500/30">
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center gap-1 px-2 py-1 rounded-lg bg-indigo-50 text-indigo-700 text-sm"
+        >
+          <Tag size={12} />
+          {tag}
+          {!disabled && (
+            <button
+              type="button"
+              onClick={() => onChange(tags.filter((t) => t !== tag))}
+              className="text-indigo-400 hover:text-indigo-700"
+            >
+              <X size={12} />
+            </button>
+          )}
+        </span>
+      ))}
+      {!disabled && (
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => text && add(text)}
+          placeholder={tags.length === 0 ? placeholder || "Add tags..." : ""}
+          className="flex-1 min-w-[120px] py-1 bg-transparent focus:outline-none text-gray-900 placeholder-gray-400"
+        />
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
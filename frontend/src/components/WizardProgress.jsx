@@ -0,0 +1,51 @@
+import React from "react";
+import { Check } from "lucide-react";
+
+// Numbered steps of a wizard form; finished steps can be revisited
+const WizardProgress = ({ titles, current, onSelect }) => (
+  <ol className="flex items-center gap-2">
+    {titles.map((title, index) => {
+      const done = index < current;
+      const active = index === current;
+
+      return (
+        <li key={index} className="flex min-w-0 flex-1 items-center gap-2">
+          <button
+            type="button"
+            disabled={index > current}
+            onClick={() => onSelect(index)}
+            className="flex min-w-0 items-center gap-2 disabled:cursor-default"
+          >
+            <span
+              className={`flex h-7 w-7 shrink-0 items-center justify-center rounded-full text-xs font-semibold transition ${
+                done
+                  ? "bg-indigo-600 text-white"
+                  : active
+                  ? "border-2 border-indigo-600 text-indigo-600"
+                  : "border-2 border-gray-300 text-gray-400"
+              }`}
+            >
+              {done ? <Check size={14} /> : index + 1}
+            </span>
+            <span
+              className={`truncate text-xs font-medium ${
+                active ? "text-gray-900" : "text-gray-500"
+              }`}
+            >
+              {title}
+            </span>
+          </button>
+          {index < titles.length - 1 && (
+            <span
+              className={`h-0.5 flex-1 rounded ${
+                done ? "bg-indigo-600" : "bg-gray-200"
+              }`}
+            />
+          )}
+        </li>
+      );
+    })}
+  </ol>
+);
+
+export default WizardProgress;
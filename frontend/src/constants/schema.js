@@ -16,19 +16,11 @@ export const DEFAULT_SCHEMA = {
         },
         options: { timestamps: true, strict: false },
       },
+      // Fields and columns are derived from backend.schema; the id is
+      // assigned elsewhere, so it is shown in the table only
       frontend: {
         apiPath: "/users",
-        fields: [
-          { name: "name", label: "Name", required: true, type: "text" },
-          { name: "email", label: "Email", required: true, type: "email" },
-          { name: "phone", label: "Phone", required: true, type: "text" },
-        ],
-        columns: [
-          { header: "ID", accessor: "id" },
-          { header: "Name", accessor: "name" },
-          { header: "Email", accessor: "email" },
-          { header: "Phone", accessor: "phone" },
-        ],
+        fields: [{ name: "id", hidden: true }],
       },
     },
   },
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { authService } from "./auth";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_URL ||
@@ -21,6 +22,10 @@ api.interceptors.request.use(
     console.log(
       `📤 API Request: ${config.method?.toUpperCase()} ${config.url}`
     );
+    const token = authService.getToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -44,6 +49,16 @@ api.interceptors.response.use(
       data: error.response?.data,
     });
 
+    // Expired or revoked token: end the session so the login screen shows
+    if (
+      error.response?.status === 401 &&
+      error.config?.url !== "/api/auth/login"
+    ) {
+      authService.clearSession(
+        error.response.data?.error || "Please sign in again"
+      );
+    }
+
     if (error.response) {
       return Promise.reject({
         status: error.response.status,
@@ -70,24 +85,142 @@ api.interceptors.response.use(
 // API Service Functions
 export const apiService = {
   // Schema operations
-  getSchema: async () => {
+  // raw: the schema as stored, without derived form fields and columns
+  getSchema: async ({ raw = false } = {}) => {
     try {
-      return await api.get("/api/schema");
+      return await api.get("/api/schema", {
+        params: raw ? { raw: true } : undefined,
+      });
     } catch (error) {
       console.error("Failed to get schema:", error);
       throw error;
     }
   },
 
-  updateSchema: async (schema) => {
+  // meta: { message, migrate }; the signed-in user is recorded as author
+  updateSchema: async (schema, meta = {}) => {
     try {
-      return await api.post("/api/schema/update", schema);
+      return await api.post("/api/schema/update", schema, { params: meta });
     } catch (error) {
       console.error("Failed to update schema:", error);
       throw error;
     }
   },
 
+  // Returns { valid, errors, warnings } without applying the schema
+  validateSchema: async (schema) => {
+    try {
+      return await api.post("/api/schema/validate", schema);
+    } catch (error) {
+      console.error("Failed to validate schema:", error);
+      throw error;
+    }
+  },
+
+  // Schema versions
+  getSchemaVersions: async () => {
+    try {
+      return await api.get("/api/schema/versions");
+    } catch (error) {
+      console.error("Failed to get schema versions:", error);
+      throw error;
+    }
+  },
+
+  getSchemaVersion: async (version) => {
+    try {
+      return await api.get(`/api/schema/versions/${version}`);
+    } catch (error) {
+      console.error(`Failed to get schema version ${version}:`, error);
+      throw error;
+    }
+  },
+
+  getSchemaDiff: async (from, to) => {
+    try {
+      return await api.get("/api/schema/diff", { params: { from, to } });
+    } catch (error) {
+      console.error(`Failed to diff schema ${from}..${to}:`, error);
+      throw error;
+    }
+  },
+
+  // meta: { message, migrate }, as for updateSchema
+  rollbackSchema: async (version, meta = {}) => {
+    try {
+      return await api.post(
+        `/api/schema/versions/${version}/rollback`,
+        undefined,
+        { params: meta }
+      );
+    } catch (error) {
+      console.error(`Failed to roll back schema to ${version}:`, error);
+      throw error;
+    }
+  },
+
+  // Authentication
+  login: async (username, password) => {
+    try {
+      const response = await api.post("/api/auth/login", {
+        username,
+        password,
+      });
+      authService.setSession(response.data);
+      return response;
+    } catch (error) {
+      console.error("Login failed:", error);
+      throw error;
+    }
+  },
+
+  // Creates the first (admin) account and signs in with it
+  setupAdmin: async (username, password) => {
+    try {
+      const response = await api.post("/api/auth/register", {
+        username,
+        password,
+      });
+      authService.setSession(response.data);
+      return response;
+    } catch (error) {
+      console.error("Account setup failed:", error);
+      throw error;
+    }
+  },
+
+  // Admins only: { username, password, role }
+  createUser: async (user) => {
+    try {
+      return await api.post("/api/auth/register", user);
+    } catch (error) {
+      console.error("Failed to create user:", error);
+      throw error;
+    }
+  },
+
+  getAuthStatus: async () => {
+    try {
+      return await api.get("/api/auth/status");
+    } catch (error) {
+      console.error("Failed to get auth status:", error);
+      throw error;
+    }
+  },
+
+  getCurrentUser: async () => {
+    try {
+      return await api.get("/api/auth/me");
+    } catch (error) {
+      console.error("Failed to get current user:", error);
+      throw error;
+    }
+  },
+
+  logout: () => {
+    authService.clearSession();
+  },
+
   // Health check
   checkHealth: async () => {
     try {
@@ -120,9 +253,20 @@ export const apiService = {
     }
   },
 
-  getEntity: async (entity, id) => {
+  // body: { filter: { field: { op: value } }, page, limit, search }
+  queryEntities: async (entity, body = {}) => {
     try {
-      return await api.get(`/api/${entity}/${id}`);
+      return await api.post(`/api/${entity}/query`, body);
+    } catch (error) {
+      console.error(`Failed to query ${entity}:`, error);
+      throw error;
+    }
+  },
+
+  // params: { fields, expand }
+  getEntity: async (entity, id, params = {}) => {
+    try {
+      return await api.get(`/api/${entity}/${id}`, { params });
     } catch (error) {
       console.error(`Failed to get ${entity}/${id}:`, error);
       throw error;
@@ -159,6 +303,20 @@ export const apiService = {
     }
   },
 
+  // Stores a file for a File field; records then refer to the returned id
+  uploadFile: async (entity, field, file) => {
+    try {
+      const body = new FormData();
+      body.append("file", file);
+      return await api.post(`/api/${entity}/files/${field}`, body, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+    } catch (error) {
+      console.error(`Failed to upload ${entity}.${field}:`, error);
+      throw error;
+    }
+  },
+
   // Bulk operations
   bulkCreate: async (entity, data) => {
     try {
@@ -172,11 +330,23 @@ export const apiService = {
     }
   },
 
-  bulkDelete: async (entity, filter) => {
+  bulkUpdate: async (entity, updates) => {
+    try {
+      return await api.post(`/api/${entity}/bulk`, {
+        operation: "updateMany",
+        data: updates,
+      });
+    } catch (error) {
+      console.error(`Failed bulk update for ${entity}:`, error);
+      throw error;
+    }
+  },
+
+  bulkDelete: async (entity, ids) => {
     try {
       return await api.post(`/api/${entity}/bulk`, {
         operation: "deleteMany",
-        data: filter,
+        data: ids,
       });
     } catch (error) {
       console.error(`Failed bulk delete for ${entity}:`, error);
@@ -185,4 +355,8 @@ export const apiService = {
   },
 };
 
+// Files are public by id, so they can be used as <img> sources and links
+export const fileUrl = (id) =>
+  `${API_BASE_URL}/api/files/${encodeURIComponent(id)}`;
+
 export default api;
@@ -0,0 +1,40 @@
+// Session persistence for the signed-in user. The token is attached to
+// every request by the axios instance in ./api.js.
+
+const TOKEN_KEY = "authToken";
+const USER_KEY = "authUser";
+
+const listeners = new Set();
+
+export const authService = {
+  getToken: () => localStorage.getItem(TOKEN_KEY),
+
+  getUser: () => {
+    try {
+      return JSON.parse(localStorage.getItem(USER_KEY));
+    } catch {
+      return null;
+    }
+  },
+
+  setSession: ({ token, user }) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  },
+
+  // reason: shown to the user, e.g. "Session expired"
+  clearSession: (reason) => {
+    const hadSession = localStorage.getItem(TOKEN_KEY) !== null;
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    if (hadSession) listeners.forEach((listener) => listener(reason));
+  },
+
+  // Called whenever the session ends; returns an unsubscribe function
+  onSessionEnd: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
+
+export default authService;
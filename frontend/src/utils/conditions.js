@@ -0,0 +1,67 @@
+// Mirrors backend/utils/conditions.js so the form can show, hide and
+// require fields live with the same showIf / requiredIf rules the server
+// enforces.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => String(a) === String(b);
+
+const compare = (a, b) => {
+  const x = Number(a);
+  const y = Number(b);
+  if (a !== "" && b !== "" && !Number.isNaN(x) && !Number.isNaN(y)) {
+    return x - y;
+  }
+  const dateA = Date.parse(a);
+  const dateB = Date.parse(b);
+  if (!Number.isNaN(dateA) && !Number.isNaN(dateB)) return dateA - dateB;
+  return String(a).localeCompare(String(b));
+};
+
+const testOperator = (op, value, expected) => {
+  if (op === "exists") return isEmpty(value) !== Boolean(expected);
+  if (isEmpty(value)) return op === "ne";
+
+  const values = Array.isArray(value) ? value : [value];
+  switch (op) {
+    case "eq":
+      return values.some((v) => sameValue(v, expected));
+    case "ne":
+      return !values.some((v) => sameValue(v, expected));
+    case "in":
+      return values.some((v) => expected.some((e) => sameValue(v, e)));
+    case "gt":
+      return values.some((v) => compare(v, expected) > 0);
+    case "lt":
+      return values.some((v) => compare(v, expected) < 0);
+    default:
+      return false;
+  }
+};
+
+export const matchesRule = (rule, record = {}) => {
+  if (Array.isArray(rule)) return rule.some((r) => matchesRule(r, record));
+  if (!isPlainObject(rule)) return true;
+
+  return Object.entries(rule).every(([field, condition]) => {
+    const ops = isPlainObject(condition) ? condition : { eq: condition };
+    return Object.entries(ops).every(([op, expected]) =>
+      testOperator(op, record[field], expected)
+    );
+  });
+};
+
+export const isFieldVisible = (field, record) =>
+  field.showIf === undefined || matchesRule(field.showIf, record);
+
+export const isFieldRequired = (field, record) =>
+  isFieldVisible(field, record) &&
+  (Boolean(field.required) ||
+    (field.requiredIf !== undefined && matchesRule(field.requiredIf, record)));
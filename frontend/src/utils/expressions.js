@@ -0,0 +1,448 @@
+// Mirrors backend/utils/expressions.js so the form can preview computed
+// fields while they are edited. The server calculates the stored values.
+
+const MAX_LENGTH = 1000;
+
+// Fields every record has regardless of its schema
+const SYSTEM_FIELDS = ["_id", "createdAt", "updatedAt"];
+
+const TOKEN =
+  /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*)|(&&|\|\||[=!<>]=|[-+*/%<>!?:(),]))/y;
+
+const LITERALS = { true: true, false: false, null: null };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+const toNumber = (value) => {
+  if (isMissing(value) || Array.isArray(value)) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const toDate = (value) => {
+  if (isMissing(value) || typeof value === "boolean") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toText = (value) => (isMissing(value) ? null : String(value));
+
+const numbersOf = (values) =>
+  values
+    .flat(Infinity)
+    .map(toNumber)
+    .filter((num) => num !== null);
+
+const numeric = (fn) => (value) => {
+  const num = toNumber(value);
+  return num === null ? null : fn(num);
+};
+
+const textual = (fn) => (value) => {
+  const text = toText(value);
+  return text === null ? null : fn(text);
+};
+
+const FUNCTIONS = {
+  round: (value, digits = 0) => {
+    const num = toNumber(value);
+    if (num === null) return null;
+    const factor = 10 ** (toNumber(digits) ?? 0);
+    return Math.round(num * factor) / factor;
+  },
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  abs: numeric(Math.abs),
+  min: (...values) => {
+    const nums = numbersOf(values);
+    return nums.length > 0 ? Math.min(...nums) : null;
+  },
+  max: (...values) => {
+    const nums = numbersOf(values);
+    return nums.length > 0 ? Math.max(...nums) : null;
+  },
+  sum: (...values) => numbersOf(values).reduce((total, num) => total + num, 0),
+  concat: (...values) =>
+    values
+      .flat(Infinity)
+      .filter((value) => value !== undefined && value !== null)
+      .join(""),
+  upper: textual((text) => text.toUpperCase()),
+  lower: textual((text) => text.toLowerCase()),
+  trim: textual((text) => text.trim()),
+  length: (value) =>
+    isMissing(value)
+      ? 0
+      : Array.isArray(value)
+      ? value.length
+      : String(value).length,
+  coalesce: (...values) => values.find((value) => !isMissing(value)) ?? null,
+  now: () => new Date().toISOString(),
+  // Whole years from a date to another (default: now), e.g. an age
+  years: (from, to) => {
+    const start = toDate(from);
+    const end = to === undefined ? new Date() : toDate(to);
+    if (!start || !end) return null;
+    let years = end.getUTCFullYear() - start.getUTCFullYear();
+    const beforeAnniversary =
+      end.getUTCMonth() < start.getUTCMonth() ||
+      (end.getUTCMonth() === start.getUTCMonth() &&
+        end.getUTCDate() < start.getUTCDate());
+    if (beforeAnniversary) years -= 1;
+    return years;
+  },
+  // Whole days from a date to another (default: now)
+  days: (from, to) => {
+    const start = toDate(from);
+    const end = to === undefined ? new Date() : toDate(to);
+    if (!start || !end) return null;
+    return Math.floor((end.getTime() - start.getTime()) / DAY);
+  },
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      const char = source.slice(start).trim()[0];
+      throw new Error(`Unexpected character "${char}"`);
+    }
+
+    const [, number, string, name, op] = match;
+    if (number !== undefined) tokens.push({ type: "number", value: number });
+    else if (string !== undefined)
+      tokens.push({ type: "string", value: string });
+    else if (name !== undefined) tokens.push({ type: "name", value: name });
+    else tokens.push({ type: "op", value: op });
+  }
+
+  return tokens;
+};
+
+// Recursive descent parser; one function per precedence level
+const parse = (tokens) => {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (...ops) => peek()?.type === "op" && ops.includes(peek().value);
+  const next = () => tokens[position++];
+  const expect = (op) => {
+    if (!isOp(op)) {
+      throw new Error(
+        peek()
+          ? `Expected "${op}" before "${peek().value}"`
+          : `Expected "${op}"`
+      );
+    }
+    next();
+  };
+
+  const binary = (type, ops, operand) => () => {
+    let left = operand();
+    while (isOp(...ops)) {
+      const op = next().value;
+      left = { type, op, left, right: operand() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = next();
+    if (!token) throw new Error("Unexpected end of expression");
+
+    if (token.type === "number") {
+      return { type: "literal", value: Number(token.value) };
+    }
+    if (token.type === "string") {
+      return {
+        type: "literal",
+        value: token.value.slice(1, -1).replace(/\\(.)/g, "$1"),
+      };
+    }
+    if (token.type === "name") {
+      if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+        return { type: "literal", value: LITERALS[token.value] };
+      }
+      if (isOp("(")) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        next();
+        const args = [];
+        while (!isOp(")")) {
+          if (args.length > 0) expect(",");
+          args.push(expression());
+        }
+        next();
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "field", path: token.value.split(".") };
+    }
+    if (token.value === "(") {
+      const inner = expression();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const unary = () =>
+    isOp("-", "!")
+      ? { type: "unary", op: next().value, operand: unary() }
+      : primary();
+
+  const multiplicative = binary("binary", ["*", "/", "%"], unary);
+  const additive = binary("binary", ["+", "-"], multiplicative);
+  const comparison = binary("binary", ["<", "<=", ">", ">="], additive);
+  const equality = binary("binary", ["==", "!="], comparison);
+  const and = binary("logical", ["&&"], equality);
+  const or = binary("logical", ["||"], and);
+
+  const expression = () => {
+    const test = or();
+    if (!isOp("?")) return test;
+    next();
+    const consequent = expression();
+    expect(":");
+    return { type: "conditional", test, consequent, alternate: expression() };
+  };
+
+  const tree = expression();
+  if (peek()) throw new Error(`Unexpected "${peek().value}"`);
+  return tree;
+};
+
+// Top-level fields an expression reads
+const fieldsOf = (node) => {
+  switch (node.type) {
+    case "field":
+      return [node.path[0]];
+    case "unary":
+      return fieldsOf(node.operand);
+    case "binary":
+    case "logical":
+      return [...fieldsOf(node.left), ...fieldsOf(node.right)];
+    case "conditional":
+      return [node.test, node.consequent, node.alternate].flatMap(fieldsOf);
+    case "call":
+      return node.args.flatMap(fieldsOf);
+    default:
+      return [];
+  }
+};
+
+export const compileExpression = (source) => {
+  if (typeof source !== "string" || !source.trim()) {
+    return { error: "Expression must be a non-empty string" };
+  }
+  if (source.length > MAX_LENGTH) {
+    return { error: `Expression is longer than ${MAX_LENGTH} characters` };
+  }
+
+  try {
+    const tree = parse(tokenize(source));
+    return { tree, fields: [...new Set(fieldsOf(tree))] };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+// Own properties only, so prototype members can never be reached
+const readPath = (value, path) =>
+  path.reduce((current, key) => {
+    if (Array.isArray(current))
+      return current.map((item) => readPath(item, [key]));
+    if (
+      current !== null &&
+      typeof current === "object" &&
+      Object.prototype.hasOwnProperty.call(current, key)
+    ) {
+      return current[key];
+    }
+    return null;
+  }, value);
+
+const isTruthy = (value) =>
+  !isMissing(value) &&
+  value !== false &&
+  value !== 0 &&
+  !(Array.isArray(value) && value.length === 0);
+
+const looselyEqual = (a, b) =>
+  isMissing(a) || isMissing(b)
+    ? isMissing(a) && isMissing(b)
+    : a === b || String(a) === String(b);
+
+const compareValues = (a, b) => {
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x !== null && y !== null) return x - y;
+  if (isMissing(a) || isMissing(b)) return null;
+  return String(a).localeCompare(String(b));
+};
+
+const arithmetic = (op, a, b) => {
+  if (op === "+" && (typeof a === "string" || typeof b === "string")) {
+    return `${toText(a) ?? ""}${toText(b) ?? ""}`;
+  }
+
+  const x = toNumber(a);
+  const y = toNumber(b);
+  if (x === null || y === null) return null;
+
+  const result = { "+": x + y, "-": x - y, "*": x * y, "/": x / y, "%": x % y }[
+    op
+  ];
+  return Number.isFinite(result) ? result : null;
+};
+
+const evaluate = (node, record) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "field":
+      return readPath(record, node.path) ?? null;
+    case "unary": {
+      const value = evaluate(node.operand, record);
+      if (node.op === "!") return !isTruthy(value);
+      const num = toNumber(value);
+      return num === null ? null : -num;
+    }
+    case "logical": {
+      const left = isTruthy(evaluate(node.left, record));
+      if (node.op === "&&")
+        return left && isTruthy(evaluate(node.right, record));
+      return left || isTruthy(evaluate(node.right, record));
+    }
+    case "conditional":
+      return isTruthy(evaluate(node.test, record))
+        ? evaluate(node.consequent, record)
+        : evaluate(node.alternate, record);
+    case "call":
+      return FUNCTIONS[node.name](
+        ...node.args.map((arg) => evaluate(arg, record))
+      );
+    case "binary": {
+      const a = evaluate(node.left, record);
+      const b = evaluate(node.right, record);
+      switch (node.op) {
+        case "==":
+          return looselyEqual(a, b);
+        case "!=":
+          return !looselyEqual(a, b);
+        case "<":
+        case "<=":
+        case ">":
+        case ">=": {
+          const order = compareValues(a, b);
+          if (order === null) return false;
+          return {
+            "<": order < 0,
+            "<=": order <= 0,
+            ">": order > 0,
+            ">=": order >= 0,
+          }[node.op];
+        }
+        default:
+          return arithmetic(node.op, a, b);
+      }
+    }
+    default:
+      return null;
+  }
+};
+
+export const computedFields = (schemaDefinition = {}) => {
+  const errors = [];
+  const compiled = new Map();
+
+  for (const [field, fieldConfig] of Object.entries(schemaDefinition)) {
+    if (fieldConfig?.computed === undefined) continue;
+
+    const result = compileExpression(fieldConfig.computed);
+    if (result.error) {
+      errors.push(
+        `Invalid expression for computed field "${field}": ${result.error}`
+      );
+      continue;
+    }
+    for (const name of result.fields) {
+      if (
+        !Object.prototype.hasOwnProperty.call(schemaDefinition, name) &&
+        !SYSTEM_FIELDS.includes(name)
+      ) {
+        errors.push(`Computed field "${field}" reads unknown field "${name}"`);
+      }
+    }
+    compiled.set(field, { field, ...result });
+  }
+
+  // Depth-first topological sort; a field met again while visiting is a cycle
+  const ordered = [];
+  const state = new Map();
+  const visit = (field, trail) => {
+    if (state.get(field) === "done") return;
+    if (state.get(field) === "visiting") {
+      errors.push(
+        `Computed fields depend on each other: ${[...trail, field].join(
+          " -> "
+        )}`
+      );
+      return;
+    }
+    state.set(field, "visiting");
+    for (const name of compiled.get(field).fields) {
+      if (compiled.has(name)) visit(name, [...trail, field]);
+    }
+    state.set(field, "done");
+    ordered.push(compiled.get(field));
+  };
+  [...compiled.keys()].forEach((field) => visit(field, []));
+
+  return { fields: ordered, errors };
+};
+
+// Form inputs hold strings; cast them the way the server will before
+// evaluating, so "2" * "3" and "2" + "3" agree with the stored result
+const castInput = (fieldConfig, value) => {
+  if (isMissing(value)) return value;
+  switch (fieldConfig?.type) {
+    case "Number":
+      return toNumber(value) ?? value;
+    case "Boolean":
+      return value === true || value === "true";
+    default:
+      return value;
+  }
+};
+
+// { field: value } of every computed field for the current form data
+export const previewComputed = (schema = {}, record = {}) => {
+  const { fields } = computedFields(schema);
+  if (fields.length === 0) return {};
+
+  const values = {};
+  const input = Object.fromEntries(
+    Object.entries(record).map(([field, value]) => [
+      field,
+      castInput(schema[field], value),
+    ])
+  );
+  for (const { field, tree } of fields) {
+    try {
+      values[field] = evaluate(tree, { ...input, ...values });
+    } catch {
+      values[field] = null;
+    }
+  }
+  return values;
+};
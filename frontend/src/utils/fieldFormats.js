@@ -0,0 +1,181 @@
+// Helpers for the rich form types. The server coerces the same values
+// (backend/utils/fieldFormats.js); these only shape input and display.
+
+// ---------- Date-times ----------
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Wall-clock parts of an instant, in a zone or the browser's own
+const wallClock = (date, timeZone) => {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+    };
+  }
+  return Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+};
+
+const NAIVE_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+// Stored value -> "YYYY-MM-DDTHH:mm" for a datetime-local input, shown in
+// the field's timezone or the browser's
+export const toDateTimeInput = (value, timeZone) => {
+  if (!value) return "";
+  if (NAIVE_DATE_TIME.test(value)) return String(value).substring(0, 16);
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const p = wallClock(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(
+    p.minute
+  )}`;
+};
+
+// Input value -> what is sent: with a field timezone the server reads the
+// wall-clock time in that zone, otherwise it is converted from the
+// browser's zone here
+export const fromDateTimeInput = (text, timeZone) => {
+  if (!text) return "";
+  if (timeZone) return text;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+};
+
+export const formatDateTime = (value, timeZone) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString(undefined, {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone,
+    timeZoneName: timeZone ? "short" : undefined,
+  });
+};
+
+// "HH:mm" -> the locale's clock, e.g. "2:30 PM"
+export const formatTime = (value) => {
+  const date = new Date(`1970-01-01T${value}`);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleTimeString(undefined, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+// ---------- Currency ----------
+
+export const formatCurrency = (value, currency, locale) => {
+  const amount = Number(value);
+  if (value === "" || value === null || Number.isNaN(amount)) return "";
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    }).format(amount);
+  } catch {
+    return amount.toLocaleString(locale);
+  }
+};
+
+// Reads an amount typed in the locale's notation ("1.234,50" in de-DE)
+export const parseCurrency = (text, locale) => {
+  const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+  const decimal = parts.find((p) => p.type === "decimal")?.value || ".";
+  const cleaned = String(text)
+    .split(decimal)
+    .map((part) => part.replace(/[^\d-]/g, ""))
+    .join(".");
+  if (cleaned === "" || cleaned === "-" || cleaned === ".") return "";
+  const amount = Number(cleaned);
+  return Number.isNaN(amount) ? "" : amount;
+};
+
+// ---------- Rich text ----------
+
+// Same allow-list as the server; applied before markup is put in the page
+const ALLOWED_TAGS = [
+  "P",
+  "BR",
+  "STRONG",
+  "B",
+  "EM",
+  "I",
+  "U",
+  "S",
+  "UL",
+  "OL",
+  "LI",
+  "BLOCKQUOTE",
+  "H2",
+  "H3",
+  "A",
+  "CODE",
+  "PRE",
+];
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const cleanNode = (node) => {
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === Node.COMMENT_NODE) {
+      child.remove();
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      cleanNode(child);
+      if (!ALLOWED_TAGS.includes(child.tagName)) {
+        // Scripts and styles go entirely, other tags keep their text
+        if (["SCRIPT", "STYLE", "IFRAME", "OBJECT"].includes(child.tagName)) {
+          child.remove();
+        } else {
+          child.replaceWith(...child.childNodes);
+        }
+        continue;
+      }
+      for (const attr of Array.from(child.attributes)) {
+        const keep =
+          child.tagName === "A" &&
+          (attr.name === "target" ||
+            (attr.name === "href" && SAFE_URL.test(attr.value.trim())));
+        if (!keep) child.removeAttribute(attr.name);
+      }
+      if (child.tagName === "A")
+        child.setAttribute("rel", "noopener noreferrer");
+    }
+  }
+};
+
+export const sanitizeHtml = (html) => {
+  const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+  cleanNode(doc.body);
+  return doc.body.innerHTML;
+};
+
+// Plain text of rich text, for tables and summaries; blocks and line
+// breaks become spaces
+export const htmlToText = (html) =>
+  new DOMParser()
+    .parseFromString(
+      String(html || "").replace(
+        /<br\s*\/?>|<\/(p|li|h2|h3|blockquote|pre)>/gi,
+        "$& "
+      ),
+      "text/html"
+    )
+    .body.textContent.replace(/\s+/g, " ")
+    .trim();
@@ -0,0 +1,29 @@
+// Mirrors backend/utils/files.js: a File field holds the metadata of an
+// uploaded file ({ id, name, type, size }), a list of them with `many`.
+
+export const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+
+export const fileList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter(
+    (file) => file && typeof file === "object" && file.id
+  );
+
+export const isImageFile = (file) => String(file?.type).startsWith("image/");
+
+// Same rule as the server: "image/*" matches any image
+export const matchesAccept = (type, accept) => {
+  if (!Array.isArray(accept) || accept.length === 0) return true;
+  const [group] = String(type).split("/");
+  return accept.some(
+    (pattern) =>
+      pattern === type ||
+      (pattern.endsWith("/*") && pattern.slice(0, -2) === group)
+  );
+};
+
+export const formatFileSize = (bytes) => {
+  if (!Number.isFinite(bytes)) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
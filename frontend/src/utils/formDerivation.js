@@ -0,0 +1,165 @@
+// Mirrors backend/utils/formDerivation.js: form fields and table columns
+// are derived from backend.schema, and frontend.fields / frontend.columns
+// only override them (matched by `name` / `accessor`, `hidden: true`
+// drops one). The schema is edited in this raw form; screens render the
+// resolved one.
+
+const NESTED_FORM_TYPES = ["group", "repeater"];
+const NON_COLUMN_TYPES = [...NESTED_FORM_TYPES, "textarea", "richtext"];
+const LONG_TEXT_LENGTH = 255;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// "dueDate" and "due_date" become "Due Date"
+const humanize = (name) =>
+  String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/\b\w/g, (c) => c.toUpperCase())
+    .replace(/\b(Id|Url)\b/g, (word) => word.toUpperCase());
+
+const labelOf = (name, fieldConfig) =>
+  typeof fieldConfig.label === "string" && fieldConfig.label
+    ? fieldConfig.label
+    : humanize(name);
+
+const stringFormType = (name, fieldConfig) => {
+  if (fieldConfig.format === "html") return "richtext";
+  if (fieldConfig.format === "color") return "color";
+  if (fieldConfig.format === "time") return "time";
+  if (/email/i.test(name)) return "email";
+  if (/(^|_)(url|website)$|[a-z](Url|Website)$/.test(name)) return "url";
+  if (/phone|mobile/i.test(name)) return "tel";
+  if (fieldConfig.maxLength > LONG_TEXT_LENGTH) return "textarea";
+  return "text";
+};
+
+// Form type editing a backend field; null when none does
+const formTypeOf = (name, fieldConfig) => {
+  const hasEnum =
+    Array.isArray(fieldConfig.enum) && fieldConfig.enum.length > 0;
+
+  switch (fieldConfig.type || "String") {
+    case "String":
+      return hasEnum ? "dropdown" : stringFormType(name, fieldConfig);
+    case "Number":
+      if (fieldConfig.currency) return "currency";
+      return hasEnum ? "dropdown" : "number";
+    case "Boolean":
+      return "checkbox";
+    case "Date":
+      return fieldConfig.timezone ? "datetime" : "date";
+    case "Ref":
+      return "lookup";
+    case "File":
+      return Array.isArray(fieldConfig.accept) &&
+        fieldConfig.accept.length > 0 &&
+        fieldConfig.accept.every((type) => /^image\//.test(type))
+        ? "image"
+        : "file";
+    case "Object":
+      return isPlainObject(fieldConfig.schema) ? "group" : null;
+    case "Array":
+      if (isPlainObject(fieldConfig.schema)) return "repeater";
+      if (hasEnum) return "multiselect";
+      return [undefined, "String", "Number"].includes(fieldConfig.of)
+        ? "tags"
+        : null;
+    default:
+      return null;
+  }
+};
+
+const deriveFields = (schema) =>
+  Object.entries(isPlainObject(schema) ? schema : {})
+    .filter(([, fieldConfig]) => isPlainObject(fieldConfig))
+    .map(([name, fieldConfig]) => {
+      const type = formTypeOf(name, fieldConfig);
+      if (!type) return null;
+
+      const field = { name, label: labelOf(name, fieldConfig), type };
+      if (fieldConfig.required) field.required = true;
+      if (["dropdown", "multiselect"].includes(type)) {
+        field.options = [...fieldConfig.enum];
+      }
+      for (const key of ["min", "max", "minLength", "maxLength"]) {
+        if (typeof fieldConfig[key] === "number") field[key] = fieldConfig[key];
+      }
+      if (NESTED_FORM_TYPES.includes(type)) {
+        field.fields = deriveFields(fieldConfig.schema);
+      }
+      return field;
+    })
+    .filter(Boolean);
+
+const deriveColumns = (schema) =>
+  deriveFields(schema)
+    .filter((field) => !NON_COLUMN_TYPES.includes(field.type))
+    .map((field) =>
+      field.type === "date"
+        ? { header: field.label, accessor: field.name, type: "date" }
+        : { header: field.label, accessor: field.name }
+    );
+
+const mergeByKey = (derived, overrides, key, mergeOne) => {
+  if (!Array.isArray(overrides)) return derived;
+
+  const byKey = new Map(
+    overrides
+      .filter((item) => isPlainObject(item) && item[key] !== undefined)
+      .map((item) => [item[key], item])
+  );
+  const derivedKeys = new Set(derived.map((item) => item[key]));
+
+  return [
+    ...derived.map((item) =>
+      byKey.has(item[key]) ? mergeOne(item, byKey.get(item[key])) : item
+    ),
+    ...overrides.filter(
+      (item) => !isPlainObject(item) || !derivedKeys.has(item[key])
+    ),
+  ].filter((item) => !item?.hidden);
+};
+
+const mergeFields = (derived, overrides) =>
+  mergeByKey(derived, overrides, "name", (field, override) => {
+    const merged = { ...field, ...override };
+    // Options come from the source instead of the enum
+    if (
+      override.optionsSource !== undefined &&
+      override.options === undefined
+    ) {
+      delete merged.options;
+    }
+    if (field.fields && NESTED_FORM_TYPES.includes(merged.type)) {
+      merged.fields = mergeFields(field.fields, override.fields);
+    }
+    return merged;
+  });
+
+const mergeColumns = (derived, overrides) =>
+  mergeByKey(derived, overrides, "accessor", (column, override) => ({
+    ...column,
+    ...override,
+  }));
+
+// The frontend section with its fields and columns resolved
+export const resolveFrontend = (config) => {
+  const schema = config?.backend?.schema;
+  const frontend = isPlainObject(config?.frontend) ? config.frontend : {};
+
+  return {
+    ...frontend,
+    fields: mergeFields(deriveFields(schema), frontend.fields),
+    columns: mergeColumns(deriveColumns(schema), frontend.columns),
+  };
+};
+
+// An entity config as screens use it
+export const resolveEntity = (config) =>
+  isPlainObject(config)
+    ? { ...config, frontend: resolveFrontend(config) }
+    : null;
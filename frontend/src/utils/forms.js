@@ -0,0 +1,23 @@
+// Form types backed by a nested schema: a "group" edits an Object field,
+// a "repeater" an Array of objects. Both list their own `fields`.
+export const NESTED_TYPES = ["group", "repeater"];
+
+// Steps of a wizard form (frontend.steps), with each step's field configs.
+// Fields no step lists are shown on the last step. null without steps.
+export const formSteps = (config) => {
+  const steps = config?.frontend?.steps;
+  const fields = config?.frontend?.fields || [];
+  if (!Array.isArray(steps) || steps.length === 0) return null;
+
+  const listed = new Set(steps.flatMap((step) => step.fields || []));
+  const resolved = steps.map((step) => ({
+    ...step,
+    fields: (step.fields || [])
+      .map((name) => fields.find((field) => field.name === name))
+      .filter(Boolean),
+  }));
+  resolved[resolved.length - 1].fields.push(
+    ...fields.filter((field) => !listed.has(field.name))
+  );
+  return resolved;
+};
@@ -0,0 +1,151 @@
+import { useEffect, useState } from "react";
+import { apiService } from "../services/api";
+
+// Mirrors backend/utils/optionSources.js: a field's `optionsSource` loads
+// its options from another entity (searched as the user types) or from a
+// URL returning a JSON array. Results are cached for `ttl` seconds.
+
+const DEFAULT_TTL = 300;
+
+// key -> { expires, promise }
+const cache = new Map();
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const readPath = (data, path) =>
+  String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce(
+      (value, key) => (isPlainObject(value) ? value[key] : undefined),
+      data
+    );
+
+const toOption = (item, valueField, labelField) =>
+  isPlainObject(item)
+    ? {
+        value: item[valueField],
+        label: String(item[labelField] ?? item[valueField]),
+      }
+    : { value: item, label: String(item) };
+
+const cached = (key, ttl, load) => {
+  const entry = cache.get(key);
+  if (entry && entry.expires > Date.now()) return entry.promise;
+
+  const promise = load().catch((error) => {
+    // Failures are not cached, the next render tries again
+    cache.delete(key);
+    throw error;
+  });
+  cache.set(key, { expires: Date.now() + ttl * 1000, promise });
+  return promise;
+};
+
+// Sources differing in any setting (path, valueField, ...) are cached apart
+const loadUrlOptions = (source) =>
+  cached(
+    `url:${JSON.stringify(source, Object.keys(source).sort())}`,
+    source.ttl ?? DEFAULT_TTL,
+    async () => {
+      const response = await fetch(source.url, {
+        headers: { Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`Options source answered ${response.status}`);
+      }
+      const body = await response.json();
+      const items = source.path ? readPath(body, source.path) : body;
+      if (!Array.isArray(items)) {
+        throw new Error("Options source did not return an array");
+      }
+      return items.map((item) =>
+        toOption(
+          item,
+          source.valueField || "value",
+          source.labelField || "label"
+        )
+      );
+    }
+  );
+
+const loadEntityOptions = (source, { search, values }) => {
+  const valueField = source.valueField || "_id";
+  const labelField = source.labelField || "name";
+  const fields = [...new Set([valueField, labelField])].join(",");
+  const key = `entity:${source.entity}:${fields}:${
+    values ? `=${values.join(",")}` : search
+  }`;
+
+  return cached(key, source.ttl ?? DEFAULT_TTL, async () => {
+    const response = values
+      ? await apiService.queryEntities(source.entity, {
+          filter: { [valueField]: { in: values } },
+          limit: values.length,
+          fields,
+        })
+      : await apiService.getEntities(source.entity, {
+          search,
+          limit: 20,
+          fields,
+        });
+    return (response.success ? response.data : []).map((record) =>
+      toOption(record, valueField, labelField)
+    );
+  });
+};
+
+/**
+ * Options of a source
+ * @param {object} source - optionsSource of a form field
+ * @param {object} query - { search } to filter, or { values } to look up
+ *   the labels of selected values
+ * @returns {Promise<{ value, label }[]>}
+ */
+export const loadOptions = async (source, { search = "", values } = {}) => {
+  if (source.entity) return loadEntityOptions(source, { search, values });
+
+  const options = await loadUrlOptions(source);
+  if (values) {
+    return options.filter((opt) => values.includes(String(opt.value)));
+  }
+  const term = search.trim().toLowerCase();
+  return term
+    ? options.filter((opt) => opt.label.toLowerCase().includes(term))
+    : options;
+};
+
+// Options of a field for rendering: its static `options`, or those of its
+// source once loaded
+export const useFieldOptions = (field, search = "") => {
+  const source = field.optionsSource;
+  const [state, setState] = useState({ options: [], isLoading: false });
+
+  // The source is plain config; its JSON identifies it across renders
+  const sourceKey = source ? JSON.stringify(source) : "";
+
+  useEffect(() => {
+    if (!sourceKey) return;
+    const source = JSON.parse(sourceKey);
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setState((prev) => ({ ...prev, isLoading: true }));
+      try {
+        const options = await loadOptions(source, { search });
+        if (!cancelled) setState({ options, isLoading: false });
+      } catch (error) {
+        console.error(`Error loading options for ${field.name}:`, error);
+        if (!cancelled) setState({ options: [], isLoading: false });
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sourceKey, search, field.name]);
+
+  if (!source) return { options: field.options || [], isLoading: false };
+  return state;
+};
@@ -0,0 +1,20 @@
+// Mirrors backend/utils/permissions.js so the UI only offers what the
+// server will accept. Undeclared rules are open to every signed-in user
+// and admins are always allowed.
+
+const allows = (roles, role) =>
+  role === "admin" || !Array.isArray(roles) || roles.includes(role);
+
+export const canAccess = (config, action, role) =>
+  allows(config?.permissions?.[action], role);
+
+export const canAccessField = (config, field, action, role) =>
+  allows(config?.permissions?.fields?.[field]?.[action], role);
+
+// Drops the fields the role may not write before a record is submitted
+export const writableData = (config, data, role) =>
+  Object.fromEntries(
+    Object.entries(data).filter(([field]) =>
+      canAccessField(config, field, "write", role)
+    )
+  );
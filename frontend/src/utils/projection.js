@@ -0,0 +1,14 @@
+import { canAccessField } from "./permissions";
+
+// Mirrors the fields backend/utils/projection.js accepts in ?fields=
+const SYSTEM_FIELDS = ["_id", "createdAt", "updatedAt"];
+
+// Fields the data table shows, so list requests can leave out the rest
+// (long text fields the table never displays)
+export const columnFields = (config, role) => {
+  const schema = config?.backend?.schema || {};
+  return (config?.frontend?.columns || [])
+    .map((col) => col.accessor)
+    .filter((field) => schema[field] || SYSTEM_FIELDS.includes(field))
+    .filter((field) => canAccessField(config, field, "read", role));
+};
@@ -0,0 +1,26 @@
+import { canAccessField } from "./permissions";
+
+// Mirrors backend/utils/relations.js: a Ref field holds the id of a record
+// of another entity (an array of ids with `many`), or the records
+// themselves when it was read with ?expand.
+
+export const refFields = (config) =>
+  Object.entries(config?.backend?.schema || {})
+    .filter(([, fieldConfig]) => fieldConfig?.type === "Ref")
+    .map(([field]) => field);
+
+// Ref fields the role can read, which can be sent as ?expand=
+export const expandableFields = (config, role) =>
+  refFields(config).filter((field) =>
+    canAccessField(config, field, "read", role)
+  );
+
+export const refId = (value) =>
+  value !== null && typeof value === "object" ? value._id : value;
+
+// What a reference shows: the configured display field of an expanded
+// record, or its id
+export const refLabel = (value, displayField = "name") =>
+  value !== null && typeof value === "object"
+    ? String(value[displayField] ?? value._id)
+    : String(value);
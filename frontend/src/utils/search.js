@@ -0,0 +1,52 @@
+// Mirrors backend/utils/search.js so the table can highlight what a search
+// matched: whole words of searchable fields, or a literal substring of any
+// String field when the entity declares no searchable fields.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const searchableFields = (config) => {
+  const schema = config?.backend?.schema || {};
+  const declared = Object.keys(schema).filter(
+    (field) => schema[field]?.searchable
+  );
+  if (declared.length > 0) return { fields: declared, wholeWords: true };
+
+  return {
+    fields: Object.keys(schema).filter(
+      (field) => (schema[field]?.type || "String") === "String"
+    ),
+    wholeWords: false,
+  };
+};
+
+// Words a search looks for; -excluded words are never highlighted
+const searchWords = (search) =>
+  search
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .flatMap((word) => word.toLowerCase().match(WORD) || []);
+
+// Splits text into [{ text, match }] parts for rendering
+export const highlightParts = (text, search, wholeWords) => {
+  const term = search.trim();
+  if (!term) return [{ text, match: false }];
+
+  if (!wholeWords) {
+    return text
+      .split(new RegExp(`(${escapeRegex(term)})`, "i"))
+      .filter(Boolean)
+      .map((part) => ({
+        text: part,
+        match: part.toLowerCase() === term.toLowerCase(),
+      }));
+  }
+
+  const words = searchWords(term);
+  return text
+    .split(/([\p{L}\p{N}]+)/u)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: words.includes(part.toLowerCase()) }));
+};